@@ -9,16 +9,140 @@ const ConnectableObject = require('js-zrim-core').ConnectableObject,
   MongoClient = mongodb.MongoClient,
   exceptions = require("js-zrim-core").exceptions,
   async = require('async'),
-  Joi = require("joi");
+  Joi = require("joi"),
+  indexReconciliation = require('./lib/index-reconciliation'),
+  MigrationRunner = require('./lib/MigrationRunner'),
+  sessionBoundCollection = require('./lib/session-bound-collection'),
+  ChangeStreamSubscription = require('./lib/ChangeStreamSubscription'),
+  Repository = require('./lib/Repository'),
+  OperationMetrics = require('./lib/OperationMetrics'),
+  instrumentedCollection = require('./lib/instrumented-collection'),
+  resumeTokenStores = require('./lib/resume-token-stores'),
+  seed = require('./lib/seed'),
+  collectionTransfer = require('./lib/collection-transfer'),
+  connectionString = require('./lib/connection-string'),
+  optionsLoader = require('./lib/options-loader'),
+  MongoDbManagerRegistry = require('./lib/MongoDbManagerRegistry');
 
 const DEFAULT_TIMEOUT_CONNECTION_MS = 2000;
 
+/**
+ * @description The default time allowed to retry a transaction
+ * @type {number}
+ */
+const DEFAULT_TRANSACTION_TIMEOUT_MS = 120000;
+
+/**
+ * @description The default heartbeat options applied when the option heartbeat is given
+ * @type {Object}
+ */
+const DEFAULT_HEARTBEAT = {
+  intervalMs: 10000,
+  failureThreshold: 3
+};
+
+/**
+ * @description The default duration from which an operation is logged as slow
+ * @type {number}
+ */
+const DEFAULT_SLOW_OPERATION_THRESHOLD_MS = 100;
+
+/**
+ * @description The default time given to the in-flight operations to finish when disconnecting
+ * @type {number}
+ */
+const DEFAULT_DRAIN_TIMEOUT_MS = 10000;
+
+/**
+ * @description The default time during which the previous client stays opened after a reconfiguration
+ * @type {number}
+ */
+const DEFAULT_RECONFIGURATION_GRACE_PERIOD_MS = 30000;
+
+/**
+ * @description The default process signals handled by registerShutdownSignals
+ * @type {string[]}
+ */
+const DEFAULT_SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * @description The built-in connection steps in their execution order
+ * @type {string[]}
+ */
+const DEFAULT_CONNECTION_STEP_NAMES = Object.freeze([
+  'connection',
+  'createCollections',
+  'fetchCollections',
+  'initializeCollectionIndex',
+  'seedCollections',
+  'runMigrations',
+  'exportVariables'
+]);
+
+/**
+ * @description The read preference modes accepted by the option readPreference of the collections
+ * @type {string[]}
+ */
+const READ_PREFERENCE_MODES = Object.freeze(['primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest']);
+
+/**
+ * @description The read concern levels accepted by the option readConcern of the collections
+ * @type {string[]}
+ */
+const READ_CONCERN_LEVELS = Object.freeze(['local', 'available', 'majority', 'linearizable', 'snapshot']);
+
+/**
+ * @description The error code returned by MongoDB when the replication is not enabled
+ * @type {number}
+ */
+const MONGODB_ERROR_CODE_NO_REPLICATION_ENABLED = 76;
+
+/**
+ * @description The error code returned by MongoDB when the collection already exists
+ * @type {number}
+ */
+const MONGODB_ERROR_CODE_NAMESPACE_EXISTS = 48;
+
+/**
+ * @description The error code returned by MongoDB when the collection does not exist
+ * @type {number}
+ */
+const MONGODB_ERROR_CODE_NAMESPACE_NOT_FOUND = 26;
+
+/**
+ * @description The default reconnection policy applied when the option reconnection is given
+ * @type {Object}
+ */
+const DEFAULT_RECONNECTION_POLICY = {
+  enabled: true,
+  maxAttempts: 10,
+  initialDelayMs: 1000,
+  backoffFactor: 2,
+  jitter: 0.2,
+  maxDelayMs: 30000
+};
+
 /**
  * @description A generic mongo DB manager
  * @implements {ConnectableObject}
+ * @fires MongoDbManager#connecting When the connection starts
+ * @fires MongoDbManager#connected When the connection succeed
+ * @fires MongoDbManager#connectionLost When the connection is lost
+ * @fires MongoDbManager#reconnecting When a reconnection attempt starts
+ * @fires MongoDbManager#reconnectionSucceed When the reconnection policy retrieved the connection
+ * @fires MongoDbManager#reconnectionAbandoned When the reconnection policy gave up
+ * @fires MongoDbManager#reconnected When the connection is retrieved
+ * @fires MongoDbManager#disconnected When the disconnection succeed
+ * @fires MongoDbManager#stepStarted When a connection step starts
+ * @fires MongoDbManager#stepFinished When a connection step ends
+ * @fires MongoDbManager#indexCreated When an index is created
+ * @fires MongoDbManager#indexFailed When an index cannot be created
+ * @fires MongoDbManager#reconfigured When the connection is replaced by reconfigure
  * @return {MongoDbManager} The instance
  * @property {Object|undefined} collections The known collections
+ * @property {Object} repositories The repositories of the collections having a model by aliases or names
  * @property {Number} connectionTimeoutMs The connection timeout in milliseconds
+ * @property {string|undefined} redactedConnectionString The connection string without the password. Use it to log
  * @property {Object|undefined} nativeInstance The native instance
  * @constructor
  */
@@ -31,8 +155,113 @@ function MongoDbManager() {
   this.properties.mongoDbDriver = MongoClient; // Set the driver
   this.properties.connectionTimeoutMs = DEFAULT_TIMEOUT_CONNECTION_MS; // The timeout in ms
   this.properties.virtualCollections = {};
+  this.properties.changeStreamSubscriptions = [];
+  this.properties.resumeTokenStore = new resumeTokenStores.MemoryResumeTokenStore();
+  this.properties.operationMetrics = new OperationMetrics();
+  this.properties.instrumentedCollections = new WeakMap();
+  this.properties.inFlightOperations = 0;
+  this.properties.drainWaiters = [];
+  this.properties.retiredConnections = [];
+  this.properties.connectionSteps = _.map(DEFAULT_CONNECTION_STEP_NAMES, stepName => ({
+    name: stepName,
+    builtIn: true,
+    handler: undefined,
+    timeoutMs: undefined,
+    rollback: undefined
+  }));
 }
-ConnectableObject._applyPrototypeTo(MongoDbManager);
+ConnectableObject._applyPrototypeTo(MongoDbManager, {
+  signals: {
+    reconnecting: "reconnecting",
+    reconnectionSucceed: "reconnectionSucceed",
+    reconnectionAbandoned: "reconnectionAbandoned",
+    stepStarted: "stepStarted",
+    stepFinished: "stepFinished",
+    indexCreated: "indexCreated",
+    indexFailed: "indexFailed",
+    reconfigured: "reconfigured"
+  }
+});
+
+/**
+ * @event MongoDbManager#connecting
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ */
+/**
+ * @event MongoDbManager#connected
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {number} durationMs The connection duration
+ * @property {string|undefined} databaseName The default database
+ */
+/**
+ * @event MongoDbManager#connectionLost
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {Error|undefined} error The error reported by the driver or the heartbeat
+ */
+/**
+ * @event MongoDbManager#reconnecting
+ * @type {Object}
+ * @property {number} attempt The attempt number. Starts at 1
+ * @property {number} maxAttempts The maximum number of attempts
+ * @property {number} delayMs The delay waited before this attempt
+ */
+/**
+ * @event MongoDbManager#reconnected
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {number|undefined} downtimeMs The time since the connection was lost
+ */
+/**
+ * @event MongoDbManager#disconnected
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ */
+/**
+ * @event MongoDbManager#stepStarted
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {string} step The step name
+ */
+/**
+ * @event MongoDbManager#stepFinished
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {string} step The step name
+ * @property {number} durationMs The step duration
+ * @property {Error|undefined} error The error if the step failed
+ */
+/**
+ * @event MongoDbManager#indexCreated
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {string} collectionName The collection name
+ * @property {string} namespace The collection namespace
+ * @property {string} indexName The index name
+ * @property {Object} keys The index keys
+ * @property {Object|undefined} options The index options
+ * @property {number} durationMs The creation duration
+ */
+/**
+ * @event MongoDbManager#indexFailed
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {string} collectionName The collection name
+ * @property {string} namespace The collection namespace
+ * @property {string} indexName The index name
+ * @property {Object} keys The index keys
+ * @property {Object|undefined} options The index options
+ * @property {Error} error The error
+ */
+/**
+ * @event MongoDbManager#reconfigured
+ * @type {Object}
+ * @property {Date} timestamp When the event happened
+ * @property {number} durationMs The time to open the new connection
+ * @property {string} redactedConnectionString The new connection string without the password
+ */
 
 MongoDbManager._defineProperty(MongoDbManager, 'connectionTimeoutMs', {
   configurable: false,
@@ -58,6 +287,18 @@ MongoDbManager._defineProperty(MongoDbManager, 'collections', {
   }
 });
 
+MongoDbManager._defineProperty(MongoDbManager, 'repositories', {
+  get: function () {
+    return this.properties.repositories || {};
+  }
+});
+
+MongoDbManager._defineProperty(MongoDbManager, 'redactedConnectionString', {
+  get: function () {
+    return connectionString.redactConnectionString(_.get(this.properties, 'mongoDbOptions.connectionString'));
+  }
+});
+
 MongoDbManager._defineProperty(MongoDbManager, 'nativeInstance', {
   get: function () {
     return this.properties.mongoDataBase;
@@ -65,29 +306,325 @@ MongoDbManager._defineProperty(MongoDbManager, 'nativeInstance', {
 });
 
 /**
- * @description Returns the collection
- * @param {String} collectionName The collection name to retrieved
+ * @description Returns the collection. The collection measures its operations when the instrumentation is enabled
+ * @param {String} collectionName The collection alias or name to retrieved
+ * @param {String|undefined} [databaseName] The database containing the collection. If not given, the aliases then
+ *  the collections of the default database have the priority
+ * @return {Object|undefined} The collection if exists
+ * @throws {IllegalStateException} If the manager is disconnecting
+ */
+MongoDbManager.prototype.getCollectionByName = function (collectionName, databaseName) {
+  if (this.currentState === MongoDbManager.States.Disconnecting) {
+    throw new exceptions.IllegalStateException(util.format("Cannot get the collection '%s': the manager is disconnecting", collectionName));
+  }
+
+  return this._instrumentCollection(this._findCollection(collectionName, databaseName));
+};
+
+/**
+ * @description Returns the driver collection
+ * @see MongoDbManager#getCollectionByName
+ * @param {String} collectionName The collection alias or name to retrieved
+ * @param {String|undefined} [databaseName] The database containing the collection
  * @return {Object|undefined} The collection if exists
+ * @private
  */
-MongoDbManager.prototype.getCollectionByName = function (collectionName) {
+MongoDbManager.prototype._findCollection = function (collectionName, databaseName) {
   if (!_.isString(collectionName)) {
     return undefined;
   }
 
+  if (_.isString(databaseName)) {
+    return _.get(this.properties.mongoDbCollectionsByDatabase, [databaseName, collectionName]) || undefined;
+  }
+
   const collections = this.properties.mongoDbCollections;
-  if (collections) {
-    return collections[collectionName] || undefined;
-  } else {
+  if (collections && collections[collectionName]) {
+    return collections[collectionName];
+  }
+
+  // Look for the physical name, in the default database first
+  const collectionsByDatabase = this.properties.mongoDbCollectionsByDatabase || {},
+    defaultDatabaseName = _.get(this.properties.mongoDataBase, 'databaseName');
+  const databaseNames = _.uniq(_.concat(defaultDatabaseName || [], _.keys(collectionsByDatabase)));
+  const foundDatabaseName = _.find(databaseNames, name => !!_.get(collectionsByDatabase, [name, collectionName]));
+  return foundDatabaseName ? collectionsByDatabase[foundDatabaseName][collectionName] : undefined;
+};
+
+/**
+ * @description Returns the repository of the collection having a model
+ * @param {string} name The collection alias or name
+ * @return {Repository|undefined} The repository if exists
+ */
+MongoDbManager.prototype.getRepository = function (name) {
+  return _.isString(name) ? this.repositories[name] : undefined;
+};
+
+/**
+ * @description Create the repositories for the collections having a model. The key is the alias or the name. For the
+ *  collections sharing the same name, the one of the default database has the priority
+ * @param {MongoDbManager.initialize~CollectionOption[]} collections The collection options
+ * @return {Object} The repositories
+ * @private
+ */
+MongoDbManager.prototype._createRepositories = function (collections) {
+  const repositories = {};
+
+  _.each(_.sortBy(_.filter(collections, 'model'), collection => collection.alias || !collection.database ? 0 : 1), collection => {
+    const name = collection.alias || collection.name;
+    if (repositories[name]) {
+      return;
+    }
+
+    repositories[name] = new Repository({
+      name: name,
+      model: collection.model,
+      getCollection: () => collection.alias ? this.getCollectionByName(collection.alias) : this.getCollectionByName(collection.name, collection.database)
+    });
+  });
+
+  return repositories;
+};
+
+/**
+ * @description Returns the driver options of the collection from its read preference, read concern and write concern
+ * @param {MongoDbManager.initialize~CollectionOption} collectionOption The collection option
+ * @return {Object|undefined} The options given to Db.collection. Undefined if none is set
+ * @private
+ */
+function _getCollectionDriverOptions(collectionOption) {
+  const options = {};
+
+  const readPreference = collectionOption.readPreference;
+  if (_.isString(readPreference)) {
+    options.readPreference = readPreference;
+  } else if (readPreference) {
+    // Plain object the driver in use converts, the configured driver may not be the mongodb module
+    options.readPreference = _.omitBy(_.pick(readPreference, ['mode', 'tags', 'maxStalenessSeconds']), _.isUndefined);
+  }
+
+  if (collectionOption.readConcern) {
+    options.readConcern = _.isString(collectionOption.readConcern) ? {level: collectionOption.readConcern} : _.clone(collectionOption.readConcern);
+  }
+
+  // The driver reads the write concern from the top-level options
+  _.assign(options, _.pick(collectionOption.writeConcern, ['w', 'j', 'wtimeout']));
+
+  return _.isEmpty(options) ? undefined : options;
+}
+
+/**
+ * @description Returns the database. The other databases share the connection of the default one
+ * @param {String|undefined} [databaseName] The database name. If not given returns the default database
+ * @return {Object|undefined} The database or undefined if not connected
+ */
+MongoDbManager.prototype.getDatabase = function (databaseName) {
+  const mongoDataBase = this.properties.mongoDataBase;
+  if (!mongoDataBase) {
     return undefined;
+  } else if (!_.isString(databaseName) || databaseName === mongoDataBase.databaseName) {
+    return mongoDataBase;
+  }
+
+  this.properties.mongoDataBases = this.properties.mongoDataBases || {};
+  if (!this.properties.mongoDataBases[databaseName]) {
+    this.properties.mongoDataBases[databaseName] = this.properties.mongoClientInstance.db(databaseName);
   }
+  return this.properties.mongoDataBases[databaseName];
 };
 
+const _clientOptionsSchema = Joi.object().keys({
+  poolSize: Joi.number().integer().min(1),
+  ssl: Joi.boolean(),
+  sslValidate: Joi.boolean(),
+  sslCA: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.binary())).single(),
+  sslCert: Joi.alternatives().try(Joi.string(), Joi.binary()),
+  sslKey: Joi.alternatives().try(Joi.string(), Joi.binary()),
+  sslPass: Joi.alternatives().try(Joi.string(), Joi.binary()),
+  sslCRL: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.binary())).single(),
+  checkServerIdentity: Joi.alternatives().try(Joi.boolean(), Joi.func()),
+  authSource: Joi.string().trim().min(1),
+  authMechanism: Joi.string().trim().min(1),
+  replicaSet: Joi.string().trim().min(1),
+  readPreference: Joi.alternatives().try(
+    Joi.string().valid('primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest'),
+    Joi.object()
+  ),
+  w: Joi.alternatives().try(Joi.number().integer().min(0), Joi.string().min(1)),
+  wtimeout: Joi.number().integer().min(0),
+  j: Joi.boolean(),
+  autoReconnect: Joi.boolean(),
+  reconnectTries: Joi.number().integer().min(0),
+  reconnectInterval: Joi.number().integer().min(0),
+  keepAlive: Joi.alternatives().try(Joi.boolean(), Joi.number().integer().min(0)),
+  connectTimeoutMS: Joi.number().integer().min(0),
+  socketTimeoutMS: Joi.number().integer().min(0),
+  appname: Joi.string().trim().min(1)
+}).unknown();
+
+const _collectionCreateOptionsSchema = Joi.object().keys({
+  capped: Joi.boolean(),
+  size: Joi.number().integer().min(1).when('capped', {is: true, then: Joi.required()}),
+  max: Joi.number().integer().min(1),
+  validator: Joi.object(),
+  validationLevel: Joi.string().valid('off', 'strict', 'moderate'),
+  validationAction: Joi.string().valid('error', 'warn'),
+  collation: Joi.object().keys({
+    locale: Joi.string().trim().min(1).required()
+  }).unknown(),
+  timeseries: Joi.object().keys({
+    timeField: Joi.string().trim().min(1).required(),
+    metaField: Joi.string().trim().min(1),
+    granularity: Joi.string().valid('seconds', 'minutes', 'hours')
+  }),
+  expireAfterSeconds: Joi.number().integer().min(0)
+}).unknown();
+
+const _collectionModelSchema = Joi.object().keys({
+  schema: Joi.object().keys({
+    isJoi: Joi.valid(true).required()
+  }).unknown(),
+  defaults: Joi.object(),
+  timestamps: Joi.alternatives().try(Joi.boolean(), Joi.object().keys({
+    createdAt: Joi.string().trim().min(1),
+    updatedAt: Joi.string().trim().min(1)
+  })),
+  softDelete: Joi.alternatives().try(Joi.boolean(), Joi.object().keys({
+    field: Joi.string().trim().min(1)
+  }))
+});
+
+/**
+ * @description Customizer for cloneDeepWith keeping the Joi schemas instead of copying them
+ * @param {*} value The value to clone
+ * @return {*} The Joi schema or undefined to let lodash clone the value
+ * @private
+ */
+function _cloneJoiSchema(value) {
+  if (value && value.isJoi === true) {
+    return value;
+  }
+}
+
+/**
+ * @description Tells if the two collection options are duplicated. The aliases must be unique among the aliases and the
+ *  names, the names without alias must be unique in their database
+ * @param {MongoDbManager.initialize~CollectionOption} a The first option
+ * @param {MongoDbManager.initialize~CollectionOption} b The second option
+ * @return {boolean} <code>true</code> if duplicated
+ * @private
+ */
+function _isDuplicatedCollectionOption(a, b) {
+  if (a.alias || b.alias) {
+    return (a.alias || a.name) === (b.alias || b.name);
+  }
+
+  return a.name === b.name && a.database === b.database;
+}
+
+/**
+ * @description The structured connection schema
+ * @type {Object}
+ * @private
+ */
+const _connectionSchema = Joi.object().keys({
+  hosts: Joi.array().items(
+    Joi.string().trim().regex(/^[^\s,/@?]+(:\d+)?$/),
+    Joi.object().keys({
+      host: Joi.string().trim().regex(/^[^\s,/@?:]+$/).required(),
+      port: Joi.number().integer().min(1).max(65535)
+    })
+  ).min(1).required().when('srv', {is: true, then: Joi.array().length(1)}),
+  srv: Joi.boolean(),
+  database: Joi.string().trim().min(1),
+  username: Joi.string().min(1),
+  password: Joi.string(),
+  authSource: Joi.string().trim().min(1),
+  authMechanism: Joi.string().trim().min(1),
+  replicaSet: Joi.string().trim().min(1),
+  tls: Joi.boolean(),
+  options: Joi.object().pattern(/.+/, Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()))
+}).with('password', 'username');
+
 const _handleInitializationOptionsSchema = Joi.object().keys({
   connectionTimeoutMs: Joi.number().min(1000),
-  connectionString: Joi.string().trim().min(1).required(),
+  connectionString: Joi.string().trim().min(1),
+  connection: _connectionSchema,
+  clientOptions: _clientOptionsSchema,
+  driver: Joi.func(),
+  indexReconciliation: Joi.string().valid(_.values(indexReconciliation.Modes)),
+  migrations: Joi.object().keys({
+    modules: Joi.array().items(
+      Joi.object().keys({
+        version: Joi.alternatives().try(Joi.string().trim().min(1), Joi.number()).required(),
+        name: Joi.string(),
+        up: Joi.func().required(),
+        down: Joi.func()
+      }).unknown()
+    ).unique((a, b) => String(a.version) === String(b.version)).required(),
+    collectionName: Joi.string().trim().min(1),
+    lockTimeoutMs: Joi.number().integer().min(1),
+    lockTtlMs: Joi.number().integer().min(1),
+    runOnConnect: Joi.boolean()
+  }),
+  instrumentation: Joi.object().keys({
+    slowThresholdMs: Joi.number().min(0).default(DEFAULT_SLOW_OPERATION_THRESHOLD_MS),
+    bucketsMs: Joi.array().items(Joi.number().positive()).min(1),
+    onOperation: Joi.func()
+  }),
+  shutdown: Joi.object().keys({
+    drainTimeoutMs: Joi.number().integer().min(0).default(DEFAULT_DRAIN_TIMEOUT_MS)
+  }),
+  heartbeat: Joi.object().keys({
+    intervalMs: Joi.number().integer().min(100).default(DEFAULT_HEARTBEAT.intervalMs),
+    failureThreshold: Joi.number().integer().min(1).default(DEFAULT_HEARTBEAT.failureThreshold),
+    timeoutMs: Joi.number().integer().min(1)
+  }),
+  connectionRetry: Joi.object().keys({
+    maxAttempts: Joi.number().integer().min(1),
+    deadlineMs: Joi.number().integer().min(1),
+    delayMs: Joi.number().integer().min(0).default(1000)
+  }).or('maxAttempts', 'deadlineMs'),
+  reconnection: Joi.object().keys({
+    enabled: Joi.boolean().default(DEFAULT_RECONNECTION_POLICY.enabled),
+    maxAttempts: Joi.number().integer().min(1).default(DEFAULT_RECONNECTION_POLICY.maxAttempts),
+    initialDelayMs: Joi.number().integer().min(0).default(DEFAULT_RECONNECTION_POLICY.initialDelayMs),
+    backoffFactor: Joi.number().min(1).default(DEFAULT_RECONNECTION_POLICY.backoffFactor),
+    jitter: Joi.number().min(0).max(1).default(DEFAULT_RECONNECTION_POLICY.jitter),
+    maxDelayMs: Joi.number().integer().min(1).default(DEFAULT_RECONNECTION_POLICY.maxDelayMs)
+  }),
   collections: Joi.array().items(
     Joi.object().keys({
       name: Joi.string().trim().min(1).required(),
+      database: Joi.string().trim().min(1),
+      alias: Joi.string().trim().min(1),
+      createOptions: _collectionCreateOptionsSchema,
+      updateExisting: Joi.boolean(),
+      readPreference: Joi.alternatives().try(
+        Joi.string().valid(READ_PREFERENCE_MODES),
+        Joi.object().keys({
+          mode: Joi.string().valid(READ_PREFERENCE_MODES).required(),
+          tags: Joi.array().items(Joi.object()).when('mode', {is: 'primary', then: Joi.forbidden()}),
+          maxStalenessSeconds: Joi.number().integer().min(90).when('mode', {is: 'primary', then: Joi.forbidden()})
+        })
+      ),
+      readConcern: Joi.alternatives().try(
+        Joi.string().valid(READ_CONCERN_LEVELS),
+        Joi.object().keys({
+          level: Joi.string().valid(READ_CONCERN_LEVELS).required()
+        })
+      ),
+      writeConcern: Joi.object().keys({
+        w: Joi.alternatives().try(Joi.number().integer().min(0), Joi.string().trim().min(1)),
+        j: Joi.boolean(),
+        wtimeout: Joi.number().integer().min(0)
+      }).or('w', 'j'),
+      model: _collectionModelSchema,
+      seed: Joi.object().keys({
+        documents: Joi.array().items(Joi.object()),
+        file: Joi.string().trim().min(1),
+        key: Joi.alternatives().try(Joi.string().trim().min(1), Joi.array().items(Joi.string().trim().min(1)).min(1))
+      }).xor('documents', 'file'),
       index: Joi.array().items(
         Joi.object().keys({
           native: Joi.object().keys({
@@ -97,8 +634,8 @@ const _handleInitializationOptionsSchema = Joi.object().keys({
         }).unknown()
       ).required()
     }).unknown().required()
-  ).required()
-}).unknown().required();
+  ).unique(_isDuplicatedCollectionOption).required()
+}).xor('connectionString', 'connection').unknown().required();
 /**
  * @typedef {Object} MongoDbManager.initialize~CollectionIndexNativeOption
  * @description Contains information about a collection index to ensure
@@ -110,17 +647,96 @@ const _handleInitializationOptionsSchema = Joi.object().keys({
  * @description Contains information about a collection index to ensure
  * @property {MongoDbManager.initialize~CollectionIndexNativeOption} native The native index information to use
  */
+/**
+ * @typedef {Object} MongoDbManager.initialize~ReadPreferenceOption
+ * @property {string} mode primary, primaryPreferred, secondary, secondaryPreferred or nearest
+ * @property {Object[]|undefined} tags The tag sets. Not allowed with primary
+ * @property {number|undefined} maxStalenessSeconds The maximum replication lag (90 minimum). Not allowed with primary
+ */
+/**
+ * @typedef {Object} MongoDbManager.initialize~WriteConcernOption
+ * @property {number|string|undefined} w The number of members or a tag ("majority" for instance)
+ * @property {boolean|undefined} j <code>true</code> to wait for the journal
+ * @property {number|undefined} wtimeout The time limit of the acknowledgment in milliseconds
+ */
 /**
  * @typedef {Object} MongoDbManager.initialize~CollectionOption
  * @description Contains information about a collection to use
  * @property {string} name The collection name to get
+ * @property {string|undefined} database The database containing the collection. Default is the database of the connection string
+ * @property {string|undefined} alias The logical name used to expose the collection instead of its name
+ * @property {Object|undefined} createOptions The options used to create the collection when missing (capped, validator, collation, ...)
+ * @property {boolean|undefined} updateExisting <code>true</code> to apply the validation options on an existing collection with collMod
+ * @property {MongoDbManager.initialize~ReadPreferenceOption|string|undefined} readPreference The read preference of the
+ *  collection or only its mode. Default is the one of the connection string
+ * @property {Object|string|undefined} readConcern The read concern {level} of the collection or only its level
+ * @property {MongoDbManager.initialize~WriteConcernOption|undefined} writeConcern The write concern of the collection
+ * @property {Repository~Model|undefined} model The model used to create the repository of the collection
+ * @property {Seed~Option|undefined} seed The documents applied after the index creation
  * @property {MongoDbManager.initialize~CollectionIndexOption[]|MongoDbManager.initialize~CollectionIndexOption|undefined} index The indexes to apply
  */
+/**
+ * @typedef {Object} MongoDbManager.initialize~ReconnectionOption
+ * @description The manager reconnection policy used when the driver reports an error on the connection
+ * @property {boolean} [enabled=true] Set to <code>false</code> to only rely on the driver
+ * @property {number} [maxAttempts=10] The number of attempts before giving up
+ * @property {number} [initialDelayMs=1000] The delay before the first attempt
+ * @property {number} [backoffFactor=2] The factor applied to the delay after each attempt
+ * @property {number} [jitter=0.2] The random part of the delay (0 to 1)
+ * @property {number} [maxDelayMs=30000] The maximum delay between two attempts
+ */
+/**
+ * @typedef {Object} MongoDbManager.initialize~ConnectionRetryOption
+ * @description Retry the connection done by connect. Each attempt uses the connection timeout
+ * @property {number|undefined} maxAttempts The maximum number of attempts
+ * @property {number|undefined} deadlineMs The total time allowed to connect
+ * @property {number} [delayMs=1000] The delay between two attempts
+ */
+/**
+ * @typedef {Object} MongoDbManager.initialize~MigrationsOption
+ * @description The schema migrations
+ * @property {MigrationRunner~Migration[]} modules The ordered migrations
+ * @property {string} [collectionName=migrations] The collection recording the applied versions
+ * @property {number} [lockTimeoutMs=60000] The time to wait for the lock
+ * @property {number} [lockTtlMs=600000] The time after which a lock is considered abandoned
+ * @property {boolean} [runOnConnect=false] <code>true</code> to run the pending migrations during the connection
+ */
+/**
+ * @typedef {Object} MongoDbManager.initialize~InstrumentationOption
+ * @description Measure the operations of the collections returned by getCollectionByName
+ * @property {number} [slowThresholdMs=100] The duration from which an operation is logged as slow
+ * @property {number[]|undefined} bucketsMs The histogram buckets in milliseconds
+ * @property {Function|undefined} onOperation Receives each {@link InstrumentedCollection~Operation} with the flag slow
+ */
+/**
+ * @typedef {Object} MongoDbManager.initialize~ShutdownOption
+ * @description Track the in-flight operations of the collections returned by getCollectionByName to drain them on disconnect
+ * @property {number} [drainTimeoutMs=10000] The default time given to the in-flight operations to finish
+ */
+/**
+ * @typedef {Object} MongoDbManager.initialize~HeartbeatOption
+ * @description Ping the database periodically to detect a connection lost the driver did not report
+ * @property {number} [intervalMs=10000] The delay between two pings
+ * @property {number} [failureThreshold=3] The number of consecutive failures before the connection is considered lost
+ * @property {number|undefined} timeoutMs The ping timeout. Default is the connection timeout
+ */
 /**
  * @typedef {Object} MongoDbManager.initialize~Options
  * @description The options
  * @see https://docs.mongodb.com/manual/reference/connection-string/
- * @property {string} connectionString The connection info
+ * @property {string|undefined} connectionString The connection info. Required if connection is not given
+ * @property {ConnectionString~Options|undefined} connection The structured connection info compiled into the
+ *  connection string. Required if connectionString is not given
+ * @property {Object|undefined} clientOptions The options given to the driver when connecting (pool size, ssl, write concern, ...)
+ * @property {Function|undefined} driver The driver constructor replacing the MongoClient. See {@link MongoDbManager.mocks}
+ * @property {string} [indexReconciliation=create-only] How the declared indexes are applied: report, create-only or sync
+ * @property {MongoDbManager.initialize~MigrationsOption|undefined} migrations The schema migrations
+ * @property {MongoDbManager.initialize~InstrumentationOption|undefined} instrumentation The operation metrics. Disabled if not given
+ * @property {MongoDbManager.initialize~ShutdownOption|undefined} shutdown The graceful shutdown. The operations are tracked
+ *  if given or if the instrumentation is enabled
+ * @property {MongoDbManager.initialize~HeartbeatOption|undefined} heartbeat The periodic health check. Disabled if not given
+ * @property {MongoDbManager.initialize~ConnectionRetryOption|undefined} connectionRetry The retry used by connect. One attempt if not given
+ * @property {MongoDbManager.initialize~ReconnectionOption|undefined} reconnection The reconnection policy. Disabled if not given
  * @property {MongoDbManager.initialize~CollectionOption[]} collections The collections to use
  */
 
@@ -134,7 +750,7 @@ MongoDbManager.prototype._handleInitialization = function (options) {
   return new Promise((resolve, reject) => {
     ConnectableObject.prototype._handleInitialization.call(this, options)
       .then(() => {
-        Joi.validate(options, _handleInitializationOptionsSchema, error => {
+        Joi.validate(options, _handleInitializationOptionsSchema, (error, value) => {
           if (error) {
             this.logger.error("[%s] Invalid options: %s\n%s", __pretty_name__, error.message, error.stack);
             return setImmediate(reject, new exceptions.IllegalArgumentException(util.format("Invalid options: %s", error.message)));
@@ -142,12 +758,28 @@ MongoDbManager.prototype._handleInitialization = function (options) {
 
           // Now copy the options
           this.properties.mongoDbOptions = {
-            connectionString: options.connectionString,
-            collections: _.cloneDeep(options.collections)
+            connectionString: options.connectionString || connectionString.buildConnectionString(value.connection),
+            clientOptions: _.cloneDeep(options.clientOptions) || {},
+            indexReconciliation: options.indexReconciliation || indexReconciliation.Modes.createOnly,
+            migrations: options.migrations ? _.assign({}, options.migrations, {
+              modules: _.map(options.migrations.modules, _.clone)
+            }) : undefined,
+            instrumentation: value.instrumentation ? _.clone(value.instrumentation) : undefined,
+            shutdown: value.shutdown ? _.clone(value.shutdown) : undefined,
+            heartbeat: value.heartbeat ? _.clone(value.heartbeat) : undefined,
+            connectionRetry: value.connectionRetry ? _.clone(value.connectionRetry) : undefined,
+            reconnection: value.reconnection ? _.clone(value.reconnection) : _.defaults({enabled: false}, DEFAULT_RECONNECTION_POLICY),
+            collections: _.cloneDeepWith(options.collections, _cloneJoiSchema)
           };
+          this.properties.repositories = this._createRepositories(this.properties.mongoDbOptions.collections);
+          this.properties.operationMetrics = new OperationMetrics({
+            bucketsMs: _.get(value, 'instrumentation.bucketsMs')
+          });
+          this.properties.instrumentedCollections = new WeakMap();
           if (options.connectionTimeoutMs) {
             this.properties.connectionTimeoutMs = options.connectionTimeoutMs;
           }
+          this.properties.mongoDbDriver = options.driver || MongoClient;
 
           setImmediate(resolve);
         });
@@ -156,6 +788,76 @@ MongoDbManager.prototype._handleInitialization = function (options) {
   });
 };
 
+/**
+ * @description Returns a new context for the connection steps
+ * @param {Object} mongoDbOptions The options used by the steps
+ * @param {number} connectionTimeoutMs The connection timeout
+ * @return {MongoDbManager._handleConnection~Context} The context
+ * @private
+ */
+MongoDbManager.prototype._createConnectionContext = function (mongoDbOptions, connectionTimeoutMs) {
+  return {
+    manager: this,
+    mongoDbOptions: mongoDbOptions,
+    mongoDbDriver: this.properties.mongoDbDriver,
+    connectionTimeoutMs: connectionTimeoutMs,
+    logger: this.logger,
+    databases: {},
+    collections: {},
+    collectionsByDatabase: {}
+  };
+};
+
+/**
+ * @description Remove the listeners of the connection context
+ * @param {Object} connexionContext The connection context
+ * @private
+ */
+function _freeConnexionContext(connexionContext) {
+  if (_.isObjectLike(connexionContext)) {
+    this.logger.debug("[%s][%s] Remove listeners", '_handleConnection', '_freePreviousContext');
+    connexionContext.mongoDataBase.removeListener('error', connexionContext.handleErrorFunction);
+    connexionContext.mongoDataBase.removeListener('connect', connexionContext.handleReconnection);
+    connexionContext.mongoDataBase.removeListener('reconnect', connexionContext.handleReconnection);
+  }
+}
+
+/**
+ * @description Expose the connection of the context and listen its errors and reconnections
+ * @param {MongoDbManager._handleConnection~Context} context The context of the succeeded steps
+ * @param {Function} handleErrorFunction Called when the connection is lost
+ * @param {Function} handleReconnection Called when the connection is retrieved
+ * @private
+ */
+MongoDbManager.prototype._attachConnexionContext = function (context, handleErrorFunction, handleReconnection) {
+  const __pretty_name__ = '_attachConnexionContext';
+
+  this.properties.mongoClientInstance = context.mongoClientInstance;
+  this.properties.mongoDataBase = context.mongoDataBase;
+
+  // This will keep necessary information in case of connection last and manually connection
+  const currentConnexionContext = {
+    handleErrorFunction: handleErrorFunction,
+    handleReconnection: handleReconnection,
+    freeContext: undefined,
+    mongoClientInstance: this.properties.mongoClientInstance,
+    mongoDataBase: this.properties.mongoDataBase
+  };
+  currentConnexionContext.freeContext = _freeConnexionContext.bind(this, currentConnexionContext);
+
+  this.logger.debug("[%s] Save the current connection context", __pretty_name__);
+  this.properties.currentConnexionContext = currentConnexionContext;
+
+  // Handle the disconnect error
+  this.logger.debug("[%s] Connect signal '%s'", __pretty_name__, 'error');
+  this.properties.mongoDataBase.on('error', handleErrorFunction);
+  // Handle reconnection
+  this.logger.debug("[%s] Connect signal '%s'", __pretty_name__, 'connect');
+  this.properties.mongoDataBase.on('connect', handleReconnection);
+  this.logger.debug("[%s] Connect signal '%s'", __pretty_name__, 'reconnect');
+  this.properties.mongoDataBase.on('reconnect', handleReconnection);
+};
+
 /**
  * @inheritDoc
  */
@@ -175,9 +877,11 @@ MongoDbManager.prototype._handleConnection = function () {
         return;
       }
       this.logger.error("[%s][%s] Received error: %s\n%s", __pretty_name__, '_handleMongoDbConnectionClosed', error.toString(), error.stack, error);
-      this._onConnectionLost()
+      this._stopHeartbeat();
+      this._onConnectionLost(error)
         .then(() => {
           this.logger.debug("[%s][%s] Connection lost handled", __pretty_name__, '_handleMongoDbConnectionClosed');
+          this._startReconnection();
         }, error => {
           this.logger.error("[%s][%s] Connection lost handled with error: %s\n%s",
             __pretty_name__, '_handleMongoDbConnectionClosed', error.message, error.stack);
@@ -195,6 +899,8 @@ MongoDbManager.prototype._handleConnection = function () {
       }
 
       this.logger.warn("[%s][%s] Connection retrieved", __pretty_name__, '_handleReconnection');
+      this._stopReconnection();
+      this._startHeartbeat();
       this._onReconnected()
         .then(() => {
           this.logger.debug("[%s][%s] Reconnected handled", __pretty_name__, '_handleReconnection');
@@ -204,20 +910,6 @@ MongoDbManager.prototype._handleConnection = function () {
         });
     };
 
-    /**
-     * Free the previous context
-     * @param {Object} context The previous context
-     * @private
-     */
-    const _freePreviousContext = (context) => {
-      if (_.isObjectLike(context)) {
-        this.logger.debug("[%s][%s] Remove listeners", __pretty_name__, '_freePreviousContext');
-        context.mongoDataBase.removeListener('close', context.handleErrorFunction);
-        context.mongoDataBase.removeListener('connect', context.handleReconnection);
-        context.mongoDataBase.removeListener('reconnect', context.handleReconnection);
-      }
-    };
-
     if (this.properties.currentConnexionContext) {
       this.logger.debug("[%s] Previous connection found : Free the context", __pretty_name__);
       this.properties.currentConnexionContext.freeContext();
@@ -228,273 +920,461 @@ MongoDbManager.prototype._handleConnection = function () {
 
     // Prepare the context object
     this.logger.debug("[%s] Create the context object", __pretty_name__);
-    const context = {
-      manager: this,
-      mongoDbOptions: this.properties.mongoDbOptions,
-      mongoDbDriver: this.properties.mongoDbDriver,
-      connectionTimeoutMs: this.properties.connectionTimeoutMs,
-      logger: this.logger,
-      collections: {}
-    };
-
-    // Create the tasks
-    let tasks = [
-      this._handleConnection.Steps.connection,
-      this._handleConnection.Steps.fetchCollections,
-      this._handleConnection.Steps.initializeCollectionIndex,
-      this._handleConnection.Steps.exportVariables
-    ];
-
-    this.logger.debug("[%s] Create tasks with context inside", __pretty_name__);
-    tasks = _.map(tasks, (task) => {
-      return task.bind(this, context);
-    });
+    const context = this._createConnectionContext(this.properties.mongoDbOptions, this.properties.connectionTimeoutMs);
 
     this.logger.debug("[%s][Tasks][Start]", __pretty_name__);
-    async.waterfall(tasks, error => {
+    this._runConnectionSteps(context, error => {
       this.logger.debug("[%s][%s][Tasks][End]", __pretty_name__, '_handleTasksDone');
 
       if (error) {
         this.logger.error("[%s][%s][Tasks][End][Error] %s\n%s", __pretty_name__, '_handleTasksDone', error.message, error.stack);
+        this._resetExportedVariables();
         return setImmediate(reject, error);
       }
 
       this.logger.debug("[%s][%s] Expose the mongodb instance", __pretty_name__, '_handleTasksDone');
-      this.properties.mongoClientInstance = context.mongoClientInstance;
-      this.properties.mongoDataBase = context.mongoDataBase;
-
-      // This will keep necessary information in case of connection last and manually connection
-      const currentConnexionContext = {
-        handleErrorFunction: _handleMongoDbConnectionClosed,
-        handleReconnection: _handleReconnection,
-        freeContext: undefined,
-        mongoClientInstance: this.properties.mongoClientInstance,
-        mongoDataBase: this.properties.mongoDataBase
-      };
-      currentConnexionContext.freeContext = _freePreviousContext.bind(this, currentConnexionContext);
-
-      this.logger.debug("[%s][%s] Save the current connection context", __pretty_name__, '_handleTasksDone');
-      this.properties.currentConnexionContext = currentConnexionContext;
-
-      // Handle the disconnect error
-      this.logger.debug("[%s][%s] Connect signal '%s'", __pretty_name__, '_handleTasksDone', 'close');
-      this.properties.mongoDataBase.on('error', _handleMongoDbConnectionClosed);
-      // Handle reconnection
-      this.logger.debug("[%s][%s] Connect signal '%s'", __pretty_name__, '_handleTasksDone', 'connect');
-      this.properties.mongoDataBase.on('connect', _handleReconnection);
-      this.logger.debug("[%s][%s] Connect signal '%s'", __pretty_name__, '_handleTasksDone', 'reconnect');
-      this.properties.mongoDataBase.on('reconnect', _handleReconnection);
+      this._attachConnexionContext(context, _handleMongoDbConnectionClosed, _handleReconnection);
 
+      this._startHeartbeat();
       setImmediate(resolve);
     });
   });
 };
 
 /**
- * @typedef {Object} MongoDbManager._handleConnection~Context
- * @description Contains the data for each step
- * @property {MongoDbManager} manager The manager instance
- * @property {MongoDbManager.init~Options} mongoDbOptions The mongoDB options
- * @property {Function} mongoDbDriver The mongoDB Driver to use
- * @property {number} connectionTimeoutMs The connection timeout
- * @property {Object} logger The logger to use
- * @property {mongodb.MongoClient|undefined} mongoClientInstance The mongoDB client instance (when connection succeed)
- * @property {mongodb.Db|undefined} mongoDataBase The current database used
- * @property {Object} collections The collections by names
+ * @typedef {Function} MongoDbManager._handleConnection~AttemptDone
+ * @description Tells the connection attempt is finished
+ * @param {Error|undefined} [error] The error if the attempt failed
+ * @param {boolean|undefined} [retryable] <code>true</code> if another attempt can be done
  */
 /**
- * @typedef {Function} MongoDbManager._handleConnection~Step
- * @description A step
- * @property {MongoDbManager._handleConnection~Context} context The context
- * @property {Function} stepDone The callback to tell the step finished with or without error
+ * @description Do one connection attempt with the connection timeout
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {number} timeoutMs The timeout of this attempt
+ * @param {MongoDbManager._handleConnection~AttemptDone} attemptDone The callback
+ * @private
  */
+function _connectionAttempt(context, timeoutMs, attemptDone) {
+  const __pretty_name__ = '_handleConnection', __step_name__ = 'connection';
+
+  const connectionOptions = _.assign({}, context.mongoDbOptions.clientOptions);
+  const mongoClientInstance = new context.mongoDbDriver(context.mongoDbOptions.connectionString, connectionOptions);
+  let connectionTimeoutId,
+    connectionTimedOut = false;
+
+  /**
+   * Remove the listener in the instance
+   * @private
+   */
+  function _removeListeners() {
+    mongoClientInstance.removeListener('timeout', _mongoConnectionSuccess);
+  }
 
-/**
- * @description Contains step to handle the connection
- * @type {Object}
- * @property {MongoDbManager._handleConnection~Step} connection The first step is to do the mongoDB connection
- * @property {MongoDbManager._handleConnection~Step} initializeCollectionIndex Create the index
- * @property {MongoDbManager._handleConnection~Step} exportVariables Export the public variables
- */
-MongoDbManager.prototype._handleConnection.Steps = {
-  connection: function (context, stepDone) {
-    const __pretty_name__ = '_handleConnection', __step_name__ = 'connection';
+  /**
+   * Handle the connection success
+   * @private
+   */
+  function _mongoConnectionSuccess() {
+    context.logger.debug("[%s][Step:%s][%s][Connected]", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
+    _removeListeners();
+
+    if (connectionTimedOut) {
+      // Ignore because the timeout already append but do not keep the connection opened
+      context.logger.debug("[%s][Step:%s][%s][Connected] Timeout already reached. Rule=close connection", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
+      mongoClientInstance.close(true)
+        .catch(error => {
+          context.logger.debug("[%s][Step:%s][%s] Failed to close the connection: %s\n%s",
+            __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
+        });
+      return;
+    }
 
-    let connectionTimeoutId,
-      mongoClientInstance,
-      connectionTimedOut = false;
+    context.logger.debug("[%s][Step:%s][%s][Connected] Clear the timeout", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
+    clearTimeout(connectionTimeoutId);
+    connectionTimeoutId = undefined;
 
-    /**
-     * Remove the listener in the instance
-     * @private
-     */
-    function _removeListeners() {
-      mongoClientInstance.removeListener('timeout', _mongoConnectionSuccess);
-    }
+    // The default database is the one of the connection string
+    const db = mongoClientInstance.db();
+
+    /** @type {MongoDbManager._handlePostConnection~Context} */
+    const postConnectionContext = {
+      mongoClientInstance: mongoClientInstance,
+      mongoDataBase: db
+    };
 
     /**
-     * Handle the connection success
-     * @param {Object} db The database
+     * @description Handle the post connection response
+     * @see MongoDbManager._handlePostConnection~Callback
+     * @param {Error|undefined} [userError] The error
      * @private
      */
-    function _mongoConnectionSuccess(db) {
-      context.logger.debug("[%s][Step:%s][%s][Connected]", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
-      _removeListeners();
+    function _handlePostConnectionCallback(userError) {
+      context.logger.debug("[%s][Step:%s][%s][Enter]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
+      if (userError) {
+        context.logger.error("[%s][Step:%s][%s] User function return an error: %s\n%s",
+          __pretty_name__, __step_name__, '_handlePostConnectionCallback', userError.toString(), userError.stack);
+
+        let error;
+        if (!(userError instanceof Error)) {
+          error = new exceptions.BaseError(util.format("Post connection failed"), userError);
+          context.logger.debug("[%s][Step:%s][%s] User error was not instance of Error. New error created.", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
+        } else {
+          error = userError;
+        }
 
-      if (connectionTimedOut) {
-        // Ignore because the timeout already append
-        context.logger.debug("[%s][Step:%s][%s][Connected] Timeout already reached. Rule=ignore connected", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
-        return;
+        // Close connection
+        mongoClientInstance.close(true)
+          .then(() => {
+            context.logger.debug("[%s][Step:%s][%s] Connection closed with success",
+              __pretty_name__, __step_name__, '_mongoConnectionSuccess');
+            context.logger.debug("[%s][Step:%s][%s][Exit]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
+            setImmediate(attemptDone, error, false);
+          })
+          .catch(error => {
+            context.logger.debug("[%s][Step:%s][%s] Failed to close the connection: %s\n%s",
+              __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
+            context.logger.debug("[%s][Step:%s][%s][Exit]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
+            setImmediate(attemptDone, error, false);
+          });
+      } else {
+        // Accept connection
+        context.logger.debug("[%s][Step:%s][%s] Save the mongodb instance into the context", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
+        context.mongoClientInstance = mongoClientInstance;
+        context.mongoDataBase = db;
+        context.logger.debug("[%s][Step:%s][%s][Exit]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
+        setImmediate(attemptDone);
       }
+    }
 
-      context.logger.debug("[%s][Step:%s][%s][Connected] Clear the timeout", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
-      clearTimeout(connectionTimeoutId);
-      connectionTimeoutId = undefined;
+    // Call post connection
+    context.logger.debug("[%s][Step:%s][%s] Call the handle post connection", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
+    context.manager._handlePostConnection(postConnectionContext)
+      .then(_handlePostConnectionCallback)
+      .catch(error => {
+        context.logger.debug("[%s][Step:%s][%s] Received error from _handlePostConnection: %s\n%s",
+          __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
 
-      /** @type {MongoDbManager._handlePostConnection~Context} */
-      const postConnectionContext = {
-        mongoClientInstance: mongoClientInstance,
-        mongoDataBase: db
-      };
+        // Should close the database
+        mongoClientInstance.close(true)
+          .then(() => {
+            context.logger.debug("[%s][Step:%s][%s] Connection closed with success",
+              __pretty_name__, __step_name__, '_mongoConnectionSuccess');
+            setImmediate(attemptDone, error, false);
+          })
+          .catch(error => {
+            context.logger.debug("[%s][Step:%s][%s] Failed to close the connection: %s\n%s",
+              __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
+            setImmediate(attemptDone, error, false);
+          });
+      });
+  }
 
-      /**
-       * @description Handle the post connection response
-       * @see MongoDbManager._handlePostConnection~Callback
-       * @param {Error|undefined} [userError] The error
-       * @private
-       */
-      function _handlePostConnectionCallback(userError) {
-        context.logger.debug("[%s][Step:%s][%s][Enter]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
-        if (userError) {
-          context.logger.error("[%s][Step:%s][%s] User function return an error: %s\n%s",
-            __pretty_name__, __step_name__, '_handlePostConnectionCallback', userError.toString(), userError.stack);
-
-          let error;
-          if (!(userError instanceof Error)) {
-            error = new exceptions.BaseError(util.format("Post connection failed"), userError);
-            context.logger.debug("[%s][Step:%s][%s] User error was not instance of Error. New error created.", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
-          } else {
-            error = userError;
-          }
+  /**
+   * Handle the error returned by the connection
+   * @param {Error} error The error
+   * @private
+   */
+  function _mongoConnectionError(error) {
+    const _redact = text => connectionString.redactText(text, context.mongoDbOptions.connectionString);
+    context.logger.debug("[%s][Step:%s][%s][Connection][Error] %s\n%s", __pretty_name__, __step_name__, '_mongoConnectionError',
+      _redact(error.toString()), _redact(error.stack));
+    _removeListeners();
+
+    if (connectionTimedOut) {
+      // Ignore because the timeout already append
+      context.logger.debug("[%s][Step:%s][%s][Connection][Error] Timeout already reached Rule=ignore", '_mongoConnectionError', __pretty_name__, __step_name__);
+      return;
+    }
 
-          // Close connection
-          db.close(true)
-            .then(() => {
-              context.logger.debug("[%s][Step:%s][%s] Connection closed with success",
-                __pretty_name__, __step_name__, '_mongoConnectionSuccess');
-              context.logger.debug("[%s][Step:%s][%s][Exit]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
-              setImmediate(stepDone, error);
-            })
-            .catch(error => {
-              context.logger.debug("[%s][Step:%s][%s] Failed to close the connection: %s\n%s",
-                __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
-              context.logger.debug("[%s][Step:%s][%s][Exit]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
-              setImmediate(stepDone, error);
-            });
-        } else {
-          // Accept connection
-          context.logger.debug("[%s][Step:%s][%s] Save the mongodb instance into the context", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
-          context.mongoClientInstance = mongoClientInstance;
-          context.mongoDataBase = db;
-          context.logger.debug("[%s][Step:%s][%s][Exit]", __pretty_name__, __step_name__, '_handlePostConnectionCallback');
-          setImmediate(stepDone);
-        }
-      }
+    context.logger.error("[%s][Step:%s][%s][Connection][Error] %s\n%s", __pretty_name__, __step_name__, '_mongoConnectionError',
+      _redact(error.toString()), _redact(error.stack));
+    context.logger.debug("[%s][Step:%s][%s][Connection][Error] Clear the timeout", __pretty_name__, __step_name__, '_mongoConnectionError');
+    clearTimeout(connectionTimeoutId);
+    connectionTimeoutId = undefined;
+    const errorToReturn = new Error(_redact(util.format("Error while connecting : %s", error.toString())));
+    errorToReturn.cause = error;
+
+    /** @type {MongoDbManager._handlePostConnection~Context} */
+    const postConnectionContext = {
+      mongoClientInstance: mongoClientInstance
+    };
 
-      // Call post connection
-      context.logger.debug("[%s][Step:%s][%s] Call the handle post connection", __pretty_name__, __step_name__, '_mongoConnectionSuccess');
-      context.manager._handlePostConnection(postConnectionContext)
-        .then(_handlePostConnectionCallback)
-        .catch(error => {
-          context.logger.debug("[%s][Step:%s][%s] Received error from _handlePostConnection: %s\n%s",
-            __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
+    // Call post connection
+    context.logger.debug("[%s][Step:%s][%s] Call the post connection", __pretty_name__, __step_name__, '_mongoConnectionError');
+    context.manager._handlePostConnection(postConnectionContext, errorToReturn)
+      .then(() => {
+        context.logger.debug("[%s][Step:%s][%s][%s] Done -> Next step", __pretty_name__, __step_name__, '_mongoConnectionError', '_handlePostConnection');
+        setImmediate(attemptDone, errorToReturn, true);
+      })
+      .catch(error => {
+        context.logger.debug("[%s][Step:%s][%s][%s] Done -> Next step", __pretty_name__, __step_name__, '_mongoConnectionError', '_handlePostConnection');
+        setImmediate(attemptDone, error, true);
+      });
+  }
 
-          // Should close the database
-          db.close(true)
-            .then(() => {
-              context.logger.debug("[%s][Step:%s][%s] Connection closed with success",
-                __pretty_name__, __step_name__, '_mongoConnectionSuccess');
-              setImmediate(stepDone, error);
-            })
-            .catch(error => {
-              context.logger.debug("[%s][Step:%s][%s] Failed to close the connection: %s\n%s",
-                __pretty_name__, __step_name__, '_mongoConnectionSuccess', error.message, error.stack);
-              setImmediate(stepDone, error);
-            });
-        });
+  function _connectionTimeout() {
+    _removeListeners();
+    if (!connectionTimeoutId) {
+      context.logger.debug("[%s][Step:%s][%s][Timeout] No timeout. rule=ignore", __pretty_name__, __step_name__, '_connectionTimeout');
+      return; // Ignore it
+    }
+
+    context.logger.error("[%s][Step:%s][%s][Timeout] Reach the timeout after %d ms", __pretty_name__, __step_name__, '_connectionTimeout', timeoutMs);
+    connectionTimeoutId = null;
+    connectionTimedOut = true;
+    const errorToReturn = new exceptions.TimedOutException(util.format("Connection timeout. Reached after %d ms", timeoutMs));
+
+    /** @type {MongoDbManager._handlePostConnection~Context} */
+    const postConnectionContext = {
+      mongoClientInstance: mongoClientInstance
+    };
+
+    // Call post connection
+    context.logger.debug("[%s][Step:%s][%s] Call the post connection", __pretty_name__, __step_name__, '_connectionTimeout');
+    context.manager._handlePostConnection(postConnectionContext, errorToReturn)
+      .then(() => {
+        setImmediate(attemptDone, errorToReturn, true);
+      })
+      .catch(error => {
+        setImmediate(attemptDone, error, true);
+      });
+  }
+
+  // Start the connection
+  connectionTimeoutId = setTimeout(_connectionTimeout, timeoutMs);
+  mongoClientInstance.connect()
+    .then(() => _mongoConnectionSuccess(), _mongoConnectionError);
+}
+
+/**
+ * @description Emit the event with the manager of the context
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {string} signal The signal
+ * @param {Object} payload The payload
+ * @private
+ */
+function _emitContextEvent(context, signal, payload) {
+  if (context.manager && _.isFunction(context.manager.emit)) {
+    context.manager.emit(signal, payload);
+  }
+}
+
+/**
+ * @description Returns the name of the database used to index the collections
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {string|undefined} databaseName The database name. Undefined for the default one
+ * @return {string} The database name
+ * @private
+ */
+function _getContextDatabaseName(context, databaseName) {
+  return databaseName || context.mongoDataBase.databaseName;
+}
+
+/**
+ * @description Returns the database. The other databases share the connection of the default one
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {string|undefined} databaseName The database name. Undefined for the default one
+ * @return {Object} The database
+ * @private
+ */
+function _getContextDatabase(context, databaseName) {
+  if (!databaseName || databaseName === context.mongoDataBase.databaseName) {
+    return context.mongoDataBase;
+  }
+
+  context.databases = context.databases || {};
+  if (!context.databases[databaseName]) {
+    context.databases[databaseName] = context.mongoClientInstance.db(databaseName);
+  }
+  return context.databases[databaseName];
+}
+
+/**
+ * @description Returns the fetched collection for the collection option
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {MongoDbManager.initialize~CollectionOption} collectionOption The collection option
+ * @return {Object|undefined} The collection
+ * @private
+ */
+function _getContextCollection(context, collectionOption) {
+  if (!context.collectionsByDatabase) {
+    // Context built without databases
+    return context.collections[collectionOption.name];
+  }
+
+  return _.get(context.collectionsByDatabase, [_getContextDatabaseName(context, collectionOption.database), collectionOption.name]);
+}
+
+/**
+ * @typedef {Object} MongoDbManager._handleConnection~Context
+ * @description Contains the data for each step
+ * @property {MongoDbManager} manager The manager instance
+ * @property {MongoDbManager.init~Options} mongoDbOptions The mongoDB options
+ * @property {Function} mongoDbDriver The mongoDB Driver to use
+ * @property {number} connectionTimeoutMs The connection timeout
+ * @property {Object} logger The logger to use
+ * @property {mongodb.MongoClient|undefined} mongoClientInstance The mongoDB client instance (when connection succeed)
+ * @property {mongodb.Db|undefined} mongoDataBase The current database used
+ * @property {Object} databases The other databases used by name
+ * @property {Object} collections The collections by aliases or names
+ * @property {Object} collectionsByDatabase The collections by database names then by collection names
+ * @property {Object|undefined} indexDrift The index drift by collection names. Prefixed by the database for the other databases
+ * @property {Error|undefined} closeError The error returned when closing the database after a failed step
+ * @property {Object|undefined} seedReport The {@link Seed~Report} by collection namespaces
+ */
+/**
+ * @typedef {Function} MongoDbManager._handleConnection~Step
+ * @description A step
+ * @property {MongoDbManager._handleConnection~Context} context The context
+ * @property {Function} stepDone The callback to tell the step finished with or without error
+ */
+
+/**
+ * @description Contains step to handle the connection
+ * @type {Object}
+ * @property {MongoDbManager._handleConnection~Step} connection The first step is to do the mongoDB connection
+ * @property {MongoDbManager._handleConnection~Step} createCollections Create the missing collections with their options
+ * @property {MongoDbManager._handleConnection~Step} fetchCollections Fetch the collections
+ * @property {MongoDbManager._handleConnection~Step} initializeCollectionIndex Create the index and reconcile the existing ones
+ * @property {MongoDbManager._handleConnection~Step} seedCollections Apply the seed documents
+ * @property {MongoDbManager._handleConnection~Step} runMigrations Run the pending migrations if asked
+ * @property {MongoDbManager._handleConnection~Step} exportVariables Export the public variables
+ */
+MongoDbManager.prototype._handleConnection.Steps = {
+  connection: function (context, stepDone) {
+    const __pretty_name__ = '_handleConnection', __step_name__ = 'connection';
+
+    const retry = _.get(context.mongoDbOptions, 'connectionRetry') || {},
+      maxAttempts = retry.maxAttempts || (retry.deadlineMs ? Infinity : 1),
+      delayMs = retry.delayMs || 0,
+      startTime = Date.now();
+    let attempt = 0;
+
+    function _tryConnection() {
+      ++attempt;
+      context.logger.debug("[%s][Step:%s] Connection attempt %d to %s", __pretty_name__, __step_name__, attempt,
+        connectionString.redactConnectionString(context.mongoDbOptions.connectionString));
+      // The attempt must not go past the deadline
+      const attemptTimeoutMs = retry.deadlineMs ?
+        Math.max(1, Math.min(context.connectionTimeoutMs, retry.deadlineMs - (Date.now() - startTime))) : context.connectionTimeoutMs;
+      _connectionAttempt(context, attemptTimeoutMs, (error, retryable) => {
+        if (!error) {
+          return stepDone();
+        }
+
+        const elapsedMs = Date.now() - startTime;
+        if (retryable !== true || attempt >= maxAttempts || (retry.deadlineMs && elapsedMs + delayMs >= retry.deadlineMs)) {
+          context.logger.error("[%s][Step:%s] Connection failed after %d attempt(s) and %d ms: %s",
+            __pretty_name__, __step_name__, attempt, elapsedMs, error.message);
+          return stepDone(error);
+        }
+
+        context.logger.warn("[%s][Step:%s] Connection attempt %d failed: %s. Retry in %d ms",
+          __pretty_name__, __step_name__, attempt, error.message, delayMs);
+        setTimeout(_tryConnection, delayMs);
+      });
+    }
+
+    _tryConnection();
+  },
+  createCollections: function (context, stepDone) {
+    const __pretty_name__ = '_handleConnection', __step_name__ = 'createCollections';
+
+    const collectionsToCreate = _.filter(context.mongoDbOptions.collections, collection => _.isObjectLike(collection.createOptions));
+    if (collectionsToCreate.length === 0) {
+      return stepDone();
     }
 
     /**
-     * Handle the error returned by the connection
-     * @param {Error} error The error
+     * @description Returns the task to create or update the collection
+     * @param {MongoDbManager.initialize~CollectionOption} collection The collection option
+     * @param {boolean} exists <code>true</code> if the collection already exists
+     * @return {Function} The task function
      * @private
      */
-    function _mongoConnectionError(error) {
-      context.logger.debug("[%s][Step:%s][%s][Connection][Error] %s\n%s", __pretty_name__, __step_name__, '_mongoConnectionError', error.toString(), error.stack);
-      _removeListeners();
-
-      if (connectionTimedOut) {
-        // Ignore because the timeout already append
-        context.logger.debug("[%s][Step:%s][%s][Connection][Error] Timeout already reached Rule=ignore", '_mongoConnectionError', __pretty_name__, __step_name__);
-        return;
-      }
+    function _createTaskCreateCollection(collection, exists) {
+      return function _taskCreateCollection(taskDone) {
+        if (!exists) {
+          context.logger.debug("[%s][Step:%s][Collection:%s] Create the collection with options '%s'",
+            __pretty_name__, __step_name__, collection.name, JSON.stringify(collection.createOptions));
+          return _getContextDatabase(context, collection.database).createCollection(collection.name, _.cloneDeep(collection.createOptions))
+            .then(() => {
+              context.logger.info("[%s][Step:%s][Collection:%s] Collection created", __pretty_name__, __step_name__, collection.name);
+              taskDone();
+            })
+            .catch(error => {
+              if (error.code === MONGODB_ERROR_CODE_NAMESPACE_EXISTS) {
+                // Created by someone else in the meantime
+                context.logger.debug("[%s][Step:%s][Collection:%s] Collection already exists", __pretty_name__, __step_name__, collection.name);
+                return taskDone();
+              }
+
+              context.logger.error("[%s][Step:%s][Collection:%s] createCollection failed : %s\n%s",
+                __pretty_name__, __step_name__, collection.name, error.message, error.stack);
+              taskDone(error);
+            });
+        }
 
-      context.logger.error("[%s][Step:%s][%s][Connection][Error] %s\n%s", __pretty_name__, __step_name__, '_mongoConnectionError', error.toString(), error.stack);
-      context.logger.debug("[%s][Step:%s][%s][Connection][Error] Clear the timeout", __pretty_name__, __step_name__, '_mongoConnectionError');
-      clearTimeout(connectionTimeoutId);
-      connectionTimeoutId = undefined;
-      const errorToReturn = new Error(util.format("Error while connecting : %s", error.toString()));
-      errorToReturn.cause = error;
+        const collModCommand = _.pick(collection.createOptions, ['validator', 'validationLevel', 'validationAction']);
+        if (collection.updateExisting !== true || _.isEmpty(collModCommand)) {
+          context.logger.debug("[%s][Step:%s][Collection:%s] Collection exists. rule=ignore", __pretty_name__, __step_name__, collection.name);
+          return taskDone();
+        }
 
-      /** @type {MongoDbManager._handlePostConnection~Context} */
-      const postConnectionContext = {
-        mongoClientInstance: mongoClientInstance
+        context.logger.debug("[%s][Step:%s][Collection:%s] Update the collection with '%s'",
+          __pretty_name__, __step_name__, collection.name, JSON.stringify(collModCommand));
+        _getContextDatabase(context, collection.database).command(_.assign({collMod: collection.name}, collModCommand))
+          .then(() => {
+            context.logger.info("[%s][Step:%s][Collection:%s] Collection updated", __pretty_name__, __step_name__, collection.name);
+            taskDone();
+          })
+          .catch(error => {
+            context.logger.error("[%s][Step:%s][Collection:%s] collMod failed : %s\n%s",
+              __pretty_name__, __step_name__, collection.name, error.message, error.stack);
+            taskDone(error);
+          });
       };
-
-      // Call post connection
-      context.logger.debug("[%s][Step:%s][%s] Call the post connection", __pretty_name__, __step_name__, '_mongoConnectionError');
-      context.manager._handlePostConnection(postConnectionContext, errorToReturn)
-        .then(() => {
-          context.logger.debug("[%s][Step:%s][%s][%s] Done -> Next step", __pretty_name__, __step_name__, '_mongoConnectionError', '_handlePostConnection');
-          setImmediate(stepDone, errorToReturn);
-        })
-        .catch(error => {
-          context.logger.debug("[%s][Step:%s][%s][%s] Done -> Next step", __pretty_name__, __step_name__, '_mongoConnectionError', '_handlePostConnection');
-          setImmediate(stepDone, error);
-        });
     }
 
-    function _connectionTimeout() {
-      _removeListeners();
-      if (!connectionTimeoutId) {
-        context.logger.debug("[%s][Step:%s][%s][Timeout] No timeout. rule=ignore", __pretty_name__, __step_name__, '_connectionTimeout');
-        return; // Ignore it
-      }
+    // List the existing collections of each database used
+    const databaseNames = _.uniq(_.map(collectionsToCreate, 'database'));
+    const listPromises = _.map(databaseNames, databaseName => {
+      return _getContextDatabase(context, databaseName).listCollections({}, {nameOnly: true}).toArray()
+        .then(existingCollections => _.map(existingCollections, 'name'));
+    });
 
-      context.logger.error("[%s][Step:%s][%s][Timeout] Reach the timeout after %d ms", __pretty_name__, __step_name__, '_connectionTimeout', context.connectionTimeoutMs);
-      connectionTimeoutId = null;
-      connectionTimedOut = true;
-      return stepDone(new exceptions.TimedOutException(util.format("Connection timeout. Reached after %d ms", context.connectionTimeoutMs)));
-    }
+    Promise.all(listPromises)
+      .then(existingNamesByDatabase => {
+        const tasks = _.map(collectionsToCreate, collection => {
+          const existingNames = existingNamesByDatabase[_.indexOf(databaseNames, collection.database)];
+          return _createTaskCreateCollection(collection, _.includes(existingNames, collection.name));
+        });
+
+        async.parallel(tasks, function _parallelDone(error) {
+          if (error) {
+            context.logger.error("[%s][Step:%s][Tasks:end][Error] %s",
+              __pretty_name__, __step_name__, error.toString(), error);
+            return stepDone(error);
+          }
 
-    // Start the connection
-    connectionTimeoutId = setTimeout(_connectionTimeout, context.connectionTimeoutMs);
-    const connectionOptions = {};
-    mongoClientInstance = new context.mongoDbDriver();
-    mongoClientInstance.connect(context.mongoDbOptions.connectionString, connectionOptions)
-      .then(_mongoConnectionSuccess, _mongoConnectionError);
+          return stepDone();
+        });
+      })
+      .catch(error => {
+        context.logger.error("[%s][Step:%s] Failed to list the collections: %s\n%s",
+          __pretty_name__, __step_name__, error.message, error.stack);
+        stepDone(error);
+      });
   },
   fetchCollections: function (context, stepDone) {
     const __pretty_name__ = '_handleConnection', __step_name__ = 'fetchCollections';
 
-    const collectionNames = _.map(context.mongoDbOptions.collections, function (collection) {
-      return collection.name;
-    });
-
     // Create promises
-    const fetchPromises = _.map(collectionNames, collectionName => {
+    const fetchPromises = _.map(context.mongoDbOptions.collections, collectionOption => {
+      const collectionName = collectionOption.name;
+
       return new Promise((resolve, reject) => {
-        context.mongoDataBase.collection(collectionName, undefined, (error, collection) => {
+        _getContextDatabase(context, collectionOption.database).collection(collectionName, _getCollectionDriverOptions(collectionOption), (error, collection) => {
           if (error) {
             context.logger.error("[%s][Step:%s] Failed to fetch the collection '%s': %s\n%s",
               __pretty_name__, __step_name__, collectionName, error.message, error.stack);
@@ -504,6 +1384,9 @@ MongoDbManager.prototype._handleConnection.Steps = {
               __pretty_name__, __step_name__, collectionName);
             setImmediate(resolve, {
               collectionName: collectionName,
+              alias: collectionOption.alias,
+              databaseName: _getContextDatabaseName(context, collectionOption.database),
+              isDefaultDatabase: !collectionOption.database,
               collection: collection
             });
           }
@@ -513,8 +1396,16 @@ MongoDbManager.prototype._handleConnection.Steps = {
 
     Promise.all(fetchPromises)
       .then(result => {
+        context.collectionsByDatabase = context.collectionsByDatabase || {};
         _.each(result, el => {
-          context.collections[el.collectionName] = el.collection;
+          _.set(context.collectionsByDatabase, [el.databaseName, el.collectionName], el.collection);
+
+          if (el.alias) {
+            context.collections[el.alias] = el.collection;
+          } else if (!context.collections[el.collectionName] || el.isDefaultDatabase) {
+            // The collections of the default database have the priority
+            context.collections[el.collectionName] = el.collection;
+          }
         });
 
         setImmediate(stepDone);
@@ -526,15 +1417,19 @@ MongoDbManager.prototype._handleConnection.Steps = {
   initializeCollectionIndex: function (context, stepDone) {
     const __pretty_name__ = '_handleConnection', __step_name__ = 'initializeCollectionIndex';
 
+    const mode = context.mongoDbOptions.indexReconciliation || indexReconciliation.Modes.createOnly;
+
     // Create the index
     const collectionsWithIndex = [];
     _.each(context.mongoDbOptions.collections, function (collection) {
-      if (!collection.index || collection.index.length <= 0) {
+      if ((!collection.index || collection.index.length <= 0) && mode !== indexReconciliation.Modes.sync) {
         return;
       }
 
       const collectionWithIndex = {
         name: collection.name,
+        namespace: collection.database ? util.format("%s.%s", collection.database, collection.name) : collection.name,
+        collection: _getContextCollection(context, collection),
         indexes: _.map(collection.index, function (index) {
           return {
             keys: index.native.keys,
@@ -552,19 +1447,22 @@ MongoDbManager.prototype._handleConnection.Steps = {
 
     /**
      * @description Returns the task to create the index for the specified collection
-     * @param {String} collectionName The collection name
+     * @param {Object} collectionWithIndex The collection with the declared indexes
      * @param {Object} index The index
      * @return {Function} The task function
      * @private
      */
-    function _createTaskCreateIndex(collectionName, index) {
+    function _createTaskCreateIndex(collectionWithIndex, index) {
+      const collectionName = collectionWithIndex.name,
+        collection = collectionWithIndex.collection;
+
       return function _taskCreateIndex(taskDone) {
-        if (!context.collections[collectionName]) {
+        if (!collection) {
           const error = new Error(util.format("Cannot find the collection '%s'", collectionName));
           context.logger.error("[%s][Step:%s] Cannot find the collection '%s'",
             __pretty_name__, __step_name__, collectionName);
           return taskDone(error);
-        } else if (!_.isFunction(context.collections[collectionName].createIndex)) {
+        } else if (!_.isFunction(collection.createIndex)) {
           const error = new Error(util.format("The collection '%s' does not have the function 'createIndex'", collectionName));
           context.logger.error("[%s][Step:%s][Collection:%s] The collection does not have the function 'createIndex'",
             __pretty_name__, __step_name__, collectionName);
@@ -573,28 +1471,147 @@ MongoDbManager.prototype._handleConnection.Steps = {
 
         context.logger.debug("[%s][Step:%s][Collection:%s] Create the index '%s'",
           __pretty_name__, __step_name__, collectionName, JSON.stringify(index));
-        context.collections[collectionName].createIndex(index.keys, index.options)
+        const startTime = Date.now(),
+          indexEvent = {
+            collectionName: collectionName,
+            namespace: collectionWithIndex.namespace,
+            indexName: indexReconciliation.getIndexName(index.keys, index.options),
+            keys: index.keys,
+            options: index.options
+          };
+        collection.createIndex(index.keys, index.options)
           .then(() => {
             context.logger.debug("[%s][Step:%s][Collection:%s] Create the index succeed : '%s'",
               __pretty_name__, __step_name__, collectionName, JSON.stringify(index));
+            _emitContextEvent(context, MongoDbManager.Signals.indexCreated, _.assign({
+              timestamp: new Date(),
+              durationMs: Date.now() - startTime
+            }, indexEvent));
             return taskDone();
           })
           .catch(error => {
             context.logger.error("[%s][Step:%s][Collection:%s] createIndex failed : %s\n%s",
               __pretty_name__, __step_name__, collectionName, error.message, error.stack);
+            _emitContextEvent(context, MongoDbManager.Signals.indexFailed, _.assign({
+              timestamp: new Date(),
+              error: error
+            }, indexEvent));
+            return taskDone(error);
+          });
+      };
+    }
+
+    /**
+     * @description Returns the task to drop the index for the specified collection
+     * @param {Object} collectionWithIndex The collection with the declared indexes
+     * @param {String} indexName The index name
+     * @return {Function} The task function
+     * @private
+     */
+    function _createTaskDropIndex(collectionWithIndex, indexName) {
+      const collectionName = collectionWithIndex.name;
+
+      return function _taskDropIndex(taskDone) {
+        context.logger.warn("[%s][Step:%s][Collection:%s] Drop the index '%s'",
+          __pretty_name__, __step_name__, collectionName, indexName);
+        collectionWithIndex.collection.dropIndex(indexName)
+          .then(() => {
+            context.logger.debug("[%s][Step:%s][Collection:%s] Drop the index succeed : '%s'",
+              __pretty_name__, __step_name__, collectionName, indexName);
+            return taskDone();
+          })
+          .catch(error => {
+            context.logger.error("[%s][Step:%s][Collection:%s] dropIndex failed : %s\n%s",
+              __pretty_name__, __step_name__, collectionName, error.message, error.stack);
             return taskDone(error);
           });
       };
     }
 
+    /**
+     * @description List the existing indexes of the collection
+     * @param {Object} collectionWithIndex The collection with the declared indexes
+     * @return {Promise} Resolved with the indexes or undefined if the indexes cannot be listed in mode create-only
+     * @private
+     */
+    function _listIndexes(collectionWithIndex) {
+      const collection = collectionWithIndex.collection;
+      if (!collection || !_.isFunction(collection.listIndexes)) {
+        if (mode === indexReconciliation.Modes.createOnly) {
+          return Promise.resolve(undefined);
+        }
+
+        return Promise.reject(new Error(util.format("Cannot list the indexes of the collection '%s'", collectionWithIndex.name)));
+      }
+
+      return collection.listIndexes().toArray()
+        .catch(error => {
+          if (error.code === MONGODB_ERROR_CODE_NAMESPACE_NOT_FOUND) {
+            return [];
+          }
+
+          throw error;
+        });
+    }
+
+    /**
+     * @description Returns the task to reconcile the indexes for the specified collection
+     * @param {Object} collectionWithIndex The collection with the declared indexes
+     * @return {Function} The task function
+     * @private
+     */
+    function _createTaskReconcileCollection(collectionWithIndex) {
+      const collectionName = collectionWithIndex.name;
+
+      return function _taskReconcileCollection(taskDone) {
+        _listIndexes(collectionWithIndex)
+          .then(existingIndexes => {
+            if (!existingIndexes) {
+              context.logger.debug("[%s][Step:%s][Collection:%s] Cannot list the indexes. Create all",
+                __pretty_name__, __step_name__, collectionName);
+              return async.series(_.map(collectionWithIndex.indexes, index => _createTaskCreateIndex(collectionWithIndex, index)), error => taskDone(error));
+            }
+
+            const drift = indexReconciliation.computeIndexDrift(collectionWithIndex.indexes, existingIndexes);
+            context.indexDrift[collectionWithIndex.namespace] = drift;
+            if (indexReconciliation.hasDrift(drift)) {
+              context.logger.warn("[%s][Step:%s][Collection:%s][Mode:%s] Index drift detected: %s",
+                __pretty_name__, __step_name__, collectionName, mode, indexReconciliation.formatDrift(drift));
+            } else {
+              context.logger.debug("[%s][Step:%s][Collection:%s] No index drift", __pretty_name__, __step_name__, collectionName);
+            }
+
+            const tasks = [];
+            if (mode === indexReconciliation.Modes.sync) {
+              _.each(drift.stale, index => tasks.push(_createTaskDropIndex(collectionWithIndex, index.name)));
+              _.each(drift.conflicting, conflict => tasks.push(_createTaskDropIndex(collectionWithIndex, conflict.existing.name)));
+            }
+            if (mode !== indexReconciliation.Modes.report) {
+              _.each(drift.missing, index => tasks.push(_createTaskCreateIndex(collectionWithIndex, index)));
+            }
+            if (mode === indexReconciliation.Modes.sync) {
+              // Rebuilt only once the existing definition is dropped
+              _.each(drift.conflicting, conflict => tasks.push(_createTaskCreateIndex(collectionWithIndex, conflict.declared)));
+            } else if (mode === indexReconciliation.Modes.createOnly) {
+              _.each(drift.conflicting, conflict => {
+                context.logger.warn("[%s][Step:%s][Collection:%s][Mode:%s] The index '%s' differs from the declared one and is kept. Use the mode sync to rebuild it",
+                  __pretty_name__, __step_name__, collectionName, mode, conflict.existing.name);
+              });
+            }
+
+            async.series(tasks, error => taskDone(error));
+          })
+          .catch(error => {
+            context.logger.error("[%s][Step:%s][Collection:%s] Failed to list the indexes: %s\n%s",
+              __pretty_name__, __step_name__, collectionName, error.message, error.stack);
+            taskDone(error);
+          });
+      };
+    }
+
     // create the tasks
-    const tasks = [];
-    _.each(collectionsWithIndex, function (collectionWithIndex) {
-      // For each index
-      _.each(collectionWithIndex.indexes, function (index) {
-        tasks.push(_createTaskCreateIndex(collectionWithIndex.name, index));
-      });
-    });
+    context.indexDrift = {};
+    const tasks = _.map(collectionsWithIndex, _createTaskReconcileCollection);
 
     // Tasks created now
     async.parallel(tasks, function _parallelDone(error) {
@@ -608,6 +1625,56 @@ MongoDbManager.prototype._handleConnection.Steps = {
       return stepDone();
     });
   },
+  seedCollections: function (context, stepDone) {
+    const __pretty_name__ = '_handleConnection', __step_name__ = 'seedCollections';
+
+    const collectionsToSeed = _.filter(context.mongoDbOptions.collections, collection => _.isObjectLike(collection.seed));
+    context.seedReport = {};
+    if (collectionsToSeed.length === 0) {
+      return stepDone();
+    }
+
+    async.eachSeries(collectionsToSeed, (collectionOption, collectionDone) => {
+      const collection = _getContextCollection(context, collectionOption);
+      if (!collection) {
+        return setImmediate(collectionDone, new exceptions.IllegalStateException(util.format("Unknown collection '%s' to seed", collectionOption.name)));
+      }
+
+      context.logger.debug("[%s][Step:%s][Collection:%s] Apply the seed", __pretty_name__, __step_name__, collection.namespace);
+      seed.loadSeedDocuments(collectionOption.seed)
+        .then(documents => seed.seedCollection(collection, documents, collectionOption.seed.key))
+        .then(report => {
+          context.logger.info("[%s][Step:%s][Collection:%s] Seed applied: %d inserted, %d updated, %d unchanged",
+            __pretty_name__, __step_name__, collection.namespace, report.inserted, report.updated, report.unchanged);
+          context.seedReport[collection.namespace] = report;
+          setImmediate(collectionDone);
+        })
+        .catch(error => {
+          context.logger.error("[%s][Step:%s][Collection:%s] Seed failed: %s\n%s",
+            __pretty_name__, __step_name__, collection.namespace, error.message, error.stack);
+          setImmediate(collectionDone, error);
+        });
+    }, stepDone);
+  },
+  runMigrations: function (context, stepDone) {
+    const __pretty_name__ = '_handleConnection', __step_name__ = 'runMigrations';
+
+    const migrationsOptions = context.mongoDbOptions.migrations;
+    if (!migrationsOptions || migrationsOptions.runOnConnect !== true) {
+      return stepDone();
+    }
+
+    context.logger.debug("[%s][Step:%s] Run the pending migrations", __pretty_name__, __step_name__);
+    context.manager._createMigrationRunner(context.mongoDataBase, context.collections).migrate()
+      .then(appliedVersions => {
+        context.logger.info("[%s][Step:%s] %d migration(s) applied", __pretty_name__, __step_name__, appliedVersions.length);
+        setImmediate(stepDone);
+      })
+      .catch(error => {
+        context.logger.error("[%s][Step:%s] Migrations failed: %s\n%s", __pretty_name__, __step_name__, error.message, error.stack);
+        setImmediate(stepDone, error);
+      });
+  },
   exportVariables: function (context, stepDone) {
     const __pretty_name__ = '_handleConnection', __step_name__ = 'exportVariables';
 
@@ -638,9 +1705,24 @@ MongoDbManager.prototype._handleConnection.Steps = {
 
     context.logger.debug("[%s][Step:%s] Create the collection container", __pretty_name__, __step_name__);
     const virtualCollections = Object.create(Object.prototype, objProperties);
-    context.logger.debug("[%s][Step:%s] Apply the container by setting the manager property", __pretty_name__, __step_name__);
-    context.manager.properties.virtualCollections = virtualCollections;
-    context.manager.properties.mongoDbCollections = context.collections;
+    context.exportedVariables = {
+      virtualCollections: virtualCollections,
+      mongoDbCollections: context.collections,
+      mongoDbCollectionsByDatabase: context.collectionsByDatabase,
+      mongoDataBases: context.databases,
+      seedReport: context.seedReport
+    };
+    if (context.deferExport) {
+      // The reconfiguration applies them once all the steps succeed
+      context.logger.debug("[%s][Step:%s] Export deferred", __pretty_name__, __step_name__);
+    } else {
+      context.logger.debug("[%s][Step:%s] Apply the container by setting the manager property", __pretty_name__, __step_name__);
+      context.manager.properties.virtualCollections = virtualCollections;
+      context.manager.properties.mongoDbCollections = context.collections;
+      context.manager.properties.mongoDbCollectionsByDatabase = context.collectionsByDatabase;
+      context.manager.properties.mongoDataBases = context.databases;
+      context.manager.properties.seedReport = context.seedReport;
+    }
 
     context.logger.debug("[%s][Step:%s][Exit]", __pretty_name__, __step_name__);
     return stepDone();
@@ -649,67 +1731,1816 @@ MongoDbManager.prototype._handleConnection.Steps = {
 
 
 /**
- * @typedef {Object} MongoDbManager._handlePostConnection~Context
- * @description The context for this post connection
- * @property {Object} mongoClientInstance The instance used for the connection
- * @property {Object} mongoDataBase The instance of the current selected database
+ * @description Contains the rollback of the built-in steps. Called when a later step fails
+ * @type {Object}
+ * @property {Function} connection Close the connection opened
+ * @property {Function} exportVariables Remove the exported collections
  */
+MongoDbManager.prototype._handleConnection.Rollbacks = {
+  connection: function (context) {
+    const mongoClientInstance = context.mongoClientInstance;
+    context.mongoClientInstance = undefined;
+    context.mongoDataBase = undefined;
+    if (!mongoClientInstance) {
+      return Promise.resolve();
+    }
+
+    context.logger.debug("[%s][Rollback:%s] Close the connection", '_handleConnection', 'connection');
+    return mongoClientInstance.close(true)
+      .catch(error => {
+        context.closeError = error;
+        throw error;
+      });
+  },
+  exportVariables: function (context) {
+    const exportedVariables = context.exportedVariables;
+    context.exportedVariables = undefined;
+    if (!context.deferExport) {
+      context.manager._resetExportedVariables();
+    } else if (exportedVariables) {
+      context.logger.debug("[%s][Rollback:%s] Drop the deferred export", '_handleConnection', 'exportVariables');
+    }
+    return Promise.resolve();
+  }
+};
+
 /**
- * @typedef {callback} MongoDbManager._handlePostConnection~Callback
- * @param {Error|undefined} [error] Return an error to change the behaviour.
- *  In case of success returning an error will close the connection and return an error to the client
+ * @description Set the collections and databases exported by the step exportVariables
+ * @param {Object} exportedVariables The variables of the context
+ * @private
  */
+MongoDbManager.prototype._applyExportedVariables = function (exportedVariables) {
+  this.properties.virtualCollections = exportedVariables.virtualCollections;
+  this.properties.mongoDbCollections = exportedVariables.mongoDbCollections;
+  this.properties.mongoDbCollectionsByDatabase = exportedVariables.mongoDbCollectionsByDatabase;
+  this.properties.mongoDataBases = exportedVariables.mongoDataBases;
+  this.properties.seedReport = exportedVariables.seedReport;
+};
 
 /**
- * @description Override this function to handle post connection.
- * @param {MongoDbManager._handlePostConnection~Context} context The context
- * @param {Error|undefined} [error] If the connection failed, the error
- * @return {Promise} The promise object
+ * @description Remove the collections, databases and seed report exported by the step exportVariables
+ * @private
  */
-MongoDbManager.prototype._handlePostConnection = function (context, error) {
-
-  return new Promise((resolve, reject) => {
-    if (error) {
-      setImmediate(reject, error);
-    } else {
-      setImmediate(resolve);
-    }
-  });
+MongoDbManager.prototype._resetExportedVariables = function () {
+  this.properties.virtualCollections = {};
+  this.properties.mongoDbCollections = undefined;
+  this.properties.mongoDbCollectionsByDatabase = undefined;
+  this.properties.mongoDataBases = undefined;
+  this.properties.seedReport = undefined;
 };
 
-
 /**
- * @inheritDoc
+ * @typedef {Function} MongoDbManager~ConnectionStepHandler
+ * @description A custom connection step
+ * @param {MongoDbManager._handleConnection~Context} context The context. The previous steps filled it
+ * @return {Promise|*} The step is finished when the promise is resolved. Rejected to fail the connection
+ */
+/**
+ * @typedef {Function} MongoDbManager~ConnectionStepRollback
+ * @description Undo a step when a later step fails
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {Error} error The error which failed the connection
+ * @return {Promise|*} The promise object. A rejection is logged and ignored
+ */
+/**
+ * @typedef {Object} MongoDbManager~ConnectionStepOptions
+ * @property {string|undefined} before Insert the step before this step
+ * @property {string|undefined} after Insert the step after this step. Added at the end if neither before or after is given
+ * @property {number|undefined} timeoutMs Fail the step with a TimedOutException after this delay
+ * @property {MongoDbManager~ConnectionStepRollback|undefined} rollback Called when the step or a later step fails
  */
-MongoDbManager.prototype._handleDisconnection = function () {
-  const __pretty_name__ = '_handleDisconnection';
 
-  return new Promise((resolve, reject) => {
+/**
+ * @description Returns the index of the step or throw
+ * @param {string} stepName The step name
+ * @return {number} The index
+ * @throws {IllegalArgumentException} If the step does not exist
+ * @private
+ */
+MongoDbManager.prototype._getConnectionStepIndex = function (stepName) {
+  const index = _.findIndex(this.properties.connectionSteps, {name: stepName});
+  if (index < 0) {
+    throw new exceptions.IllegalArgumentException(util.format("Unknown connection step '%s'", stepName));
+  }
+  return index;
+};
 
-    this.properties.mongoDataBase.close()
-      .then(() => {
-        this.logger.warn("[%s][%s] Disconnected", __pretty_name__, '_handleClosed');
+/**
+ * @description Validate the common step options
+ * @param {MongoDbManager~ConnectionStepOptions} options The options
+ * @throws {IllegalArgumentException} If invalid
+ * @private
+ */
+function _validateConnectionStepOptions(options) {
+  if (!_.isUndefined(options.timeoutMs) && !(_.isInteger(options.timeoutMs) && options.timeoutMs > 0)) {
+    throw new exceptions.IllegalArgumentException("The timeoutMs must be a positive integer");
+  } else if (!_.isUndefined(options.rollback) && !_.isFunction(options.rollback)) {
+    throw new exceptions.IllegalArgumentException("The rollback must be a function");
+  }
+}
 
-        if (this.properties.currentConnexionContext) {
-          this.logger.debug("[%s] Free the connection context", __pretty_name__);
-          this.properties.currentConnexionContext.freeContext();
-          this.logger.debug("[%s] Destroy the connection context", __pretty_name__);
-          this.properties.currentConnexionContext = undefined;
-          delete this.properties.currentConnexionContext;
-        }
+/**
+ * @description Register a custom connection step. The steps run on each connection and reconnection
+ * @param {string} stepName The unique step name
+ * @param {MongoDbManager~ConnectionStepHandler} handler The step
+ * @param {MongoDbManager~ConnectionStepOptions} [options] The options
+ * @return {MongoDbManager} The instance
+ * @throws {IllegalArgumentException} If the name is already used, the handler is not a function or the options are invalid
+ */
+MongoDbManager.prototype.addConnectionStep = function (stepName, handler, options) {
+  options = options || {};
+
+  if (!_.isString(stepName) || stepName.length === 0) {
+    throw new exceptions.IllegalArgumentException("The step name must be a non empty string");
+  } else if (_.some(this.properties.connectionSteps, {name: stepName})) {
+    throw new exceptions.IllegalArgumentException(util.format("The connection step '%s' already exists", stepName));
+  } else if (!_.isFunction(handler)) {
+    throw new exceptions.IllegalArgumentException("The step handler must be a function");
+  } else if (options.before && options.after) {
+    throw new exceptions.IllegalArgumentException("The options before and after cannot be used together");
+  }
+  _validateConnectionStepOptions(options);
 
-        this.properties.mongoDataBase = undefined;
-        this.properties.mongoClientInstance = undefined;
+  let index = this.properties.connectionSteps.length;
+  if (options.before) {
+    index = this._getConnectionStepIndex(options.before);
+  } else if (options.after) {
+    index = this._getConnectionStepIndex(options.after) + 1;
+  }
 
-        setImmediate(resolve);
-      })
-      .catch(error => {
-        this.logger.warn("[%s][%s][Error] %s\n%s", __pretty_name__, '_handleClosed', error.message, error.stack);
+  this.properties.connectionSteps.splice(index, 0, {
+    name: stepName,
+    builtIn: false,
+    handler: handler,
+    timeoutMs: options.timeoutMs,
+    rollback: options.rollback
+  });
+  return this;
+};
+
+/**
+ * @description Change the timeout or the rollback of a step. Can be used for the built-in steps
+ * @param {string} stepName The step name
+ * @param {MongoDbManager~ConnectionStepOptions} options The timeoutMs and rollback. The other options are ignored
+ * @return {MongoDbManager} The instance
+ * @throws {IllegalArgumentException} If the step does not exist or the options are invalid
+ */
+MongoDbManager.prototype.configureConnectionStep = function (stepName, options) {
+  options = options || {};
+  _validateConnectionStepOptions(options);
+
+  const step = this.properties.connectionSteps[this._getConnectionStepIndex(stepName)];
+  if (_.has(options, 'timeoutMs')) {
+    step.timeoutMs = options.timeoutMs;
+  }
+  if (_.has(options, 'rollback')) {
+    step.rollback = options.rollback;
+  }
+  return this;
+};
+
+/**
+ * @description Remove a custom connection step
+ * @param {string} stepName The step name
+ * @return {MongoDbManager} The instance
+ * @throws {IllegalArgumentException} If the step does not exist or is a built-in step
+ */
+MongoDbManager.prototype.removeConnectionStep = function (stepName) {
+  const index = this._getConnectionStepIndex(stepName);
+  if (this.properties.connectionSteps[index].builtIn) {
+    throw new exceptions.IllegalArgumentException(util.format("The built-in connection step '%s' cannot be removed", stepName));
+  }
+
+  this.properties.connectionSteps.splice(index, 1);
+  return this;
+};
+
+/**
+ * @description Returns the connection step names in their execution order
+ * @return {string[]} The step names
+ */
+MongoDbManager.prototype.getConnectionSteps = function () {
+  return _.map(this.properties.connectionSteps, 'name');
+};
+
+/**
+ * @description Run a step with its timeout
+ * @param {Object} step The registered step
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {Function} stepDone Receives the error
+ * @private
+ */
+MongoDbManager.prototype._runConnectionStep = function (step, context, stepDone) {
+  let finished = false, timeoutId;
+
+  const _done = error => {
+    if (finished) {
+      this.logger.debug("[%s][Step:%s] Finished after its timeout. rule=ignore", '_runConnectionStep', step.name);
+      return;
+    }
+    finished = true;
+    clearTimeout(timeoutId);
+    stepDone(error);
+  };
+
+  if (step.timeoutMs) {
+    timeoutId = setTimeout(() => {
+      _done(new exceptions.TimedOutException(util.format("The connection step '%s' timed out after %d ms", step.name, step.timeoutMs)));
+    }, step.timeoutMs);
+  }
+
+  try {
+    if (step.builtIn) {
+      // Resolved on each call so the built-in steps can be overridden
+      this._handleConnection.Steps[step.name].call(this, context, error => _done(error));
+    } else {
+      Promise.resolve(step.handler.call(this, context))
+        .then(() => _done(), error => _done(error || new Error(util.format("The connection step '%s' failed", step.name))));
+    }
+  } catch (error) {
+    _done(error);
+  }
+};
+
+/**
+ * @typedef {Object} MongoDbManager~RollbackError
+ * @property {string} step The step name
+ * @property {Error} error The error returned by the rollback
+ */
+/**
+ * @description Call the rollback of the started steps in the reverse order
+ * @param {Object[]} steps The started steps
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {Error} error The error which failed the connection
+ * @return {Promise} Resolved with the {@link MongoDbManager~RollbackError} list. Never rejected
+ * @private
+ */
+MongoDbManager.prototype._rollbackConnectionSteps = function (steps, context, error) {
+  const __pretty_name__ = '_rollbackConnectionSteps',
+    rollbackErrors = [];
+
+  // The custom rollback of a built-in step runs before the built-in one
+  const rollbacks = _.flatMap(steps, step => _.compact([
+    step.builtIn && this._handleConnection.Rollbacks[step.name] ? {step: step.name, fn: this._handleConnection.Rollbacks[step.name]} : undefined,
+    step.rollback ? {step: step.name, fn: step.rollback} : undefined
+  ]));
+
+  return _.reduceRight(rollbacks, (promise, rollback) => {
+    return promise
+      .then(() => {
+        this.logger.debug("[%s][Step:%s] Rollback", __pretty_name__, rollback.step);
+        return rollback.fn.call(this, context, error);
+      })
+      .catch(rollbackError => {
+        this.logger.error("[%s][Step:%s] Rollback failed: %s\n%s", __pretty_name__, rollback.step,
+          rollbackError.message, rollbackError.stack);
+        rollbackErrors.push({
+          step: rollback.step,
+          error: rollbackError
+        });
+      });
+  }, Promise.resolve())
+    .then(() => rollbackErrors);
+};
+
+/**
+ * @description Run the registered connection steps in order. When a step fails the started steps are rolled back.
+ *  The rollback errors are added to the step error with <code>rollbackErrors</code> and the error returned when
+ *  closing the database with <code>closeError</code>
+ * @param {MongoDbManager._handleConnection~Context} context The context
+ * @param {Function} stepsDone Receives the error of the failed step
+ * @fires MongoDbManager#stepStarted
+ * @fires MongoDbManager#stepFinished
+ * @private
+ */
+MongoDbManager.prototype._runConnectionSteps = function (context, stepsDone) {
+  // Copy the steps so a registration during the connection has no effect on it
+  const steps = _.clone(this.properties.connectionSteps),
+    startedSteps = [];
+
+  const tasks = _.map(steps, step => {
+    return stepDone => {
+      const startTime = Date.now();
+
+      startedSteps.push(step);
+      this.emit(MongoDbManager.Signals.stepStarted, {
+        timestamp: new Date(),
+        step: step.name
+      });
+      this._runConnectionStep(step, context, error => {
+        this.emit(MongoDbManager.Signals.stepFinished, {
+          timestamp: new Date(),
+          step: step.name,
+          durationMs: Date.now() - startTime,
+          error: error || undefined
+        });
+        stepDone(error);
+      });
+    };
+  });
+
+  async.waterfall(tasks, error => {
+    if (!error) {
+      return stepsDone();
+    }
+
+    this._rollbackConnectionSteps(startedSteps, context, error)
+      .then(rollbackErrors => {
+        if (rollbackErrors.length > 0 && _.isObjectLike(error)) {
+          error.rollbackErrors = rollbackErrors;
+          error.closeError = context.closeError;
+        }
+        stepsDone(error);
+      });
+  });
+};
+
+/**
+ * @typedef {Object} MongoDbManager._handlePostConnection~Context
+ * @description The context for this post connection
+ * @property {Object} mongoClientInstance The instance used for the connection
+ * @property {Object} mongoDataBase The instance of the current selected database
+ */
+/**
+ * @typedef {callback} MongoDbManager._handlePostConnection~Callback
+ * @param {Error|undefined} [error] Return an error to change the behaviour.
+ *  In case of success returning an error will close the connection and return an error to the client
+ */
+
+/**
+ * @description Override this function to handle post connection.
+ * @param {MongoDbManager._handlePostConnection~Context} context The context
+ * @param {Error|undefined} [error] If the connection failed, the error
+ * @return {Promise} The promise object
+ */
+MongoDbManager.prototype._handlePostConnection = function (context, error) {
+
+  return new Promise((resolve, reject) => {
+    if (error) {
+      setImmediate(reject, error);
+    } else {
+      setImmediate(resolve);
+    }
+  });
+};
+
+
+/**
+ * @inheritDoc
+ * @param {MongoDbManager.disconnect~Options} [options] The options
+ */
+MongoDbManager.prototype._handleDisconnection = function (options) {
+  const __pretty_name__ = '_handleDisconnection';
+
+  options = options || {};
+  const force = options.force === true,
+    drainTimeoutMs = force ? 0 : _.isUndefined(options.drainTimeoutMs) ? _.get(this.properties, 'mongoDbOptions.shutdown.drainTimeoutMs', 0) : options.drainTimeoutMs,
+    deadline = Date.now() + drainTimeoutMs;
+
+  return new Promise((resolve, reject) => {
+    // The client opened by a running reconnection attempt is closed with the others
+    const pendingReconnectionAttempt = this.properties.reconnection ? this.properties.reconnection.pendingAttempt : undefined;
+    this._stopReconnection();
+    this._stopHeartbeat();
+
+    const changeStreamsClosed = this._closeChangeStreams();
+    (drainTimeoutMs > 0 ? _withTimeout(changeStreamsClosed, drainTimeoutMs, "Close the change streams") : Promise.resolve())
+      .catch(error => {
+        this.logger.warn("[%s] The change streams were not closed properly: %s", __pretty_name__, error.message);
+      })
+      .then(() => this._waitForInFlightOperations(Math.max(0, deadline - Date.now())))
+      .then(drained => {
+        if (!drained) {
+          this.logger.warn("[%s] Close with %d operation(s) in-flight%s", __pretty_name__,
+            this.properties.inFlightOperations, force ? " (forced)" : "");
+        }
+        return pendingReconnectionAttempt;
+      })
+      .then(() => {
+        const mongoClientInstance = this.properties.mongoClientInstance;
+        if (!mongoClientInstance) {
+          // The connection was lost and released by the reconnection
+          return undefined;
+        }
+        return force ? mongoClientInstance.close(true) : mongoClientInstance.close();
+      })
+      .then(() => {
+        this.logger.warn("[%s][%s] Disconnected", __pretty_name__, '_handleClosed');
+
+        if (this.properties.currentConnexionContext) {
+          this.logger.debug("[%s] Free the connection context", __pretty_name__);
+          this.properties.currentConnexionContext.freeContext();
+          this.logger.debug("[%s] Destroy the connection context", __pretty_name__);
+          this.properties.currentConnexionContext = undefined;
+          delete this.properties.currentConnexionContext;
+        }
+
+        this.properties.mongoDataBase = undefined;
+        this.properties.mongoDataBases = undefined;
+        this.properties.mongoClientInstance = undefined;
+
+        return this._closeRetiredConnections(force);
+      })
+      .then(() => {
+        setImmediate(resolve);
+      })
+      .catch(error => {
+        this.logger.warn("[%s][%s][Error] %s\n%s", __pretty_name__, '_handleClosed', error.message, error.stack);
 
         setImmediate(reject, error);
       });
   });
 };
 
+/**
+ * @description Tells if the error has the label
+ * @param {Error} error The error
+ * @param {string} label The label
+ * @return {boolean} <code>true</code> if the error has the label
+ * @private
+ */
+function _hasErrorLabel(error, label) {
+  if (!error) {
+    return false;
+  } else if (_.isFunction(error.hasErrorLabel)) {
+    return error.hasErrorLabel(label) === true;
+  }
+
+  return _.includes(error.errorLabels, label);
+}
+
+/**
+ * @typedef {Object} MongoDbManager.withTransaction~Options
+ * @property {number} [timeoutMs=120000] The time allowed to retry the transaction or the commit
+ * @property {Object|undefined} sessionOptions The options to start the session
+ * @property {Object|undefined} transactionOptions The options to start the transaction (readConcern, writeConcern, readPreference)
+ */
+/**
+ * @typedef {Object} MongoDbManager.withTransaction~Context
+ * @property {Object} session The client session
+ * @property {Object} collections The collections bound to the session by aliases or names
+ * @property {Function} getCollectionByName Same as {@link MongoDbManager#getCollectionByName} but bound to the session
+ * @property {number} attempt The attempt number. Starts at 1
+ */
+/**
+ * @description Run the function in a transaction. The transaction is retried on TransientTransactionError and the
+ *  commit on UnknownTransactionCommitResult until the timeout. The session is always ended
+ * @param {Function} fn The function receiving {@link MongoDbManager.withTransaction~Context} and returning a promise
+ * @param {MongoDbManager.withTransaction~Options} [options] The options
+ * @return {Promise} Resolved with the value returned by the function
+ */
+MongoDbManager.prototype.withTransaction = function (fn, options) {
+  const __pretty_name__ = 'withTransaction';
+
+  return new Promise((resolve, reject) => {
+    if (!_.isFunction(fn)) {
+      return reject(new exceptions.IllegalArgumentException("fn must be a function"));
+    } else if (!this.isReady()) {
+      return reject(new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState)));
+    }
+
+    const mongoClientInstance = this.properties.mongoClientInstance;
+    if (!mongoClientInstance || !_.isFunction(mongoClientInstance.startSession)) {
+      return reject(new exceptions.IllegalStateException("The driver does not support the sessions"));
+    }
+
+    options = _.isObjectLike(options) ? options : {};
+    const timeoutMs = options.timeoutMs || DEFAULT_TRANSACTION_TIMEOUT_MS,
+      startTime = Date.now(),
+      session = mongoClientInstance.startSession(options.sessionOptions);
+
+    const _isExpired = () => Date.now() - startTime >= timeoutMs;
+    const _bind = collection => collection ? sessionBoundCollection.createSessionBoundCollection(this._instrumentCollection(collection), session) : collection;
+    const collections = _.mapValues(this.properties.mongoDbCollections, _bind);
+
+    const _commit = () => {
+      return Promise.resolve(session.commitTransaction())
+        .catch(error => {
+          if (_hasErrorLabel(error, 'UnknownTransactionCommitResult') && !_isExpired()) {
+            this.logger.warn("[%s] Unknown commit result. Retry the commit: %s", __pretty_name__, error.message);
+            return _commit();
+          }
+          throw error;
+        });
+    };
+
+    const _attempt = attempt => {
+      this.logger.debug("[%s] Start the transaction. Attempt %d", __pretty_name__, attempt);
+      session.startTransaction(options.transactionOptions);
+
+      let result;
+      return Promise.resolve()
+        .then(() => fn({
+          session: session,
+          collections: collections,
+          getCollectionByName: (collectionName, databaseName) => _bind(this.getCollectionByName(collectionName, databaseName)),
+          attempt: attempt
+        }))
+        .then(fnResult => {
+          result = fnResult;
+          return _commit();
+        }, error => {
+          return Promise.resolve()
+            .then(() => session.abortTransaction())
+            .catch(abortError => {
+              this.logger.warn("[%s] Failed to abort the transaction: %s", __pretty_name__, abortError.message);
+            })
+            .then(() => {
+              throw error;
+            });
+        })
+        .then(() => result)
+        .catch(error => {
+          if (_hasErrorLabel(error, 'TransientTransactionError') && !_isExpired()) {
+            this.logger.warn("[%s] Transient transaction error. Retry the transaction: %s", __pretty_name__, error.message);
+            return _attempt(attempt + 1);
+          }
+          throw error;
+        });
+    };
+
+    const _endSession = () => {
+      try {
+        session.endSession();
+      } catch (error) {
+        this.logger.warn("[%s] Failed to end the session: %s", __pretty_name__, error.message);
+      }
+    };
+
+    _attempt(1)
+      .then(result => {
+        _endSession();
+        resolve(result);
+      }, error => {
+        this.logger.error("[%s] Transaction failed: %s\n%s", __pretty_name__, error.message, error.stack);
+        _endSession();
+        reject(error);
+      });
+  });
+};
+
+/**
+ * @typedef {Object} MongoDbManager.watch~Options
+ * @description The other options are given to the driver watch function (fullDocument, batchSize, ...)
+ * @property {string|undefined} name The subscription name used to store the resume token. The collection name by default
+ * @property {string|undefined} database The database of the collection. Undefined for the default one
+ * @property {ResumeTokenStore|undefined} resumeTokenStore The store of the resume tokens. In memory by default
+ * @property {string|undefined} resumeTokenCollection The collection of the default database storing the resume tokens.
+ *  Ignored if resumeTokenStore is given
+ */
+/**
+ * @description Watch the changes of the collection. The subscription resumes after a reconnection using the last
+ *  saved resume token and is closed by the disconnection
+ * @param {string} collectionName The collection name or alias
+ * @param {Object[]|undefined} [pipeline] The aggregation pipeline
+ * @param {MongoDbManager.watch~Options} [options] The options
+ * @return {ChangeStreamSubscription} The subscription
+ * @throws {IllegalArgumentException} If the collection name is invalid
+ * @throws {IllegalStateException} If not ready, the collection is unknown or the driver does not support the change streams
+ */
+MongoDbManager.prototype.watch = function (collectionName, pipeline, options) {
+  const __pretty_name__ = 'watch';
+
+  if (!_.isString(collectionName) || collectionName.length === 0) {
+    throw new exceptions.IllegalArgumentException("collectionName must be a non empty string");
+  } else if (!this.isReady()) {
+    throw new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState));
+  }
+
+  options = _.isObjectLike(options) ? options : {};
+  const collection = this.getCollectionByName(collectionName, options.database);
+  if (!collection) {
+    throw new exceptions.IllegalStateException(util.format("Unknown collection '%s'", collectionName));
+  } else if (!_.isFunction(collection.watch)) {
+    throw new exceptions.IllegalStateException("The driver does not support the change streams");
+  }
+
+  let resumeTokenStore = options.resumeTokenStore;
+  if (!resumeTokenStore && options.resumeTokenCollection) {
+    // Looked up on each use because the database changes with the reconnections
+    resumeTokenStore = new resumeTokenStores.MongoResumeTokenStore(() => {
+      const mongoDataBase = this.getDatabase();
+      return mongoDataBase ? mongoDataBase.collection(options.resumeTokenCollection) : undefined;
+    });
+  }
+
+  const subscription = new ChangeStreamSubscription({
+    manager: this,
+    collectionName: collectionName,
+    databaseName: options.database,
+    name: options.name || (options.database ? util.format("%s.%s", options.database, collectionName) : collectionName),
+    pipeline: pipeline,
+    watchOptions: _.omit(options, ['name', 'database', 'resumeTokenStore', 'resumeTokenCollection']),
+    resumeTokenStore: resumeTokenStore || this.properties.resumeTokenStore,
+    logger: this.logger
+  });
+
+  this.logger.debug("[%s] New subscription '%s'", __pretty_name__, subscription.name);
+  this.properties.changeStreamSubscriptions.push(subscription);
+  subscription.once('close', () => _.pull(this.properties.changeStreamSubscriptions, subscription));
+  this._startChangeStream(subscription);
+
+  return subscription;
+};
+
+/**
+ * @description The export options schema
+ * @type {Object}
+ * @private
+ */
+const _exportCollectionOptionsSchema = Joi.object().keys({
+  database: Joi.string().trim().min(1),
+  query: Joi.object(),
+  sort: Joi.object(),
+  format: Joi.string().valid(_.values(collectionTransfer.Formats)),
+  end: Joi.boolean()
+});
+
+/**
+ * @description The import options schema
+ * @type {Object}
+ * @private
+ */
+const _importCollectionOptionsSchema = Joi.object().keys({
+  database: Joi.string().trim().min(1),
+  mode: Joi.string().valid(_.values(collectionTransfer.ImportModes)),
+  batchSize: Joi.number().integer().min(1),
+  format: Joi.string().valid(_.values(collectionTransfer.Formats))
+});
+
+/**
+ * @description Validate the transfer arguments and returns the collection
+ * @param {string} collectionName The collection name or alias
+ * @param {Object} stream The stream
+ * @param {Object} options The options
+ * @param {Object} schema The options schema
+ * @return {Promise} Resolved with the collection. Rejected with IllegalArgumentException or IllegalStateException
+ * @private
+ */
+MongoDbManager.prototype._getTransferCollection = function (collectionName, stream, options, schema) {
+  return new Promise((resolve, reject) => {
+    if (!_.isString(collectionName) || collectionName.length === 0) {
+      return reject(new exceptions.IllegalArgumentException("collectionName must be a non empty string"));
+    } else if (!_.isObjectLike(stream) || !_.isFunction(stream.on)) {
+      return reject(new exceptions.IllegalArgumentException("stream must be a stream"));
+    }
+
+    const validation = Joi.validate(options, schema);
+    if (validation.error) {
+      return reject(new exceptions.IllegalArgumentException(util.format("Invalid options: %s", validation.error.message)));
+    } else if (!this.isReady()) {
+      return reject(new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState)));
+    }
+
+    const collection = this.getCollectionByName(collectionName, options.database);
+    if (!collection) {
+      return reject(new exceptions.IllegalStateException(util.format("Unknown collection '%s'", collectionName)));
+    }
+    resolve(collection);
+  });
+};
+
+/**
+ * @typedef {Object} MongoDbManager.exportCollection~Options
+ * @property {string|undefined} database The database of the collection. Undefined for the default one
+ * @property {Object|undefined} query The query selecting the documents
+ * @property {Object|undefined} sort The sort
+ * @property {string} [format=ndjson] ndjson for one EJSON document per line, ejson for an EJSON array
+ * @property {boolean} [end=true] <code>false</code> to keep the stream opened
+ */
+/**
+ * @description Write the documents of the collection as Extended JSON in the stream. The driver types (ObjectId,
+ *  Date, Decimal128, Long, ...) are kept. The writes wait for the stream to drain
+ * @param {string} collectionName The collection name or alias
+ * @param {stream.Writable} stream The stream
+ * @param {MongoDbManager.exportCollection~Options} [options] The options
+ * @return {Promise} Resolved with {count}. Rejected if the arguments are invalid, not ready or the export failed
+ */
+MongoDbManager.prototype.exportCollection = function (collectionName, stream, options) {
+  options = options || {};
+
+  return this._getTransferCollection(collectionName, stream, options, _exportCollectionOptionsSchema)
+    .then(collection => collectionTransfer.exportDocuments(collection, stream, options))
+    .then(result => {
+      this.logger.info("[%s] %d document(s) exported from '%s'", 'exportCollection', result.count, collectionName);
+      return result;
+    });
+};
+
+/**
+ * @typedef {Object} MongoDbManager.importCollection~Options
+ * @property {string|undefined} database The database of the collection. Undefined for the default one
+ * @property {string} [mode=insert] insert, upsert (set the fields by _id) or replace (replace by _id)
+ * @property {number} [batchSize=1000] The number of documents written at once. The stream is paused meanwhile
+ * @property {string} [format=ndjson] ndjson for one EJSON document per line, ejson for an EJSON array
+ */
+/**
+ * @description Read the Extended JSON documents from the stream and write them in the collection
+ * @param {string} collectionName The collection name or alias
+ * @param {stream.Readable} stream The stream
+ * @param {MongoDbManager.importCollection~Options} [options] The options
+ * @return {Promise} Resolved with {count}. Rejected if the arguments are invalid, not ready or the import failed.
+ *  The batches written before the error are kept
+ */
+MongoDbManager.prototype.importCollection = function (collectionName, stream, options) {
+  options = options || {};
+
+  return this._getTransferCollection(collectionName, stream, options, _importCollectionOptionsSchema)
+    .then(collection => collectionTransfer.importDocuments(collection, stream, options))
+    .then(result => {
+      this.logger.info("[%s] %d document(s) imported into '%s'", 'importCollection', result.count, collectionName);
+      return result;
+    });
+};
+
+/**
+ * @description Start the change stream of the subscription. The error is emitted by the subscription
+ * @param {ChangeStreamSubscription} subscription The subscription
+ * @private
+ */
+MongoDbManager.prototype._startChangeStream = function (subscription) {
+  subscription.start()
+    .catch(error => {
+      if (subscription.listenerCount('error') > 0) {
+        subscription.emit('error', error);
+      }
+    });
+};
+
+/**
+ * @description Resume all the change streams from their last resume token
+ * @private
+ */
+MongoDbManager.prototype._resumeChangeStreams = function () {
+  _.each(this.properties.changeStreamSubscriptions, subscription => {
+    this.logger.debug("[%s] Resume the subscription '%s'", '_resumeChangeStreams', subscription.name);
+    this._startChangeStream(subscription);
+  });
+};
+
+/**
+ * @description Close all the change streams
+ * @return {Promise} Resolved when the pending resume tokens are saved
+ * @private
+ */
+MongoDbManager.prototype._closeChangeStreams = function () {
+  return Promise.all(_.map(this.properties.changeStreamSubscriptions.slice(), subscription => {
+    this.logger.debug("[%s] Close the subscription '%s'", '_closeChangeStreams', subscription.name);
+    return subscription.close();
+  }));
+};
+
+/**
+ * @inheritDoc
+ * @description Same as the base function but the events have a payload
+ * @fires MongoDbManager#connecting
+ * @fires MongoDbManager#connected
+ */
+MongoDbManager.prototype.connect = function () {
+  return new Promise((resolve, reject) => {
+    if (!this.canConnect()) {
+      const exception = new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState));
+      this.emit(MongoDbManager.Signals.connectionFailed, exception);
+      return reject(exception);
+    }
+
+    const currentState = this.currentState,
+      startTime = Date.now();
+
+    this.emit(MongoDbManager.Signals.connecting, {
+      timestamp: new Date()
+    });
+    this.currentState = MongoDbManager.States.Connecting;
+
+    this._handleConnection()
+      .then(() => {
+        this.emit(MongoDbManager.Signals.connected, {
+          timestamp: new Date(),
+          durationMs: Date.now() - startTime,
+          databaseName: _.get(this.properties.mongoDataBase, 'databaseName')
+        });
+        this.emit(MongoDbManager.Signals.ready);
+        this.currentState = MongoDbManager.States.Ready;
+        return resolve();
+      })
+      .catch(error => {
+        this.emit(MongoDbManager.Signals.connectionFailed, error);
+        this.currentState = currentState;
+        return reject(error);
+      });
+  });
+};
+
+/**
+ * @inheritDoc
+ * @description Same as the base function but also allow the disconnection while the reconnection policy is running
+ * @return {boolean} <code>true</code> if ready or reconnecting
+ */
+MongoDbManager.prototype.canDisconnect = function () {
+  return ConnectableObject.prototype.canDisconnect.call(this) || !_.isUndefined(this.properties.reconnection);
+};
+
+/**
+ * @typedef {Object} MongoDbManager.disconnect~Options
+ * @property {number|undefined} drainTimeoutMs The time given to the in-flight operations and the change streams to
+ *  finish before closing. Default is the option shutdown.drainTimeoutMs or 0 without the option
+ * @property {boolean} [force=false] <code>true</code> to close immediately without draining
+ */
+/**
+ * @inheritDoc
+ * @description Same as the base function but the event disconnected has a payload. The collections are not given
+ *  anymore while disconnecting and the in-flight operations are drained before closing
+ * @param {MongoDbManager.disconnect~Options} [options] The options
+ * @fires MongoDbManager#disconnected
+ */
+MongoDbManager.prototype.disconnect = function (options) {
+  return new Promise((resolve, reject) => {
+    options = options || {};
+    if (!_.isUndefined(options.drainTimeoutMs) && !(_.isInteger(options.drainTimeoutMs) && options.drainTimeoutMs >= 0)) {
+      return reject(new exceptions.IllegalArgumentException("The drainTimeoutMs must be a positive integer"));
+    }
+
+    if (!this.canDisconnect()) {
+      const exception = new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState));
+      this.emit(MongoDbManager.Signals.disconnectionFailed, exception);
+      return reject(exception);
+    }
+
+    const currentState = this.currentState;
+
+    this.emit(MongoDbManager.Signals.disconnecting);
+    this.currentState = MongoDbManager.States.Disconnecting;
+
+    this._handleDisconnection(options)
+      .then(() => {
+        this.emit(MongoDbManager.Signals.disconnected, {
+          timestamp: new Date()
+        });
+        this.currentState = MongoDbManager.States.Initialized;
+        return resolve();
+      })
+      .catch(error => {
+        this.emit(MongoDbManager.Signals.disconnectionFailed, error);
+        this.currentState = currentState;
+        return reject(error);
+      });
+  });
+};
+
+/**
+ * @typedef {Object} MongoDbManager.registerShutdownSignals~Options
+ * @property {string[]} [signals=['SIGTERM', 'SIGINT']] The process signals
+ * @property {number|undefined} drainTimeoutMs Given to disconnect
+ * @property {boolean} [force=false] Given to disconnect
+ * @property {boolean} [exitProcess=true] <code>true</code> to exit the process once disconnected. The exit code is 1
+ *  if the disconnection failed
+ * @property {Function|undefined} onShutdown Receives the disconnection error if any, before the process exit
+ */
+/**
+ * @description Disconnect the manager when the process receives a shutdown signal
+ * @param {MongoDbManager.registerShutdownSignals~Options} [options] The options
+ * @return {Function} Remove the signal listeners
+ */
+MongoDbManager.prototype.registerShutdownSignals = function (options) {
+  const __pretty_name__ = 'registerShutdownSignals';
+
+  options = _.defaults({}, options, {
+    signals: DEFAULT_SHUTDOWN_SIGNALS,
+    exitProcess: true
+  });
+
+  let shuttingDown = false;
+  const handleSignal = signal => {
+    if (shuttingDown) {
+      this.logger.debug("[%s] Received %s while shutting down. rule=ignore", __pretty_name__, signal);
+      return;
+    }
+    shuttingDown = true;
+
+    this.logger.info("[%s] Received %s: disconnect", __pretty_name__, signal);
+    const disconnection = this.canDisconnect() ? this.disconnect({
+      drainTimeoutMs: options.drainTimeoutMs,
+      force: options.force
+    }) : Promise.resolve();
+
+    disconnection
+      .then(() => undefined, error => {
+        this.logger.error("[%s] Disconnection failed: %s\n%s", __pretty_name__, error.message, error.stack);
+        return error;
+      })
+      .then(error => {
+        if (options.onShutdown) {
+          options.onShutdown(error);
+        }
+        if (options.exitProcess) {
+          process.exit(error ? 1 : 0);
+        }
+      });
+  };
+
+  _.each(options.signals, signal => process.on(signal, handleSignal));
+  return () => {
+    _.each(options.signals, signal => process.removeListener(signal, handleSignal));
+  };
+};
+
+/**
+ * @description The reconfiguration options schema
+ * @type {Object}
+ * @private
+ */
+const _reconfigureOptionsSchema = Joi.object().keys({
+  connectionTimeoutMs: Joi.number().min(1000),
+  connectionString: Joi.string().trim().min(1),
+  connection: _connectionSchema,
+  clientOptions: _clientOptionsSchema,
+  gracePeriodMs: Joi.number().integer().min(0).default(DEFAULT_RECONFIGURATION_GRACE_PERIOD_MS)
+}).without('connectionString', 'connection').or('connectionTimeoutMs', 'connectionString', 'connection', 'clientOptions');
+
+/**
+ * @typedef {Object} MongoDbManager.reconfigure~Options
+ * @property {string|undefined} connectionString The new connection string
+ * @property {ConnectionString~Options|undefined} connection The new structured connection. Cannot be used with connectionString
+ * @property {Object|undefined} clientOptions The new client options. Replace the previous ones
+ * @property {number|undefined} connectionTimeoutMs The new connection timeout
+ * @property {number} [gracePeriodMs=30000] The time given to the operations started on the previous client before closing it
+ */
+/**
+ * @description Open a new client with the new options through the connection steps then replace the current one.
+ *  The collections, the databases and the client are swapped at once when all the steps succeed; the previous client
+ *  is closed after the grace period. On failure, the current connection is kept
+ * @param {MongoDbManager.reconfigure~Options} options The options. The other initialization options are kept
+ * @return {Promise} Resolved when the new connection is used. Rejected with IllegalArgumentException if the options
+ *  are invalid, IllegalStateException if not ready or already reconfiguring, or the error of the failing step
+ * @fires MongoDbManager#reconfigured
+ */
+MongoDbManager.prototype.reconfigure = function (options) {
+  const __pretty_name__ = 'reconfigure';
+
+  return new Promise((resolve, reject) => {
+    Joi.validate(options || {}, _reconfigureOptionsSchema, (error, value) => {
+      if (error) {
+        return reject(new exceptions.IllegalArgumentException(util.format("Invalid options: %s",
+          connectionString.redactText(error.message, _.get(options, 'connectionString')))));
+      } else if (!this.isReady()) {
+        return reject(new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState)));
+      } else if (this.properties.reconfiguring) {
+        return reject(new exceptions.IllegalStateException("A reconfiguration is already in progress"));
+      }
+      resolve(value);
+    });
+  })
+    .then(value => {
+      const startTime = Date.now(),
+        mongoDbOptions = _.assign({}, this.properties.mongoDbOptions, {
+          connectionString: value.connectionString || (value.connection ? connectionString.buildConnectionString(value.connection) :
+            this.properties.mongoDbOptions.connectionString),
+          clientOptions: value.clientOptions ? _.cloneDeep(options.clientOptions) : this.properties.mongoDbOptions.clientOptions
+        }),
+        context = this._createConnectionContext(mongoDbOptions, value.connectionTimeoutMs || this.properties.connectionTimeoutMs);
+
+      context.deferExport = true;
+      this.properties.reconfiguring = true;
+      this.logger.info("[%s] Open the connection to %s", __pretty_name__, connectionString.redactConnectionString(mongoDbOptions.connectionString));
+
+      return new Promise((resolve, reject) => {
+        this._runConnectionSteps(context, error => error ? reject(error) : resolve());
+      })
+        .then(() => {
+          if (this.isReady()) {
+            return;
+          }
+
+          // Disconnected or connection lost in the meantime: the new connection is not used
+          const error = new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState));
+          this.logger.warn("[%s] The state changed to '%s' during the reconfiguration", __pretty_name__, this.currentState);
+          return this._rollbackConnectionSteps(_.clone(this.properties.connectionSteps), context, error)
+            .then(() => {
+              throw error;
+            });
+        })
+        .then(() => {
+          this._swapConnection(context, value.gracePeriodMs);
+          this.properties.reconfiguring = false;
+          this.emit(MongoDbManager.Signals.reconfigured, {
+            timestamp: new Date(),
+            durationMs: Date.now() - startTime,
+            redactedConnectionString: this.redactedConnectionString
+          });
+        })
+        .catch(error => {
+          this.properties.reconfiguring = false;
+          this.logger.error("[%s] Reconfiguration failed: %s\n%s", __pretty_name__, error.message, error.stack);
+          throw error;
+        });
+    });
+};
+
+/**
+ * @description Replace the current connection by the connection of the context
+ * @param {MongoDbManager._handleConnection~Context} context The context of the succeeded steps
+ * @param {number} gracePeriodMs The time before closing the previous client
+ * @private
+ */
+MongoDbManager.prototype._swapConnection = function (context, gracePeriodMs) {
+  const __pretty_name__ = '_swapConnection';
+
+  const previousConnexionContext = this.properties.currentConnexionContext,
+    previousClientInstance = this.properties.mongoClientInstance;
+
+  this._stopHeartbeat();
+  if (previousConnexionContext) {
+    this.logger.debug("[%s] Free the previous connection context", __pretty_name__);
+    previousConnexionContext.freeContext();
+  }
+
+  this.properties.mongoDbOptions = context.mongoDbOptions;
+  this.properties.connectionTimeoutMs = context.connectionTimeoutMs;
+  this._applyExportedVariables(context.exportedVariables);
+  this._attachConnexionContext(context, previousConnexionContext.handleErrorFunction, previousConnexionContext.handleReconnection);
+  this._startHeartbeat();
+  this._resumeChangeStreams();
+
+  if (previousClientInstance && previousClientInstance !== this.properties.mongoClientInstance) {
+    this._retireConnection(previousClientInstance, gracePeriodMs);
+  }
+};
+
+/**
+ * @description Close the client after the grace period
+ * @param {Object} mongoClientInstance The client
+ * @param {number} gracePeriodMs The delay
+ * @private
+ */
+MongoDbManager.prototype._retireConnection = function (mongoClientInstance, gracePeriodMs) {
+  const __pretty_name__ = '_retireConnection';
+
+  const retired = {
+    mongoClientInstance: mongoClientInstance,
+    timeoutId: undefined
+  };
+
+  retired.timeoutId = setTimeout(() => {
+    _.pull(this.properties.retiredConnections, retired);
+    this.logger.debug("[%s] Close the previous client", __pretty_name__);
+    mongoClientInstance.close()
+      .catch(error => {
+        this.logger.warn("[%s] Failed to close the previous client: %s\n%s", __pretty_name__, error.message, error.stack);
+      });
+  }, gracePeriodMs);
+  this.properties.retiredConnections.push(retired);
+};
+
+/**
+ * @description Close now the clients waiting for the end of their grace period
+ * @param {boolean} force <code>true</code> to force the close
+ * @return {Promise} The promise object. Never rejected
+ * @private
+ */
+MongoDbManager.prototype._closeRetiredConnections = function (force) {
+  const __pretty_name__ = '_closeRetiredConnections';
+
+  const retiredConnections = this.properties.retiredConnections;
+  this.properties.retiredConnections = [];
+
+  return Promise.all(_.map(retiredConnections, retired => {
+    clearTimeout(retired.timeoutId);
+    return (force ? retired.mongoClientInstance.close(true) : retired.mongoClientInstance.close())
+      .catch(error => {
+        this.logger.warn("[%s] Failed to close the previous client: %s\n%s", __pretty_name__, error.message, error.stack);
+      });
+  }));
+};
+
+/**
+ * @typedef {Object} MongoDbManager.updateCredentials~Credentials
+ * @property {string} username The user name
+ * @property {string|undefined} password The password
+ */
+/**
+ * @description Reconfigure the manager with other credentials in the current connection string
+ * @param {MongoDbManager.updateCredentials~Credentials} credentials The new credentials
+ * @param {Object} [options] The options
+ * @param {number|undefined} options.gracePeriodMs See {@link MongoDbManager.reconfigure~Options}
+ * @return {Promise} See {@link MongoDbManager#reconfigure}
+ */
+MongoDbManager.prototype.updateCredentials = function (credentials, options) {
+  if (!_.isObjectLike(credentials) || !_.isString(credentials.username) || credentials.username.length === 0) {
+    return Promise.reject(new exceptions.IllegalArgumentException("The credentials must have a non empty username"));
+  } else if (!_.isNil(credentials.password) && !_.isString(credentials.password)) {
+    return Promise.reject(new exceptions.IllegalArgumentException("The password must be a string"));
+  }
+
+  const currentConnectionString = _.get(this.properties, 'mongoDbOptions.connectionString');
+  if (!currentConnectionString) {
+    return Promise.reject(new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState)));
+  }
+
+  let newConnectionString;
+  try {
+    newConnectionString = connectionString.replaceCredentials(currentConnectionString, credentials.username, credentials.password);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  return this.reconfigure(_.assign({}, _.pick(options, ['gracePeriodMs']), {
+    connectionString: newConnectionString
+  }));
+};
+
+/**
+ * @inheritDoc
+ * @description Same as the base function but the event connectionLost has a payload
+ * @param {Error|undefined} [error] The error which caused the loss
+ * @fires MongoDbManager#connectionLost
+ */
+MongoDbManager.prototype._onConnectionLost = function (error) {
+  return new Promise(resolve => {
+    const timestamp = new Date();
+
+    this.properties.connectionLostAt = timestamp;
+    this.emit(MongoDbManager.Signals.connectionLost, {
+      timestamp: timestamp,
+      error: error
+    });
+    this.currentState = MongoDbManager.States.Initialized;
+    return resolve();
+  });
+};
+
+/**
+ * @inheritDoc
+ * @description Same as the base function but the event reconnected has a payload. Also resume the change streams
+ * @fires MongoDbManager#reconnected
+ */
+MongoDbManager.prototype._onReconnected = function () {
+  return new Promise(resolve => {
+    const timestamp = new Date(),
+      connectionLostAt = this.properties.connectionLostAt;
+
+    this.properties.connectionLostAt = undefined;
+    this.emit(MongoDbManager.Signals.reconnected, {
+      timestamp: timestamp,
+      downtimeMs: connectionLostAt ? timestamp.getTime() - connectionLostAt.getTime() : undefined
+    });
+    this.currentState = MongoDbManager.States.Ready;
+    this._resumeChangeStreams();
+    return resolve();
+  });
+};
+
+/**
+ * @description Returns the collection measuring and tracking its operations if the instrumentation or the shutdown
+ *  option is enabled
+ * @param {Object|undefined} collection The driver collection
+ * @return {Object|undefined} The collection to use
+ * @private
+ */
+MongoDbManager.prototype._instrumentCollection = function (collection) {
+  if (!collection || !(_.get(this.properties, 'mongoDbOptions.instrumentation') || _.get(this.properties, 'mongoDbOptions.shutdown'))) {
+    return collection;
+  }
+
+  let instrumented = this.properties.instrumentedCollections.get(collection);
+  if (!instrumented) {
+    instrumented = instrumentedCollection.createInstrumentedCollection(collection, collection.namespace || collection.collectionName,
+      operation => this._handleOperationMeasured(operation), () => this._handleOperationStarted());
+    this.properties.instrumentedCollections.set(collection, instrumented);
+  }
+  return instrumented;
+};
+
+/**
+ * @description Count the operation as in-flight
+ * @private
+ */
+MongoDbManager.prototype._handleOperationStarted = function () {
+  ++this.properties.inFlightOperations;
+};
+
+/**
+ * @description Returns the report of the last seed applied by the connection
+ * @return {Object|undefined} The {@link Seed~Report} by collection namespaces. Undefined if not connected yet
+ */
+MongoDbManager.prototype.getSeedReport = function () {
+  return _.cloneDeep(this.properties.seedReport);
+};
+
+/**
+ * @description Returns the number of operations not finished yet. Only the operations of the instrumented or tracked
+ *  collections are counted. A cursor is counted from its first read until it is exhausted, reaches its limit, fails
+ *  or is closed
+ * @return {number} The number of operations
+ */
+MongoDbManager.prototype.getInFlightOperationCount = function () {
+  return this.properties.inFlightOperations;
+};
+
+/**
+ * @description Wait until no operation is in-flight
+ * @param {number} timeoutMs The maximum time to wait
+ * @return {Promise} Resolved with <code>true</code> if drained, <code>false</code> when the timeout is reached. Never rejected
+ * @private
+ */
+MongoDbManager.prototype._waitForInFlightOperations = function (timeoutMs) {
+  if (this.properties.inFlightOperations <= 0) {
+    return Promise.resolve(true);
+  } else if (timeoutMs <= 0) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise(resolve => {
+    const waiter = drained => {
+      clearTimeout(timeoutId);
+      _.pull(this.properties.drainWaiters, waiter);
+      resolve(drained);
+    };
+    const timeoutId = setTimeout(waiter, timeoutMs, false);
+    this.properties.drainWaiters.push(waiter);
+  });
+};
+
+/**
+ * @description Record the operation, log it if slow and give it to the hook. Also release the in-flight operation
+ * @param {InstrumentedCollection~Operation} operation The operation
+ * @private
+ */
+MongoDbManager.prototype._handleOperationMeasured = function (operation) {
+  const __pretty_name__ = '_handleOperationMeasured';
+
+  this.properties.inFlightOperations = Math.max(0, this.properties.inFlightOperations - 1);
+  if (this.properties.inFlightOperations === 0) {
+    _.each(this.properties.drainWaiters.slice(), waiter => waiter(true));
+  }
+
+  const instrumentation = this.properties.mongoDbOptions.instrumentation;
+  if (!instrumentation) {
+    return;
+  }
+
+  this.properties.operationMetrics.record(operation.collectionName, operation.operation, operation.durationMs, operation.error);
+
+  operation.slow = operation.durationMs >= instrumentation.slowThresholdMs;
+  if (operation.slow) {
+    this.logger.warn("[%s] Slow operation '%s' on '%s': %d ms (threshold %d ms)%s", __pretty_name__, operation.operation,
+      operation.collectionName, Math.round(operation.durationMs), instrumentation.slowThresholdMs, operation.error ? " failed: " + operation.error.message : "");
+  }
+
+  if (instrumentation.onOperation) {
+    try {
+      instrumentation.onOperation(operation);
+    } catch (error) {
+      this.logger.warn("[%s] The hook onOperation failed: %s\n%s", __pretty_name__, error.message, error.stack);
+    }
+  }
+};
+
+/**
+ * @description Returns a snapshot of the operation metrics
+ * @return {OperationMetrics~Snapshot} The snapshot
+ */
+MongoDbManager.prototype.getMetrics = function () {
+  return this.properties.operationMetrics.getSnapshot();
+};
+
+/**
+ * @description Returns the operation metrics in the Prometheus text format
+ * @return {string} The metrics
+ */
+MongoDbManager.prototype.getPrometheusMetrics = function () {
+  return this.properties.operationMetrics.toPrometheus();
+};
+
+/**
+ * @description Remove the recorded operation metrics
+ */
+MongoDbManager.prototype.resetMetrics = function () {
+  this.properties.operationMetrics.reset();
+};
+
+/**
+ * @description Wait for the promise with a timeout
+ * @param {Promise} promise The promise
+ * @param {number} timeoutMs The timeout in milliseconds
+ * @param {string} operationName The operation name used in the error
+ * @return {Promise} The promise rejected with TimedOutException when the timeout is reached
+ * @private
+ */
+function _withTimeout(promise, timeoutMs, operationName) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      reject(new exceptions.TimedOutException(util.format("%s timeout. Reached after %d ms", operationName, timeoutMs)));
+    }, timeoutMs);
+
+    promise.then(result => {
+      clearTimeout(timeoutId);
+      resolve(result);
+    }, error => {
+      clearTimeout(timeoutId);
+      reject(error);
+    });
+  });
+}
+
+/**
+ * @typedef {Object} MongoDbManager.healthCheck~Options
+ * @property {number|undefined} timeoutMs The timeout for each command. Default is the connection timeout
+ * @property {boolean} [serverStatus=false] <code>true</code> to run serverStatus to retrieve the server version
+ * @property {boolean} [replicaSetStatus=false] <code>true</code> to run replSetGetStatus to retrieve the replica set role
+ */
+/**
+ * @typedef {Object} MongoDbManager.healthCheck~Result
+ * @property {boolean} healthy <code>true</code> if the database answered
+ * @property {string} state The manager state
+ * @property {number|undefined} latencyMs The ping latency
+ * @property {string|undefined} serverVersion The server version (with serverStatus)
+ * @property {string|undefined} replicaSetRole The replica set role like primary, secondary or standalone
+ * @property {Error|undefined} lastError The error if not healthy
+ * @property {Date} checkedAt When the check was done
+ */
+/**
+ * @description Check the database is reachable. The promise is never rejected, the error is given in the result
+ * @param {MongoDbManager.healthCheck~Options} [options] The options
+ * @return {Promise} Resolved with {@link MongoDbManager.healthCheck~Result}
+ */
+MongoDbManager.prototype.healthCheck = function (options) {
+  const __pretty_name__ = 'healthCheck';
+
+  options = _.isObjectLike(options) ? options : {};
+  const timeoutMs = options.timeoutMs || this.properties.connectionTimeoutMs,
+    mongoDataBase = this.properties.mongoDataBase;
+
+  const result = {
+    healthy: false,
+    state: this.currentState,
+    latencyMs: undefined,
+    serverVersion: undefined,
+    replicaSetRole: undefined,
+    lastError: undefined,
+    checkedAt: new Date()
+  };
+
+  const _done = () => {
+    this.properties.lastHealthCheck = result;
+    return result;
+  };
+
+  if (!mongoDataBase) {
+    result.lastError = new exceptions.IllegalStateException("Not connected");
+    return Promise.resolve(_done());
+  }
+
+  const startTime = Date.now();
+  return _withTimeout(mongoDataBase.command({ping: 1}), timeoutMs, "Ping")
+    .then(() => {
+      result.latencyMs = Date.now() - startTime;
+      if (options.serverStatus !== true) {
+        return;
+      }
+
+      return _withTimeout(mongoDataBase.command({serverStatus: 1}), timeoutMs, "serverStatus")
+        .then(serverStatus => {
+          result.serverVersion = serverStatus.version;
+          if (!serverStatus.repl) {
+            result.replicaSetRole = "standalone";
+          } else if (serverStatus.repl.ismaster) {
+            result.replicaSetRole = "primary";
+          } else if (serverStatus.repl.secondary) {
+            result.replicaSetRole = "secondary";
+          }
+        });
+    })
+    .then(() => {
+      if (options.replicaSetStatus !== true) {
+        return;
+      }
+
+      return _withTimeout(mongoDataBase.admin().command({replSetGetStatus: 1}), timeoutMs, "replSetGetStatus")
+        .then(replicaSetStatus => {
+          const self = _.find(replicaSetStatus.members, {self: true});
+          result.replicaSetRole = self ? _.toLower(self.stateStr) : result.replicaSetRole;
+        }, error => {
+          if (error.code !== MONGODB_ERROR_CODE_NO_REPLICATION_ENABLED) {
+            throw error;
+          }
+          result.replicaSetRole = "standalone";
+        });
+    })
+    .then(() => {
+      result.healthy = true;
+      return _done();
+    })
+    .catch(error => {
+      this.logger.warn("[%s] Health check failed: %s", __pretty_name__, error.message);
+      result.lastError = error;
+      return _done();
+    });
+};
+
+/**
+ * @description Start the heartbeat if enabled. The previous one is stopped
+ * @return {boolean} <code>true</code> if the heartbeat started, otherwise <code>false</code>
+ */
+MongoDbManager.prototype._startHeartbeat = function () {
+  const __pretty_name__ = '_startHeartbeat';
+
+  this._stopHeartbeat();
+  const heartbeatOptions = _.get(this.properties, 'mongoDbOptions.heartbeat');
+  if (!heartbeatOptions) {
+    return false;
+  }
+
+  const heartbeat = {
+    failures: 0,
+    timeoutId: undefined
+  };
+
+  const _isStopped = () => this.properties.heartbeat !== heartbeat;
+
+  const _scheduleNextPing = () => {
+    heartbeat.timeoutId = setTimeout(_ping, heartbeatOptions.intervalMs);
+    if (_.isFunction(heartbeat.timeoutId.unref)) {
+      heartbeat.timeoutId.unref();
+    }
+  };
+
+  const _ping = () => {
+    if (this.currentState !== MongoDbManager.States.Ready) {
+      this.logger.debug("[%s] Invalid state '%s'. rule=skip", __pretty_name__, this.currentState);
+      return _scheduleNextPing();
+    }
+
+    this.healthCheck({timeoutMs: heartbeatOptions.timeoutMs})
+      .then(result => {
+        if (_isStopped()) {
+          return;
+        } else if (result.healthy) {
+          heartbeat.failures = 0;
+          return _scheduleNextPing();
+        }
+
+        ++heartbeat.failures;
+        this.logger.warn("[%s] Heartbeat failed %d/%d", __pretty_name__, heartbeat.failures, heartbeatOptions.failureThreshold);
+        if (heartbeat.failures < heartbeatOptions.failureThreshold) {
+          return _scheduleNextPing();
+        }
+
+        this.logger.error("[%s] Database unreachable: %s", __pretty_name__, result.lastError.message);
+        this._stopHeartbeat();
+        this._onConnectionLost(result.lastError)
+          .then(() => {
+            this._startReconnection();
+          }, error => {
+            this.logger.error("[%s] Connection lost handled with error: %s\n%s", __pretty_name__, error.message, error.stack);
+          });
+      });
+  };
+
+  this.logger.debug("[%s] Start the heartbeat every %d ms", __pretty_name__, heartbeatOptions.intervalMs);
+  this.properties.heartbeat = heartbeat;
+  _scheduleNextPing();
+  return true;
+};
+
+/**
+ * @description Stop the heartbeat if running
+ * @return {boolean} <code>true</code> if the heartbeat was running, otherwise <code>false</code>
+ */
+MongoDbManager.prototype._stopHeartbeat = function () {
+  const heartbeat = this.properties.heartbeat;
+  if (!heartbeat) {
+    return false;
+  }
+
+  this.logger.debug("[%s] Stop the heartbeat", '_stopHeartbeat');
+  clearTimeout(heartbeat.timeoutId);
+  this.properties.heartbeat = undefined;
+  delete this.properties.heartbeat;
+  return true;
+};
+
+/**
+ * @description Compute the delay to wait before a reconnection attempt
+ * @param {number} attempt The attempt number. Starts at 1
+ * @return {number} The delay in milliseconds
+ */
+MongoDbManager.prototype._computeReconnectionDelay = function (attempt) {
+  const policy = this.properties.mongoDbOptions.reconnection;
+
+  const delayMs = Math.min(policy.initialDelayMs * Math.pow(policy.backoffFactor, attempt - 1), policy.maxDelayMs);
+  const jitterMs = delayMs * policy.jitter * (Math.random() * 2 - 1);
+  return Math.round(Math.max(0, Math.min(delayMs + jitterMs, policy.maxDelayMs)));
+};
+
+/**
+ * @description Start the reconnection policy if enabled and not already running
+ * @return {boolean} <code>true</code> if the reconnection started, otherwise <code>false</code>
+ */
+MongoDbManager.prototype._startReconnection = function () {
+  const __pretty_name__ = '_startReconnection';
+
+  const policy = _.get(this.properties, 'mongoDbOptions.reconnection');
+  if (!policy || policy.enabled !== true) {
+    this.logger.debug("[%s] Reconnection policy disabled. rule=ignore", __pretty_name__);
+    return false;
+  } else if (this.properties.reconnection) {
+    this.logger.debug("[%s] Reconnection already running. rule=ignore", __pretty_name__);
+    return false;
+  }
+
+  this.logger.info("[%s] Start the reconnection policy (maxAttempts=%d)", __pretty_name__, policy.maxAttempts);
+  this.properties.reconnection = {
+    attempt: 0,
+    timeoutId: undefined
+  };
+  this._scheduleReconnectionAttempt();
+  return true;
+};
+
+/**
+ * @description Stop the reconnection policy if running
+ * @return {boolean} <code>true</code> if a reconnection was running, otherwise <code>false</code>
+ */
+MongoDbManager.prototype._stopReconnection = function () {
+  const reconnection = this.properties.reconnection;
+  if (!reconnection) {
+    return false;
+  }
+
+  this.logger.debug("[%s] Stop the reconnection after %d attempt(s)", '_stopReconnection', reconnection.attempt);
+  clearTimeout(reconnection.timeoutId);
+  this.properties.reconnection = undefined;
+  delete this.properties.reconnection;
+  return true;
+};
+
+/**
+ * @description Release the connection lost before a reconnection attempt
+ * @return {Promise} The promise object. Never rejected
+ */
+MongoDbManager.prototype._releaseLostConnection = function () {
+  const __pretty_name__ = '_releaseLostConnection';
+
+  this._stopHeartbeat();
+
+  if (this.properties.currentConnexionContext) {
+    this.logger.debug("[%s] Free the connection context", __pretty_name__);
+    this.properties.currentConnexionContext.freeContext();
+    this.properties.currentConnexionContext = undefined;
+    delete this.properties.currentConnexionContext;
+  }
+
+  const mongoClientInstance = this.properties.mongoClientInstance;
+  this.properties.mongoDataBase = undefined;
+  this.properties.mongoDataBases = undefined;
+  this.properties.mongoClientInstance = undefined;
+  if (!mongoClientInstance) {
+    return Promise.resolve();
+  }
+
+  this.logger.debug("[%s] Close the previous database", __pretty_name__);
+  return mongoClientInstance.close(true)
+    .catch(error => {
+      this.logger.warn("[%s] Failed to close the previous database: %s\n%s", __pretty_name__, error.message, error.stack);
+    });
+};
+
+/**
+ * @description Schedule the next reconnection attempt
+ */
+MongoDbManager.prototype._scheduleReconnectionAttempt = function () {
+  const __pretty_name__ = '_scheduleReconnectionAttempt';
+
+  const reconnection = this.properties.reconnection,
+    policy = this.properties.mongoDbOptions.reconnection,
+    attempt = reconnection.attempt + 1,
+    delayMs = this._computeReconnectionDelay(attempt);
+
+  const _isStopped = () => this.properties.reconnection !== reconnection;
+
+  this.logger.debug("[%s] Attempt %d/%d in %d ms", __pretty_name__, attempt, policy.maxAttempts, delayMs);
+  reconnection.timeoutId = setTimeout(() => {
+    reconnection.timeoutId = undefined;
+    if (_isStopped()) {
+      this.logger.debug("[%s] Reconnection stopped. rule=ignore", __pretty_name__);
+      return;
+    } else if (this.currentState !== MongoDbManager.States.Initialized) {
+      this.logger.debug("[%s] Invalid state '%s'. rule=stop", __pretty_name__, this.currentState);
+      this._stopReconnection();
+      return;
+    }
+
+    reconnection.attempt = attempt;
+    this.logger.info("[%s] Reconnection attempt %d/%d", __pretty_name__, attempt, policy.maxAttempts);
+    this.emit(MongoDbManager.Signals.reconnecting, {
+      attempt: attempt,
+      maxAttempts: policy.maxAttempts,
+      delayMs: delayMs
+    });
+
+    reconnection.pendingAttempt = this._releaseLostConnection()
+      .then(() => this._handleConnection())
+      .then(() => {
+        if (_isStopped()) {
+          this.logger.debug("[%s] Reconnection stopped during the attempt. rule=ignore", __pretty_name__);
+          return;
+        }
+
+        this.logger.warn("[%s] Reconnected after %d attempt(s)", __pretty_name__, attempt);
+        this._stopReconnection();
+        this.emit(MongoDbManager.Signals.reconnectionSucceed, {
+          attempt: attempt
+        });
+        this._onReconnected()
+          .catch(error => {
+            this.logger.error("[%s] Reconnected handled with error: %s\n%s", __pretty_name__, error.message, error.stack);
+          });
+      }, error => {
+        if (_isStopped()) {
+          this.logger.debug("[%s] Reconnection stopped during the attempt. rule=ignore", __pretty_name__);
+          return;
+        }
+
+        this.logger.error("[%s] Reconnection attempt %d/%d failed: %s\n%s",
+          __pretty_name__, attempt, policy.maxAttempts, error.message, error.stack);
+        if (attempt >= policy.maxAttempts) {
+          this.logger.error("[%s] Give up after %d attempt(s)", __pretty_name__, attempt);
+          this._stopReconnection();
+          this.emit(MongoDbManager.Signals.reconnectionAbandoned, {
+            attempt: attempt,
+            error: error
+          });
+          return;
+        }
+
+        this._scheduleReconnectionAttempt();
+      });
+  }, delayMs);
+};
+
+/**
+ * @description Create the migration runner using the migrations options
+ * @param {Object} mongoDataBase The database
+ * @param {Object} collections The collections by names
+ * @return {MigrationRunner} The runner
+ */
+MongoDbManager.prototype._createMigrationRunner = function (mongoDataBase, collections) {
+  const migrationsOptions = _.get(this.properties, 'mongoDbOptions.migrations') || {};
+
+  return new MigrationRunner(_.assign({}, migrationsOptions, {
+    manager: this,
+    db: mongoDataBase,
+    collections: collections,
+    logger: this.logger
+  }));
+};
+
+/**
+ * @description Call the function with the migration runner if the manager is ready
+ * @param {Function} fn The function receiving the runner and returning a promise
+ * @return {Promise} The promise object
+ * @private
+ */
+MongoDbManager.prototype._withMigrationRunner = function (fn) {
+  return new Promise((resolve, reject) => {
+    if (!this.isReady()) {
+      return reject(new exceptions.IllegalStateException(util.format("Invalid state '%s'", this.currentState)));
+    }
+
+    fn(this._createMigrationRunner(this.properties.mongoDataBase, this.properties.mongoDbCollections))
+      .then(resolve, reject);
+  });
+};
+
+/**
+ * @description Apply the pending migrations
+ * @return {Promise} Resolved with the applied versions
+ */
+MongoDbManager.prototype.migrate = function () {
+  return this._withMigrationRunner(runner => runner.migrate());
+};
+
+/**
+ * @description Revert the last applied migrations
+ * @param {number} [count=1] The number of migrations to revert
+ * @return {Promise} Resolved with the reverted versions
+ */
+MongoDbManager.prototype.rollbackMigrations = function (count) {
+  return this._withMigrationRunner(runner => runner.rollback(count));
+};
+
+/**
+ * @description Returns the status of each declared migration
+ * @return {Promise} Resolved with {@link MigrationRunner~Status[]}
+ */
+MongoDbManager.prototype.getMigrationStatus = function () {
+  return this._withMigrationRunner(runner => runner.status());
+};
+
+/**
+ * @description Validate the options against the initialization schema
+ * @param {MongoDbManager.initialize~Options} options The options
+ * @return {Promise} Resolved with the options. Rejected with IllegalArgumentException if invalid
+ */
+MongoDbManager.validateOptions = function (options) {
+  return new Promise((resolve, reject) => {
+    Joi.validate(options, _handleInitializationOptionsSchema, error => {
+      if (error) {
+        return reject(new exceptions.IllegalArgumentException(util.format("Invalid options: %s", connectionString.redactText(error.message, _.get(options, 'connectionString')))));
+      }
+      resolve(options);
+    });
+  });
+};
+
+/**
+ * @description Read the initialization options from the environment variables (see {@link optionsFromEnv} of
+ *  lib/options-loader for the names), merge them with the explicit options and validate the result
+ * @param {string} [prefix=MONGO] The prefix of the variables
+ * @param {Object} [explicitOptions] The options. They have the priority over the environment
+ * @param {Object} [env=process.env] The environment variables
+ * @return {Promise} Resolved with {@link MongoDbManager.initialize~Options}. Rejected with IllegalArgumentException if invalid
+ */
+MongoDbManager.optionsFromEnv = function (prefix, explicitOptions, env) {
+  return optionsLoader.optionsFromEnv(prefix, env)
+    .then(options => MongoDbManager.validateOptions(optionsLoader.mergeOptions(options, explicitOptions)));
+};
+
+/**
+ * @description Read the initialization options from a JSON or YAML file, merge them with the explicit options and
+ *  validate the result
+ * @param {string} filePath The file path (.json, .yaml or .yml)
+ * @param {Object} [explicitOptions] The options. They have the priority over the file
+ * @return {Promise} Resolved with {@link MongoDbManager.initialize~Options}. Rejected with IllegalArgumentException if invalid
+ */
+MongoDbManager.optionsFromFile = function (filePath, explicitOptions) {
+  return optionsLoader.optionsFromFile(filePath)
+    .then(options => MongoDbManager.validateOptions(optionsLoader.mergeOptions(options, explicitOptions)));
+};
+
+/**
+ * @description The modes available for the option indexReconciliation
+ * @type {Object}
+ */
+MongoDbManager.IndexReconciliationModes = indexReconciliation.Modes;
+
+/**
+ * @description The migration runner used by the manager
+ * @type {MigrationRunner}
+ */
+MongoDbManager.MigrationRunner = MigrationRunner;
+
+/**
+ * @description The mocks. Contains the in-memory driver to give with the option driver. Loaded on the first access
+ *  to keep them out of the production processes
+ * @type {Object}
+ */
+Object.defineProperty(MongoDbManager, 'mocks', {
+  enumerable: true,
+  get: () => require('./lib/mocks')
+});
+
+/**
+ * @description The change stream subscription returned by watch
+ * @type {ChangeStreamSubscription}
+ */
+MongoDbManager.ChangeStreamSubscription = ChangeStreamSubscription;
+
+/**
+ * @description The repository created for the collections having a model
+ * @type {Repository}
+ */
+MongoDbManager.Repository = Repository;
+
+/**
+ * @description The registry owning several named managers
+ * @type {MongoDbManagerRegistry}
+ */
+MongoDbManager.Registry = MongoDbManagerRegistry;
+
+/**
+ * @description The recorder of the operation metrics
+ * @type {OperationMetrics}
+ */
+MongoDbManager.OperationMetrics = OperationMetrics;
+
+/**
+ * @description The built-in connection steps in their execution order
+ * @type {string[]}
+ */
+MongoDbManager.DEFAULT_CONNECTION_STEPS = DEFAULT_CONNECTION_STEP_NAMES;
+
+/**
+ * @description The connection string helpers (buildConnectionString, redactConnectionString)
+ * @type {Object}
+ */
+MongoDbManager.ConnectionString = connectionString;
+
+/**
+ * @description The resume token stores (MemoryResumeTokenStore, MongoResumeTokenStore)
+ * @type {Object}
+ */
+MongoDbManager.ResumeTokenStores = resumeTokenStores;
+
 
 exports = module.exports = MongoDbManager;
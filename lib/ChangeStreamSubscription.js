@@ -0,0 +1,292 @@
+/**
+ * Subscription to the change stream of a collection. Keeps the resume token to resume after a reconnection
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  EventEmitter = require('events').EventEmitter,
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @typedef {Object} ChangeStreamSubscription~Options
+ * @property {MongoDbManager} manager The manager giving the collection
+ * @property {string} collectionName The collection name or alias
+ * @property {string|undefined} databaseName The database name. Undefined for the default one
+ * @property {string} name The subscription name used to store the resume token
+ * @property {Object[]} pipeline The aggregation pipeline
+ * @property {Object} watchOptions The options given to watch (fullDocument, batchSize, ...)
+ * @property {ResumeTokenStore} resumeTokenStore The store of the resume tokens
+ * @property {Object} logger The logger to use
+ */
+
+/**
+ * @description Watch the changes of a collection. Emits the event change for each change, interrupted and error when
+ *  the stream fails and close when the subscription is closed. Can also be consumed with <code>for await</code>
+ * @param {ChangeStreamSubscription~Options} options The options
+ * @fires ChangeStreamSubscription#change
+ * @fires ChangeStreamSubscription#interrupted
+ * @fires ChangeStreamSubscription#error
+ * @fires ChangeStreamSubscription#close
+ * @constructor
+ */
+function ChangeStreamSubscription(options) {
+  if (!(this instanceof ChangeStreamSubscription)) {
+    return new ChangeStreamSubscription(options);
+  }
+
+  EventEmitter.call(this);
+  this.properties = {
+    manager: options.manager,
+    collectionName: options.collectionName,
+    databaseName: options.databaseName,
+    name: options.name,
+    pipeline: options.pipeline || [],
+    watchOptions: options.watchOptions || {},
+    resumeTokenStore: options.resumeTokenStore,
+    logger: options.logger,
+    changeStream: undefined,
+    startCount: 0,
+    closed: false,
+    interruption: undefined,
+    lastSave: Promise.resolve(),
+    iterator: undefined
+  };
+}
+util.inherits(ChangeStreamSubscription, EventEmitter);
+
+/**
+ * @description The subscription name
+ * @type {string}
+ */
+Object.defineProperty(ChangeStreamSubscription.prototype, 'name', {
+  get: function () {
+    return this.properties.name;
+  }
+});
+
+/**
+ * @description <code>true</code> when the subscription is closed
+ * @type {boolean}
+ */
+Object.defineProperty(ChangeStreamSubscription.prototype, 'closed', {
+  get: function () {
+    return this.properties.closed;
+  }
+});
+
+/**
+ * @description <code>true</code> when the stream failed and waits for the next start, done by the next reconnection
+ * @type {boolean}
+ */
+Object.defineProperty(ChangeStreamSubscription.prototype, 'interrupted', {
+  get: function () {
+    return !_.isUndefined(this.properties.interruption);
+  }
+});
+
+/**
+ * @description The error which interrupted the stream. Undefined if not interrupted
+ * @type {Error|undefined}
+ */
+Object.defineProperty(ChangeStreamSubscription.prototype, 'interruption', {
+  get: function () {
+    return this.properties.interruption;
+  }
+});
+
+/**
+ * @description Open the change stream after the last saved resume token
+ * @return {Promise} The promise object. Rejected if the stream cannot be opened
+ */
+ChangeStreamSubscription.prototype.start = function () {
+  const __pretty_name__ = 'start';
+
+  if (this.properties.closed) {
+    return Promise.reject(new exceptions.IllegalStateException("The subscription is closed"));
+  }
+
+  this._stopStream();
+  const startNumber = ++this.properties.startCount;
+  return this.properties.lastSave
+    .then(() => this.properties.resumeTokenStore.load(this.properties.name))
+    .then(resumeToken => {
+      if (this.properties.closed || startNumber !== this.properties.startCount) {
+        // Closed or started again in the meantime
+        return;
+      }
+
+      const collection = this.properties.manager.getCollectionByName(this.properties.collectionName, this.properties.databaseName);
+      if (!collection) {
+        throw new exceptions.IllegalStateException(util.format("Unknown collection '%s'", this.properties.collectionName));
+      } else if (!_.isFunction(collection.watch)) {
+        throw new exceptions.IllegalStateException("The driver does not support the change streams");
+      }
+
+      const watchOptions = _.assign({}, this.properties.watchOptions);
+      if (resumeToken) {
+        watchOptions.resumeAfter = resumeToken;
+      }
+
+      this.properties.logger.debug("[%s][Subscription:%s] Open the change stream. Resume=%s", __pretty_name__, this.properties.name, !!resumeToken);
+      const changeStream = collection.watch(this.properties.pipeline, watchOptions);
+      this.properties.changeStream = changeStream;
+      this.properties.handleChange = change => this._handleChange(change);
+      this.properties.handleError = error => this._handleStreamError(changeStream, error);
+      changeStream.on('change', this.properties.handleChange);
+      changeStream.on('error', this.properties.handleError);
+      this.properties.interruption = undefined;
+    })
+    .catch(error => {
+      this.properties.logger.error("[%s][Subscription:%s] Failed to open the change stream: %s\n%s",
+        __pretty_name__, this.properties.name, error.message, error.stack);
+      throw error;
+    });
+};
+
+/**
+ * @description Close the current change stream without closing the subscription
+ * @private
+ */
+ChangeStreamSubscription.prototype._stopStream = function () {
+  const changeStream = this.properties.changeStream;
+  if (!changeStream) {
+    return;
+  }
+
+  this.properties.changeStream = undefined;
+  changeStream.removeListener('change', this.properties.handleChange);
+  changeStream.removeListener('error', this.properties.handleError);
+  new Promise(resolve => resolve(changeStream.close()))
+    .catch(error => {
+      this.properties.logger.debug("[%s][Subscription:%s] Failed to close the change stream: %s",
+        '_stopStream', this.properties.name, error.message);
+    });
+};
+
+/**
+ * @description Handle a change. The change is emitted then its resume token saved
+ * @param {Object} change The change
+ * @private
+ */
+ChangeStreamSubscription.prototype._handleChange = function (change) {
+  this.emit('change', change);
+  if (this.properties.iterator) {
+    this._pushToIterator({value: change, done: false});
+  }
+
+  const resumeToken = change._id;
+  this.properties.lastSave = this.properties.lastSave
+    .then(() => this.properties.resumeTokenStore.save(this.properties.name, resumeToken))
+    .catch(error => {
+      this.properties.logger.error("[%s][Subscription:%s] Failed to save the resume token: %s\n%s",
+        '_handleChange', this.properties.name, error.message, error.stack);
+    });
+};
+
+/**
+ * @event ChangeStreamSubscription#interrupted
+ * @description The stream failed with an error the driver cannot resume. The subscription is resumed by the next
+ *  reconnection of the manager or by calling start
+ * @type {Error}
+ */
+/**
+ * @description Handle an error of the change stream. The stream is closed and resumed by the next reconnection
+ * @param {Object} changeStream The change stream
+ * @param {Error} error The error
+ * @private
+ */
+ChangeStreamSubscription.prototype._handleStreamError = function (changeStream, error) {
+  const __pretty_name__ = '_handleStreamError';
+
+  if (this.properties.changeStream === changeStream) {
+    this._stopStream();
+  }
+
+  this.properties.interruption = error;
+  if (this.listenerCount('error') > 0) {
+    this.properties.logger.warn("[%s][Subscription:%s] Change stream error: %s", __pretty_name__, this.properties.name, error.message);
+    this.emit('error', error);
+  } else {
+    // Nobody is notified by the event error
+    this.properties.logger.error("[%s][Subscription:%s] Change stream interrupted until the next reconnection: %s\n%s",
+      __pretty_name__, this.properties.name, error.message, error.stack);
+  }
+  this.emit('interrupted', error);
+};
+
+/**
+ * @description Close the subscription. The last resume token is kept in the store
+ * @return {Promise} Resolved when the pending token saves are done
+ */
+ChangeStreamSubscription.prototype.close = function () {
+  if (this.properties.closed) {
+    return this.properties.lastSave;
+  }
+
+  this.properties.closed = true;
+  this._stopStream();
+  if (this.properties.iterator) {
+    this._pushToIterator({value: undefined, done: true});
+  }
+  this.emit('close');
+
+  return this.properties.lastSave;
+};
+
+/**
+ * @description Give the result to the waiting iterator or buffer it
+ * @param {Object} result The iterator result
+ * @private
+ */
+ChangeStreamSubscription.prototype._pushToIterator = function (result) {
+  const iterator = this.properties.iterator;
+
+  if (result.done) {
+    iterator.done = true;
+    _.each(iterator.waiting.splice(0), resolve => resolve(result));
+  } else if (iterator.waiting.length > 0) {
+    iterator.waiting.shift()(result);
+  } else {
+    iterator.buffer.push(result);
+  }
+};
+
+/**
+ * @description Returns an async iterator on the changes. The changes are buffered from the first call
+ * @return {Object} The async iterator
+ */
+ChangeStreamSubscription.prototype.iterate = function () {
+  if (!this.properties.iterator) {
+    this.properties.iterator = {
+      buffer: [],
+      waiting: [],
+      done: this.properties.closed
+    };
+  }
+
+  const iterator = this.properties.iterator;
+  const asyncIterator = {
+    next: () => {
+      if (iterator.buffer.length > 0) {
+        return Promise.resolve(iterator.buffer.shift());
+      } else if (iterator.done || this.properties.closed) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+      return new Promise(resolve => iterator.waiting.push(resolve));
+    },
+    return: () => this.close().then(() => ({value: undefined, done: true}))
+  };
+
+  if (typeof Symbol.asyncIterator === 'symbol') {
+    asyncIterator[Symbol.asyncIterator] = () => asyncIterator;
+  }
+  return asyncIterator;
+};
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  ChangeStreamSubscription.prototype[Symbol.asyncIterator] = function () {
+    return this.iterate();
+  };
+}
+
+exports = module.exports = ChangeStreamSubscription;
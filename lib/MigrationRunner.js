@@ -0,0 +1,368 @@
+/**
+ * Run the schema migrations using the database of a MongoDbManager
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  crypto = require('crypto'),
+  os = require('os'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @description The id of the lock document
+ * @type {string}
+ */
+const LOCK_DOCUMENT_ID = "migration";
+
+/**
+ * @description The error code returned by MongoDB for a duplicate key
+ * @type {number}
+ */
+const MONGODB_ERROR_CODE_DUPLICATE_KEY = 11000;
+
+/**
+ * @description The delay between two tries to acquire the lock
+ * @type {number}
+ */
+const LOCK_RETRY_DELAY_MS = 500;
+
+/**
+ * @typedef {Object} MigrationRunner~Migration
+ * @description A migration module
+ * @property {string|number} version The unique version
+ * @property {string|undefined} name The name
+ * @property {MigrationRunner~MigrationFunction} up The function applying the migration
+ * @property {MigrationRunner~MigrationFunction|undefined} down The function reverting the migration
+ */
+/**
+ * @typedef {Function} MigrationRunner~MigrationFunction
+ * @param {MigrationRunner~MigrationContext} context The context
+ * @return {Promise} The promise object
+ */
+/**
+ * @typedef {Object} MigrationRunner~MigrationContext
+ * @property {MongoDbManager} manager The manager
+ * @property {Object} collections The collections by names. Use them instead of manager.getCollectionByName which
+ *  is not available yet when the migrations run on connect
+ * @property {Object} db The database
+ */
+/**
+ * @typedef {Object} MigrationRunner~Options
+ * @property {MongoDbManager} manager The manager
+ * @property {Object} db The database used for the bookkeeping
+ * @property {Object} collections The collections by names given to the migrations
+ * @property {MigrationRunner~Migration[]} modules The ordered migrations
+ * @property {string} [collectionName=migrations] The collection recording the applied versions
+ * @property {number} [lockTimeoutMs=60000] The time to wait for the lock
+ * @property {number} [lockTtlMs=600000] The time after which a lock is considered abandoned. The owner refreshes it
+ *  every half of this time while the migrations run
+ * @property {Object} logger The logger to use
+ */
+
+/**
+ * @description Run the migrations with a lock so only one instance migrates at a time
+ * @param {MigrationRunner~Options} options The options
+ * @constructor
+ */
+function MigrationRunner(options) {
+  if (!(this instanceof MigrationRunner)) {
+    return new MigrationRunner(options);
+  }
+
+  this.properties = {
+    manager: options.manager,
+    db: options.db,
+    collections: options.collections || {},
+    modules: options.modules || [],
+    collectionName: options.collectionName || MigrationRunner.DEFAULT_COLLECTION_NAME,
+    lockTimeoutMs: options.lockTimeoutMs || MigrationRunner.DEFAULT_LOCK_TIMEOUT_MS,
+    lockTtlMs: options.lockTtlMs || MigrationRunner.DEFAULT_LOCK_TTL_MS,
+    logger: options.logger,
+    owner: util.format("%s:%d:%s", os.hostname(), process.pid, crypto.randomBytes(4).toString('hex'))
+  };
+}
+
+/**
+ * @description The default name of the bookkeeping collection
+ * @type {string}
+ */
+MigrationRunner.DEFAULT_COLLECTION_NAME = "migrations";
+
+/**
+ * @description The default time to wait for the lock
+ * @type {number}
+ */
+MigrationRunner.DEFAULT_LOCK_TIMEOUT_MS = 60000;
+
+/**
+ * @description The default time after which a lock is considered abandoned
+ * @type {number}
+ */
+MigrationRunner.DEFAULT_LOCK_TTL_MS = 600000;
+
+/**
+ * @description Compute the checksum of the migration
+ * @param {MigrationRunner~Migration} migration The migration
+ * @return {string} The checksum
+ */
+MigrationRunner.computeChecksum = function (migration) {
+  return crypto.createHash('sha1')
+    .update(String(migration.up))
+    .update(String(migration.down || ''))
+    .digest('hex');
+};
+
+/**
+ * @description Returns the collection recording the applied versions
+ * @return {Object} The collection
+ * @private
+ */
+MigrationRunner.prototype._getMigrationCollection = function () {
+  return this.properties.db.collection(this.properties.collectionName);
+};
+
+/**
+ * @description Returns the collection containing the lock
+ * @return {Object} The collection
+ * @private
+ */
+MigrationRunner.prototype._getLockCollection = function () {
+  return this.properties.db.collection(this.properties.collectionName + "_lock");
+};
+
+/**
+ * @description Acquire the lock. Wait until the lock timeout if another instance owns it
+ * @return {Promise} The promise object
+ */
+MigrationRunner.prototype.acquireLock = function () {
+  const __pretty_name__ = 'acquireLock';
+
+  const lockCollection = this._getLockCollection(),
+    startTime = Date.now();
+
+  const _tryAcquire = () => {
+    const now = new Date();
+
+    // Remove the abandoned lock first
+    return lockCollection.deleteOne({_id: LOCK_DOCUMENT_ID, expiresAt: {$lt: now}})
+      .then(() => lockCollection.insertOne({
+        _id: LOCK_DOCUMENT_ID,
+        owner: this.properties.owner,
+        lockedAt: now,
+        expiresAt: new Date(now.getTime() + this.properties.lockTtlMs)
+      }))
+      .then(() => {
+        this.properties.logger.debug("[%s] Lock acquired by '%s'", __pretty_name__, this.properties.owner);
+      })
+      .catch(error => {
+        if (error.code !== MONGODB_ERROR_CODE_DUPLICATE_KEY) {
+          throw error;
+        } else if (Date.now() - startTime + LOCK_RETRY_DELAY_MS > this.properties.lockTimeoutMs) {
+          throw new exceptions.TimedOutException(util.format("Cannot acquire the migration lock after %d ms", this.properties.lockTimeoutMs));
+        }
+
+        this.properties.logger.debug("[%s] Lock owned by another instance. Retry in %d ms", __pretty_name__, LOCK_RETRY_DELAY_MS);
+        return new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS)).then(_tryAcquire);
+      });
+  };
+
+  return _tryAcquire();
+};
+
+/**
+ * @description Release the lock owned by this runner
+ * @return {Promise} The promise object
+ */
+MigrationRunner.prototype.releaseLock = function () {
+  return this._getLockCollection().deleteOne({_id: LOCK_DOCUMENT_ID, owner: this.properties.owner})
+    .then(() => {
+      this.properties.logger.debug("[%s] Lock released by '%s'", 'releaseLock', this.properties.owner);
+    });
+};
+
+/**
+ * @description Push back the expiration of the lock owned by this runner
+ * @return {Promise} The promise object. Rejected with IllegalStateException if the lock is not owned by this runner
+ *  anymore (expired and taken by another instance)
+ */
+MigrationRunner.prototype.refreshLock = function () {
+  return this._getLockCollection().updateOne({_id: LOCK_DOCUMENT_ID, owner: this.properties.owner}, {
+    $set: {expiresAt: new Date(Date.now() + this.properties.lockTtlMs)}
+  })
+    .then(result => {
+      if (!result || result.matchedCount === 0) {
+        throw new exceptions.IllegalStateException(util.format("The migration lock is not owned by '%s' anymore", this.properties.owner));
+      }
+    });
+};
+
+/**
+ * @description Run the function with the lock and always release it. The lock is refreshed while the function runs
+ * @param {Function} fn The function returning a promise
+ * @return {Promise} The promise resolved with the function result
+ * @private
+ */
+MigrationRunner.prototype._withLock = function (fn) {
+  return this.acquireLock()
+    .then(() => {
+      const refreshTimer = setInterval(() => {
+        this.refreshLock()
+          .catch(error => {
+            this.properties.logger.error("[%s] Failed to refresh the lock: %s", '_withLock', error.message);
+          });
+      }, Math.max(1, Math.floor(this.properties.lockTtlMs / 2)));
+
+      return Promise.resolve()
+        .then(fn)
+        .then(result => {
+          clearInterval(refreshTimer);
+          return this.releaseLock().then(() => result);
+        }, error => {
+          clearInterval(refreshTimer);
+          return this.releaseLock()
+            .catch(releaseError => {
+              this.properties.logger.error("[%s] Failed to release the lock: %s\n%s", '_withLock', releaseError.message, releaseError.stack);
+            })
+            .then(() => {
+              throw error;
+            });
+        });
+    });
+};
+
+/**
+ * @typedef {Object} MigrationRunner~Status
+ * @property {string} version The version
+ * @property {string|undefined} name The name
+ * @property {boolean} applied <code>true</code> if applied
+ * @property {Date|undefined} appliedAt When the migration was applied
+ * @property {boolean} checksumMatch <code>false</code> if the migration changed since it was applied
+ */
+/**
+ * @description Returns the status of each known migration
+ * @return {Promise} Resolved with {@link MigrationRunner~Status[]}
+ */
+MigrationRunner.prototype.status = function () {
+  return this._getMigrationCollection().find({}).toArray()
+    .then(records => {
+      const recordsByVersion = _.keyBy(records, '_id');
+
+      return _.map(this.properties.modules, migration => {
+        const version = String(migration.version),
+          record = recordsByVersion[version];
+
+        return {
+          version: version,
+          name: migration.name,
+          applied: !!record,
+          appliedAt: record ? record.appliedAt : undefined,
+          checksumMatch: !record || record.checksum === MigrationRunner.computeChecksum(migration)
+        };
+      });
+    });
+};
+
+/**
+ * @description Returns the context given to the migration functions
+ * @return {MigrationRunner~MigrationContext} The context
+ * @private
+ */
+MigrationRunner.prototype._createMigrationContext = function () {
+  return {
+    manager: this.properties.manager,
+    collections: this.properties.collections,
+    db: this.properties.db
+  };
+};
+
+/**
+ * @description Apply the pending migrations in order
+ * @return {Promise} Resolved with the applied versions
+ */
+MigrationRunner.prototype.migrate = function () {
+  const __pretty_name__ = 'migrate';
+
+  return this._withLock(() => {
+    return this.status()
+      .then(statuses => {
+        const modifiedStatus = _.find(statuses, status => !status.checksumMatch);
+        if (modifiedStatus) {
+          throw new exceptions.IllegalStateException(util.format("The migration '%s' changed since it was applied", modifiedStatus.version));
+        }
+
+        const pendingMigrations = _.filter(this.properties.modules, (migration, index) => !statuses[index].applied);
+        this.properties.logger.info("[%s] %d pending migration(s)", __pretty_name__, pendingMigrations.length);
+
+        const appliedVersions = [];
+        return _.reduce(pendingMigrations, (promise, migration) => {
+          return promise.then(() => {
+            const version = String(migration.version);
+
+            this.properties.logger.info("[%s][Version:%s] Apply the migration '%s'", __pretty_name__, version, migration.name || '');
+            return Promise.resolve(migration.up(this._createMigrationContext()))
+              // Do not record the version if another instance took the lock meanwhile
+              .then(() => this.refreshLock())
+              .then(() => this._getMigrationCollection().insertOne({
+                _id: version,
+                name: migration.name,
+                checksum: MigrationRunner.computeChecksum(migration),
+                appliedAt: new Date()
+              }))
+              .then(() => {
+                this.properties.logger.info("[%s][Version:%s] Migration applied", __pretty_name__, version);
+                appliedVersions.push(version);
+              }, error => {
+                this.properties.logger.error("[%s][Version:%s] Migration failed: %s\n%s", __pretty_name__, version, error.message, error.stack);
+                throw error;
+              });
+          });
+        }, Promise.resolve())
+          .then(() => appliedVersions);
+      });
+  });
+};
+
+/**
+ * @description Revert the last applied migrations
+ * @param {number} [count=1] The number of migrations to revert
+ * @return {Promise} Resolved with the reverted versions
+ */
+MigrationRunner.prototype.rollback = function (count) {
+  const __pretty_name__ = 'rollback';
+
+  if (_.isNil(count)) {
+    count = 1;
+  }
+
+  return this._withLock(() => {
+    return this.status()
+      .then(statuses => {
+        const appliedMigrations = _.filter(this.properties.modules, (migration, index) => statuses[index].applied);
+        const migrationsToRevert = _.takeRight(appliedMigrations, count).reverse();
+
+        const noDownMigration = _.find(migrationsToRevert, migration => !_.isFunction(migration.down));
+        if (noDownMigration) {
+          throw new exceptions.IllegalStateException(util.format("The migration '%s' cannot be reverted", noDownMigration.version));
+        }
+
+        const revertedVersions = [];
+        return _.reduce(migrationsToRevert, (promise, migration) => {
+          return promise.then(() => {
+            const version = String(migration.version);
+
+            this.properties.logger.info("[%s][Version:%s] Revert the migration '%s'", __pretty_name__, version, migration.name || '');
+            return Promise.resolve(migration.down(this._createMigrationContext()))
+              .then(() => this.refreshLock())
+              .then(() => this._getMigrationCollection().deleteOne({_id: version}))
+              .then(() => {
+                revertedVersions.push(version);
+              });
+          });
+        }, Promise.resolve())
+          .then(() => revertedVersions);
+      });
+  });
+};
+
+
+exports = module.exports = MigrationRunner;
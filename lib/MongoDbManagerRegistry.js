@@ -0,0 +1,167 @@
+/**
+ * Own several named MongoDbManager instances and drive their lifecycle together
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @typedef {Object} MongoDbManagerRegistry~Options
+ * @property {Function|undefined} Manager The manager constructor. Default is MongoDbManager
+ * @property {Object|undefined} loggerTarget The logger target given to each manager
+ */
+/**
+ * @typedef {Object} MongoDbManagerRegistry~ManagerError
+ * @property {string} name The manager name
+ * @property {Error} error The error
+ */
+
+/**
+ * @description Create the managers from one configuration and connect, disconnect and check them together
+ * @param {MongoDbManagerRegistry~Options} [options] The options
+ * @constructor
+ */
+function MongoDbManagerRegistry(options) {
+  if (!(this instanceof MongoDbManagerRegistry)) {
+    return new MongoDbManagerRegistry(options);
+  }
+
+  options = options || {};
+  this.properties = {
+    // Required here because the manager module requires this one
+    Manager: options.Manager || require('./../index'),
+    loggerTarget: options.loggerTarget,
+    managers: {}
+  };
+}
+
+/**
+ * @description Returns the error gathering the errors of the managers
+ * @param {string} action The failed action
+ * @param {MongoDbManagerRegistry~ManagerError[]} errors The errors
+ * @return {BaseError} The error. The list is in the property errors
+ * @private
+ */
+function _createAggregatedError(action, errors) {
+  const error = new exceptions.BaseError(util.format("Failed to %s %d manager(s): %s", action, errors.length,
+    _.map(errors, managerError => util.format("%s (%s)", managerError.name, managerError.error.message)).join(", ")));
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * @description Call the function on each manager in parallel
+ * @param {string} action The action name used in the error message
+ * @param {string[]} names The manager names
+ * @param {Function} fn Receives the manager and its name and returns a promise
+ * @return {Promise} Resolved when all succeed. Rejected with all the errors once every manager is done
+ * @private
+ */
+MongoDbManagerRegistry.prototype._forEachManager = function (action, names, fn) {
+  const errors = [];
+
+  return Promise.all(_.map(names, name => {
+    return new Promise(resolve => resolve(fn(this.properties.managers[name], name)))
+      .catch(error => {
+        errors.push({name: name, error: error});
+      });
+  }))
+    .then(() => {
+      if (errors.length > 0) {
+        throw _createAggregatedError(action, _.sortBy(errors, 'name'));
+      }
+    });
+};
+
+/**
+ * @description Create and initialize a manager for each entry of the configuration
+ * @param {Object} configuration The {@link MongoDbManager.initialize~Options} by manager names
+ * @return {Promise} Resolved when all the managers are initialized. Rejected with IllegalArgumentException if the
+ *  configuration is invalid, or with the aggregated errors. Only the initialized managers are registered
+ */
+MongoDbManagerRegistry.prototype.initialize = function (configuration) {
+  if (!_.isPlainObject(configuration) || _.isEmpty(configuration)) {
+    return Promise.reject(new exceptions.IllegalArgumentException("The configuration must contain at least one manager"));
+  }
+
+  const duplicatedNames = _.filter(_.keys(configuration), name => _.has(this.properties.managers, name));
+  if (duplicatedNames.length > 0) {
+    return Promise.reject(new exceptions.IllegalArgumentException(util.format("The managers already exist: %s", duplicatedNames.join(", "))));
+  }
+
+  return this._forEachManager("initialize", _.keys(configuration), (manager, name) => {
+    const newManager = new this.properties.Manager({
+      loggerTarget: this.properties.loggerTarget
+    });
+
+    return newManager.initialize(configuration[name])
+      .then(() => {
+        this.properties.managers[name] = newManager;
+      });
+  });
+};
+
+/**
+ * @description Returns the manager
+ * @param {string} name The manager name
+ * @return {MongoDbManager|undefined} The manager if exists
+ */
+MongoDbManagerRegistry.prototype.get = function (name) {
+  return this.properties.managers[name];
+};
+
+/**
+ * @description Returns the names of the managers
+ * @return {string[]} The names
+ */
+MongoDbManagerRegistry.prototype.getNames = function () {
+  return _.keys(this.properties.managers);
+};
+
+/**
+ * @description Connect all the managers which can connect in parallel. The managers connected stay connected when
+ *  another one fails
+ * @return {Promise} Resolved when all are connected. Rejected with the aggregated errors
+ */
+MongoDbManagerRegistry.prototype.connect = function () {
+  const names = _.filter(this.getNames(), name => this.properties.managers[name].canConnect());
+  return this._forEachManager("connect", names, manager => manager.connect());
+};
+
+/**
+ * @description Disconnect all the managers which can disconnect in parallel
+ * @param {MongoDbManager.disconnect~Options} [options] Given to each manager
+ * @return {Promise} Resolved when all are disconnected. Rejected with the aggregated errors
+ */
+MongoDbManagerRegistry.prototype.disconnect = function (options) {
+  const names = _.filter(this.getNames(), name => this.properties.managers[name].canDisconnect());
+  return this._forEachManager("disconnect", names, manager => manager.disconnect(options));
+};
+
+/**
+ * @typedef {Object} MongoDbManagerRegistry.healthCheck~Result
+ * @property {boolean} healthy <code>true</code> if all the managers are healthy
+ * @property {Object} managers The {@link MongoDbManager.healthCheck~Result} by manager names
+ * @property {Date} checkedAt When the check was done
+ */
+/**
+ * @description Check all the managers in parallel. The promise is never rejected
+ * @param {MongoDbManager.healthCheck~Options} [options] Given to each manager
+ * @return {Promise} Resolved with {@link MongoDbManagerRegistry.healthCheck~Result}
+ */
+MongoDbManagerRegistry.prototype.healthCheck = function (options) {
+  const names = this.getNames();
+
+  return Promise.all(_.map(names, name => this.properties.managers[name].healthCheck(options)))
+    .then(results => {
+      return {
+        healthy: _.every(results, 'healthy'),
+        managers: _.zipObject(names, results),
+        checkedAt: new Date()
+      };
+    });
+};
+
+
+exports = module.exports = MongoDbManagerRegistry;
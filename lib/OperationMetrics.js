@@ -0,0 +1,186 @@
+/**
+ * Record the count, the latency and the errors of the collection operations
+ */
+
+const _ = require('lodash'),
+  util = require('util');
+
+/**
+ * @description The default histogram buckets in milliseconds
+ * @type {number[]}
+ */
+const DEFAULT_BUCKETS_MS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * @description The prefix of the Prometheus metric names
+ * @type {string}
+ */
+const PROMETHEUS_PREFIX = "mongodb_manager_";
+
+/**
+ * @typedef {Object} OperationMetrics~Options
+ * @property {number[]|undefined} bucketsMs The histogram buckets in milliseconds
+ */
+
+/**
+ * @description Record the operations by collection and operation name
+ * @param {OperationMetrics~Options} [options] The options
+ * @constructor
+ */
+function OperationMetrics(options) {
+  if (!(this instanceof OperationMetrics)) {
+    return new OperationMetrics(options);
+  }
+
+  options = options || {};
+  this.properties = {
+    bucketsMs: _.sortBy(_.uniq(options.bucketsMs || DEFAULT_BUCKETS_MS)),
+    collections: {},
+    startedAt: new Date()
+  };
+}
+
+/**
+ * @description The default histogram buckets in milliseconds
+ * @type {number[]}
+ */
+OperationMetrics.DEFAULT_BUCKETS_MS = DEFAULT_BUCKETS_MS;
+
+/**
+ * @description Record an operation
+ * @param {string} collectionName The collection name or namespace
+ * @param {string} operationName The operation name
+ * @param {number} durationMs The duration in milliseconds
+ * @param {Error|undefined} [error] The error if the operation failed
+ */
+OperationMetrics.prototype.record = function (collectionName, operationName, durationMs, error) {
+  const collectionMetrics = this.properties.collections[collectionName] = this.properties.collections[collectionName] || {};
+
+  let operationMetrics = collectionMetrics[operationName];
+  if (!operationMetrics) {
+    operationMetrics = collectionMetrics[operationName] = {
+      count: 0,
+      errors: 0,
+      totalMs: 0,
+      minMs: undefined,
+      maxMs: undefined,
+      buckets: _.map(this.properties.bucketsMs, () => 0)
+    };
+  }
+
+  ++operationMetrics.count;
+  if (error) {
+    ++operationMetrics.errors;
+  }
+  operationMetrics.totalMs += durationMs;
+  operationMetrics.minMs = _.isUndefined(operationMetrics.minMs) ? durationMs : Math.min(operationMetrics.minMs, durationMs);
+  operationMetrics.maxMs = _.isUndefined(operationMetrics.maxMs) ? durationMs : Math.max(operationMetrics.maxMs, durationMs);
+  _.each(this.properties.bucketsMs, (bucketMs, index) => {
+    if (durationMs <= bucketMs) {
+      ++operationMetrics.buckets[index];
+    }
+  });
+};
+
+/**
+ * @description Remove all the recorded operations
+ */
+OperationMetrics.prototype.reset = function () {
+  this.properties.collections = {};
+  this.properties.startedAt = new Date();
+};
+
+/**
+ * @typedef {Object} OperationMetrics~OperationSnapshot
+ * @property {number} count The number of operations
+ * @property {number} errors The number of failed operations
+ * @property {number} totalMs The total duration
+ * @property {number|undefined} minMs The minimum duration
+ * @property {number|undefined} maxMs The maximum duration
+ * @property {number} avgMs The average duration
+ * @property {Object} buckets The cumulative number of operations by upper bound in milliseconds
+ */
+/**
+ * @typedef {Object} OperationMetrics~Snapshot
+ * @property {Date} startedAt When the recording started
+ * @property {Object} collections The {@link OperationMetrics~OperationSnapshot} by collection then operation
+ */
+/**
+ * @description Returns a copy of the recorded metrics
+ * @return {OperationMetrics~Snapshot} The snapshot
+ */
+OperationMetrics.prototype.getSnapshot = function () {
+  return {
+    startedAt: this.properties.startedAt,
+    collections: _.mapValues(this.properties.collections, collectionMetrics => {
+      return _.mapValues(collectionMetrics, operationMetrics => ({
+        count: operationMetrics.count,
+        errors: operationMetrics.errors,
+        totalMs: operationMetrics.totalMs,
+        minMs: operationMetrics.minMs,
+        maxMs: operationMetrics.maxMs,
+        avgMs: operationMetrics.count > 0 ? operationMetrics.totalMs / operationMetrics.count : 0,
+        buckets: _.zipObject(_.map(this.properties.bucketsMs, String), operationMetrics.buckets)
+      }));
+    })
+  };
+};
+
+/**
+ * @description Escape the label value for the Prometheus text format
+ * @param {string} value The value
+ * @return {string} The escaped value
+ * @private
+ */
+function _escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @description Returns the labels for the Prometheus text format
+ * @param {Object} labels The labels
+ * @return {string} The formatted labels
+ * @private
+ */
+function _formatLabels(labels) {
+  return '{' + _.map(labels, (value, name) => util.format('%s="%s"', name, _escapeLabelValue(value))).join(',') + '}';
+}
+
+/**
+ * @description Returns the metrics in the Prometheus text format
+ * @return {string} The metrics
+ */
+OperationMetrics.prototype.toPrometheus = function () {
+  const counterLines = [], errorLines = [], histogramLines = [];
+
+  _.each(this.properties.collections, (collectionMetrics, collectionName) => {
+    _.each(collectionMetrics, (operationMetrics, operationName) => {
+      const labels = {collection: collectionName, operation: operationName};
+
+      counterLines.push(util.format("%soperations_total%s %d", PROMETHEUS_PREFIX, _formatLabels(labels), operationMetrics.count));
+      errorLines.push(util.format("%soperation_errors_total%s %d", PROMETHEUS_PREFIX, _formatLabels(labels), operationMetrics.errors));
+      _.each(this.properties.bucketsMs, (bucketMs, index) => {
+        histogramLines.push(util.format("%soperation_duration_ms_bucket%s %d", PROMETHEUS_PREFIX,
+          _formatLabels(_.assign({}, labels, {le: String(bucketMs)})), operationMetrics.buckets[index]));
+      });
+      histogramLines.push(util.format("%soperation_duration_ms_bucket%s %d", PROMETHEUS_PREFIX,
+        _formatLabels(_.assign({}, labels, {le: "+Inf"})), operationMetrics.count));
+      histogramLines.push(util.format("%soperation_duration_ms_sum%s %s", PROMETHEUS_PREFIX, _formatLabels(labels), operationMetrics.totalMs));
+      histogramLines.push(util.format("%soperation_duration_ms_count%s %d", PROMETHEUS_PREFIX, _formatLabels(labels), operationMetrics.count));
+    });
+  });
+
+  return _.flatten([
+    util.format("# HELP %soperations_total The number of operations", PROMETHEUS_PREFIX),
+    util.format("# TYPE %soperations_total counter", PROMETHEUS_PREFIX),
+    counterLines,
+    util.format("# HELP %soperation_errors_total The number of failed operations", PROMETHEUS_PREFIX),
+    util.format("# TYPE %soperation_errors_total counter", PROMETHEUS_PREFIX),
+    errorLines,
+    util.format("# HELP %soperation_duration_ms The duration of the operations in milliseconds", PROMETHEUS_PREFIX),
+    util.format("# TYPE %soperation_duration_ms histogram", PROMETHEUS_PREFIX),
+    histogramLines
+  ]).join('\n') + '\n';
+};
+
+exports = module.exports = OperationMetrics;
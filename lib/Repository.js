@@ -0,0 +1,287 @@
+/**
+ * Repository over a collection. Validates the documents and handles the defaults, the timestamps and the soft-delete
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  Joi = require('joi'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @typedef {Object} Repository~Model
+ * @description The model definition given with the collection option model
+ * @property {Object|undefined} schema The Joi schema of the documents. The _id, timestamps and soft-delete fields are
+ *  handled by the repository and do not need to be declared
+ * @property {Object|undefined} defaults The default values. A function value is called for each insert
+ * @property {boolean|Object|undefined} timestamps <code>true</code> to maintain createdAt and updatedAt. An object
+ *  can rename the fields with <code>createdAt</code> and <code>updatedAt</code>
+ * @property {boolean|Object|undefined} softDelete <code>true</code> to flag the removed documents with deletedAt
+ *  instead of deleting them. An object can rename the field with <code>field</code>
+ */
+/**
+ * @typedef {Object} Repository~Options
+ * @property {string} name The repository name (collection alias or name)
+ * @property {Function} getCollection Returns the collection or undefined if not connected
+ * @property {Repository~Model} model The model
+ */
+
+/**
+ * @description Repository exposing validated operations on a collection
+ * @param {Repository~Options} options The options
+ * @constructor
+ */
+function Repository(options) {
+  if (!(this instanceof Repository)) {
+    return new Repository(options);
+  }
+
+  const model = options.model || {},
+    timestamps = model.timestamps === true ? {} : model.timestamps,
+    softDelete = model.softDelete === true ? {} : model.softDelete;
+
+  this.properties = {
+    name: options.name,
+    getCollection: options.getCollection,
+    schema: model.schema,
+    defaults: model.defaults || {},
+    createdAtField: timestamps ? timestamps.createdAt || Repository.DEFAULT_CREATED_AT_FIELD : undefined,
+    updatedAtField: timestamps ? timestamps.updatedAt || Repository.DEFAULT_UPDATED_AT_FIELD : undefined,
+    deletedAtField: softDelete ? softDelete.field || Repository.DEFAULT_DELETED_AT_FIELD : undefined
+  };
+}
+
+/**
+ * @description The default field containing the creation date
+ * @type {string}
+ */
+Repository.DEFAULT_CREATED_AT_FIELD = "createdAt";
+
+/**
+ * @description The default field containing the last update date
+ * @type {string}
+ */
+Repository.DEFAULT_UPDATED_AT_FIELD = "updatedAt";
+
+/**
+ * @description The default field containing the soft-delete date
+ * @type {string}
+ */
+Repository.DEFAULT_DELETED_AT_FIELD = "deletedAt";
+
+/**
+ * @description The number of tries of an update modified concurrently
+ * @type {number}
+ */
+Repository.UPDATE_MAX_ATTEMPTS = 5;
+
+/**
+ * @description The repository name
+ * @type {string}
+ */
+Object.defineProperty(Repository.prototype, 'name', {
+  get: function () {
+    return this.properties.name;
+  }
+});
+
+/**
+ * @description Returns the collection
+ * @return {Promise} Resolved with the collection. Rejected if not connected
+ * @private
+ */
+Repository.prototype._getCollection = function () {
+  let collection;
+  try {
+    collection = this.properties.getCollection();
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  if (!collection) {
+    return Promise.reject(new exceptions.IllegalStateException(util.format("The collection of the repository '%s' is not available", this.properties.name)));
+  }
+
+  return Promise.resolve(collection);
+};
+
+/**
+ * @description Returns the fields handled by the repository
+ * @return {string[]} The fields
+ * @private
+ */
+Repository.prototype._getManagedFields = function () {
+  return _.compact(['_id', this.properties.createdAtField, this.properties.updatedAtField, this.properties.deletedAtField]);
+};
+
+/**
+ * @description Add the soft-delete condition to the query
+ * @param {Object|undefined} filter The query
+ * @param {boolean} [includeDeleted=false] <code>true</code> to keep the removed documents
+ * @return {Object} The query
+ * @private
+ */
+Repository.prototype._createQuery = function (filter, includeDeleted) {
+  const query = _.assign({}, filter);
+  if (this.properties.deletedAtField && includeDeleted !== true) {
+    query[this.properties.deletedAtField] = null;
+  }
+  return query;
+};
+
+/**
+ * @description Validate the document with the schema. The managed fields are not validated
+ * @param {Object} document The document
+ * @return {Promise} Resolved with the validated document. Rejected with IllegalArgumentException if invalid
+ */
+Repository.prototype.validate = function (document) {
+  if (!this.properties.schema) {
+    return Promise.resolve(document);
+  }
+
+  const managedFields = this._getManagedFields();
+  return new Promise((resolve, reject) => {
+    Joi.validate(_.omit(document, managedFields), this.properties.schema, (error, value) => {
+      if (error) {
+        return reject(new exceptions.IllegalArgumentException(util.format("Invalid document for '%s': %s", this.properties.name, error.message)));
+      }
+
+      resolve(_.assign(value, _.pick(document, managedFields)));
+    });
+  });
+};
+
+/**
+ * @description Returns the document with the id
+ * @param {*} id The document id
+ * @param {Object|undefined} [options] The findOne options of the driver (projection, ...). <code>includeDeleted</code>
+ *  to find a removed document
+ * @return {Promise} Resolved with the document or null
+ */
+Repository.prototype.findById = function (id, options) {
+  options = options || {};
+
+  return this._getCollection()
+    .then(collection => collection.findOne(this._createQuery({_id: id}, options.includeDeleted), _.omit(options, 'includeDeleted')));
+};
+
+/**
+ * @description Returns the matching documents
+ * @param {Object|undefined} [filter] The query
+ * @param {Object|undefined} [options] The find options of the driver (sort, skip, limit, projection).
+ *  <code>includeDeleted</code> to find the removed documents
+ * @return {Promise} Resolved with the documents
+ */
+Repository.prototype.find = function (filter, options) {
+  options = options || {};
+
+  return this._getCollection()
+    .then(collection => collection.find(this._createQuery(filter, options.includeDeleted), _.omit(options, 'includeDeleted')).toArray());
+};
+
+/**
+ * @description Insert the document after applying the defaults and the timestamps
+ * @param {Object} document The document
+ * @return {Promise} Resolved with the inserted document
+ */
+Repository.prototype.insert = function (document) {
+  const defaults = _.mapValues(this.properties.defaults, value => _.isFunction(value) ? value() : _.cloneDeep(value)),
+    now = new Date();
+
+  const documentToInsert = _.defaults(_.omit(document, _.compact([this.properties.deletedAtField])), defaults);
+  if (this.properties.createdAtField) {
+    documentToInsert[this.properties.createdAtField] = now;
+    documentToInsert[this.properties.updatedAtField] = now;
+  }
+
+  let validatedDocument;
+  return this.validate(documentToInsert)
+    .then(value => {
+      validatedDocument = value;
+      return this._getCollection();
+    })
+    .then(collection => collection.insertOne(validatedDocument))
+    .then(() => validatedDocument);
+};
+
+/**
+ * @description Update the fields of the document. The whole document is validated before the update. Only the fields
+ *  changed by the update are written, on the condition that the document did not change since it was read. The update
+ *  is tried again on a concurrent modification
+ * @param {*} id The document id
+ * @param {Object} changes The new field values
+ * @return {Promise} Resolved with the updated document or null if not found. Rejected with IllegalStateException if
+ *  the document is still modified concurrently after {@link Repository.UPDATE_MAX_ATTEMPTS} attempts
+ */
+Repository.prototype.update = function (id, changes) {
+  const managedFields = this._getManagedFields();
+  changes = _.omit(changes, managedFields);
+
+  let collection;
+  const _tryUpdate = attempt => {
+    return collection.findOne(this._createQuery({_id: id}))
+      .then(document => {
+        if (!document) {
+          return null;
+        }
+
+        const updatedDocument = _.assign({}, document, changes);
+        if (this.properties.updatedAtField) {
+          updatedDocument[this.properties.updatedAtField] = new Date();
+        }
+
+        let validatedDocument;
+        return this.validate(updatedDocument)
+          .then(value => {
+            validatedDocument = value;
+            const fieldsToSet = _.pickBy(_.omit(validatedDocument, '_id', this.properties.createdAtField, this.properties.deletedAtField),
+              (value, field) => _.has(changes, field) || field === this.properties.updatedAtField || !_.isEqual(value, document[field]));
+            const fieldsToUnset = _.difference(_.keys(document), _.keys(validatedDocument));
+
+            const update = {$set: fieldsToSet};
+            if (fieldsToUnset.length > 0) {
+              update.$unset = _.fromPairs(_.map(fieldsToUnset, field => [field, ""]));
+            }
+
+            // The document read is the condition, the validation is only valid for it
+            return collection.updateOne(_.assign(this._createQuery({_id: id}), _.omit(document, '_id')), update);
+          })
+          .then(result => {
+            if (result.matchedCount > 0) {
+              return validatedDocument;
+            } else if (attempt >= Repository.UPDATE_MAX_ATTEMPTS) {
+              throw new exceptions.IllegalStateException(util.format("The document '%s' of '%s' is modified concurrently", id, this.properties.name));
+            }
+
+            // Modified or removed since read
+            return _tryUpdate(attempt + 1);
+          });
+      });
+  };
+
+  return this._getCollection()
+    .then(result => {
+      collection = result;
+      return _tryUpdate(1);
+    });
+};
+
+/**
+ * @description Remove the document. With the soft-delete the document is flagged instead
+ * @param {*} id The document id
+ * @return {Promise} Resolved with <code>true</code> if removed, <code>false</code> if not found
+ */
+Repository.prototype.remove = function (id) {
+  return this._getCollection()
+    .then(collection => {
+      if (this.properties.deletedAtField) {
+        const update = {$set: _.fromPairs([[this.properties.deletedAtField, new Date()]])};
+        return collection.updateOne(this._createQuery({_id: id}), update)
+          .then(result => result.matchedCount > 0);
+      }
+
+      return collection.deleteOne({_id: id})
+        .then(result => result.deletedCount > 0);
+    });
+};
+
+exports = module.exports = Repository;
@@ -0,0 +1,307 @@
+/**
+ * Export and import the documents of a collection as EJSON streams
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  StringDecoder = require('string_decoder').StringDecoder,
+  exceptions = require("js-zrim-core").exceptions,
+  ejson = require('./ejson');
+
+/**
+ * @description The supported formats
+ * @type {Object}
+ * @property {string} ndjson One EJSON document per line
+ * @property {string} ejson An EJSON array of documents
+ */
+const Formats = Object.freeze({
+  ndjson: "ndjson",
+  ejson: "ejson"
+});
+
+/**
+ * @description The supported import modes
+ * @type {Object}
+ * @property {string} insert Insert the documents. Fails on a duplicated key
+ * @property {string} upsert Set the fields of the documents having the same _id, insert the others
+ * @property {string} replace Replace the documents having the same _id, insert the others
+ */
+const ImportModes = Object.freeze({
+  insert: "insert",
+  upsert: "upsert",
+  replace: "replace"
+});
+
+/**
+ * @description The default number of documents written at once by the import
+ * @type {number}
+ */
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * @description Write the chunk and wait for the drain if the stream buffer is full
+ * @param {stream.Writable} stream The stream
+ * @param {string} chunk The chunk
+ * @return {Promise} Resolved when more data can be written. Rejected if the stream fails before the drain
+ * @private
+ */
+function _write(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const _handleDrain = () => {
+      stream.removeListener('error', _handleError);
+      resolve();
+    };
+    const _handleError = error => {
+      stream.removeListener('drain', _handleDrain);
+      reject(error);
+    };
+
+    stream.once('drain', _handleDrain);
+    stream.once('error', _handleError);
+  });
+}
+
+/**
+ * @typedef {Object} CollectionTransfer~ExportOptions
+ * @property {Object|undefined} query The query selecting the documents
+ * @property {Object|undefined} sort The sort
+ * @property {string} [format=ndjson] The format. See {@link Formats}
+ * @property {boolean} [end=true] <code>false</code> to keep the stream opened
+ */
+/**
+ * @description Write the documents of the collection in the stream
+ * @param {Object} collection The collection
+ * @param {stream.Writable} stream The stream
+ * @param {CollectionTransfer~ExportOptions} [options] The options
+ * @return {Promise} Resolved with {count} when all the documents are written. Rejected if the query or the stream fails
+ */
+function exportDocuments(collection, stream, options) {
+  options = _.defaults({}, options, {
+    format: Formats.ndjson,
+    end: true
+  });
+
+  return new Promise((resolve, reject) => {
+    let count = 0, failed = false;
+
+    const _handleStreamError = error => {
+      failed = true;
+      reject(error);
+    };
+    stream.on('error', _handleStreamError);
+
+    const cursor = collection.find(options.query || {});
+    if (options.sort) {
+      cursor.sort(options.sort);
+    }
+
+    const _closeCursor = () => {
+      if (!_.isFunction(cursor.close)) {
+        return Promise.resolve();
+      }
+      return Promise.resolve()
+        .then(() => cursor.close())
+        .catch(() => undefined);
+    };
+
+    const _writeSeparator = () => {
+      if (options.format === Formats.ejson) {
+        return _write(stream, count === 0 ? "[\n" : ",\n");
+      }
+      return Promise.resolve();
+    };
+
+    const _writeNext = () => {
+      return cursor.next()
+        .then(document => {
+          if (failed) {
+            return;
+          } else if (!document) {
+            return options.format === Formats.ejson ? _write(stream, count === 0 ? "[]\n" : "\n]\n") : undefined;
+          }
+
+          return _writeSeparator()
+            .then(() => _write(stream, ejson.stringify(document) + (options.format === Formats.ndjson ? "\n" : "")))
+            .then(() => {
+              ++count;
+              return _writeNext();
+            });
+        });
+    };
+
+    _writeNext()
+      .then(() => _closeCursor())
+      .then(() => {
+        if (failed) {
+          return;
+        }
+
+        stream.removeListener('error', _handleStreamError);
+        if (!options.end) {
+          return resolve({count: count});
+        }
+        stream.end(() => resolve({count: count}));
+      }, error => {
+        stream.removeListener('error', _handleStreamError);
+        return _closeCursor()
+          .then(() => reject(error));
+      });
+  });
+}
+
+/**
+ * @description Write the batch in the collection with one request
+ * @param {Object} collection The collection
+ * @param {Object[]} documents The documents
+ * @param {string} mode The import mode
+ * @return {Promise} The promise object
+ * @private
+ */
+function _writeBatch(collection, documents, mode) {
+  if (mode === ImportModes.insert) {
+    return collection.insertMany(documents, {ordered: true});
+  } else if (_.some(documents, document => _.isUndefined(document._id))) {
+    return Promise.reject(new exceptions.IllegalArgumentException(util.format("The mode '%s' requires the _id of each document", mode)));
+  }
+
+  return collection.bulkWrite(_.map(documents, document => {
+    if (mode === ImportModes.replace) {
+      return {replaceOne: {filter: {_id: document._id}, replacement: document, upsert: true}};
+    }
+    return {updateOne: {filter: {_id: document._id}, update: {$set: _.omit(document, '_id')}, upsert: true}};
+  }), {ordered: true});
+}
+
+/**
+ * @typedef {Object} CollectionTransfer~ImportOptions
+ * @property {string} [mode=insert] The import mode. See {@link ImportModes}
+ * @property {number} [batchSize=1000] The number of documents written at once
+ * @property {string} [format=ndjson] The format. The ejson format is read entirely before the import
+ */
+/**
+ * @description Read the documents from the stream and write them in the collection. The stream is paused while a
+ *  batch is written
+ * @param {Object} collection The collection
+ * @param {stream.Readable} stream The stream
+ * @param {CollectionTransfer~ImportOptions} [options] The options
+ * @return {Promise} Resolved with {count} when all the documents are written. Rejected on the first error
+ */
+function importDocuments(collection, stream, options) {
+  options = _.defaults({}, options, {
+    mode: ImportModes.insert,
+    batchSize: DEFAULT_BATCH_SIZE,
+    format: Formats.ndjson
+  });
+
+  return new Promise((resolve, reject) => {
+    const decoder = new StringDecoder('utf8');
+    let pending = "", batch = [], count = 0, lineNumber = 0, writing = Promise.resolve(), failed = false;
+
+    const _fail = error => {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      stream.removeListener('data', _handleData);
+      stream.removeListener('end', _handleEnd);
+      reject(error);
+    };
+
+    const _flush = () => {
+      const documents = batch;
+      batch = [];
+      if (documents.length === 0) {
+        return writing;
+      }
+
+      writing = writing
+        .then(() => _writeBatch(collection, documents, options.mode))
+        .then(() => {
+          count += documents.length;
+        });
+      return writing;
+    };
+
+    const _parseLine = line => {
+      ++lineNumber;
+      if (line.trim().length === 0) {
+        return;
+      }
+
+      try {
+        batch.push(ejson.parse(line));
+      } catch (error) {
+        throw new exceptions.IllegalArgumentException(util.format("Invalid document at line %d: %s", lineNumber, error.message));
+      }
+    };
+
+    const _handleData = chunk => {
+      pending += _.isString(chunk) ? chunk : decoder.write(chunk);
+      if (options.format !== Formats.ndjson) {
+        return;
+      }
+
+      const lines = pending.split("\n");
+      pending = lines.pop();
+      try {
+        _.each(lines, _parseLine);
+      } catch (error) {
+        return _fail(error);
+      }
+
+      if (batch.length >= options.batchSize) {
+        stream.pause();
+        _flush()
+          .then(() => stream.resume(), _fail);
+      }
+    };
+
+    const _handleEnd = () => {
+      pending += decoder.end();
+      try {
+        if (options.format === Formats.ndjson) {
+          _parseLine(pending);
+        } else {
+          const documents = ejson.parse(pending);
+          if (!_.isArray(documents)) {
+            throw new exceptions.IllegalArgumentException("The EJSON content must be an array");
+          }
+          batch = documents;
+        }
+      } catch (error) {
+        return _fail(error);
+      }
+
+      const _writeAll = () => {
+        const chunk = batch.splice(0, options.batchSize), rest = batch;
+        batch = chunk;
+        return _flush()
+          .then(() => {
+            batch = rest;
+            return batch.length > 0 ? _writeAll() : undefined;
+          });
+      };
+
+      _writeAll()
+        .then(() => {
+          if (!failed) {
+            resolve({count: count});
+          }
+        }, _fail);
+    };
+
+    stream.on('data', _handleData);
+    stream.on('end', _handleEnd);
+    stream.once('error', _fail);
+  });
+}
+
+exports.Formats = Formats;
+exports.ImportModes = ImportModes;
+exports.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
+exports.exportDocuments = exportDocuments;
+exports.importDocuments = importDocuments;
@@ -0,0 +1,137 @@
+/**
+ * Build the MongoDB connection string from structured options and redact the credentials
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @description The text replacing the secrets
+ * @type {string}
+ */
+const REDACTED = "****";
+
+/**
+ * @description The query parameters containing secrets
+ * @type {string[]}
+ */
+const SECRET_PARAMETERS = ['password', 'tlsCertificateKeyFilePassword', 'sslPass'];
+
+/**
+ * @typedef {Object} ConnectionString~Host
+ * @property {string} host The host name or address
+ * @property {number|undefined} port The port
+ */
+/**
+ * @typedef {Object} ConnectionString~Options
+ * @property {Array<ConnectionString~Host|string>} hosts The hosts. A string can be "host" or "host:port"
+ * @property {boolean} [srv=false] <code>true</code> to use the mongodb+srv scheme. Requires one host without port
+ * @property {string|undefined} database The default database
+ * @property {string|undefined} username The user name
+ * @property {string|undefined} password The password
+ * @property {string|undefined} authSource The database of the user
+ * @property {string|undefined} authMechanism The authentication mechanism
+ * @property {string|undefined} replicaSet The replica set name
+ * @property {boolean|undefined} tls <code>true</code> to use TLS
+ * @property {Object|undefined} options The other query parameters
+ */
+
+/**
+ * @description Returns the host with its port
+ * @param {ConnectionString~Host|string} host The host
+ * @return {string} The host
+ * @private
+ */
+function _formatHost(host) {
+  if (_.isString(host)) {
+    return host;
+  }
+  return _.isNil(host.port) ? host.host : util.format("%s:%d", host.host, host.port);
+}
+
+/**
+ * @description Returns the escaped credentials followed by @
+ * @param {string|undefined} username The user name
+ * @param {string|undefined} password The password
+ * @return {string} The credentials or an empty string without user name
+ * @private
+ */
+function _formatCredentials(username, password) {
+  return username ? encodeURIComponent(username) + (_.isNil(password) ? "" : ":" + encodeURIComponent(password)) + "@" : "";
+}
+
+/**
+ * @description Returns the connection string. The credentials, the database and the parameters are escaped
+ * @param {ConnectionString~Options} options The options
+ * @return {string} The connection string
+ */
+function buildConnectionString(options) {
+  const credentials = _formatCredentials(options.username, options.password);
+
+  const parameters = _.omitBy(_.assign({
+    authSource: options.authSource,
+    authMechanism: options.authMechanism,
+    replicaSet: options.replicaSet,
+    tls: options.tls
+  }, options.options), _.isNil);
+  const query = _.map(parameters, (value, name) => encodeURIComponent(name) + "=" + encodeURIComponent(String(value))).join("&");
+
+  return util.format("%s://%s%s/%s%s",
+    options.srv ? "mongodb+srv" : "mongodb",
+    credentials,
+    _.map(options.hosts, _formatHost).join(","),
+    options.database ? encodeURIComponent(options.database) : "",
+    query ? "?" + query : "");
+}
+
+/**
+ * @description Returns the connection string with other credentials. The hosts, the database and the parameters are kept
+ * @param {string} connectionString The connection string
+ * @param {string|undefined} username The user name. The credentials are removed if not given
+ * @param {string|undefined} password The password
+ * @return {string} The connection string
+ * @throws {IllegalArgumentException} If the connection string has no scheme
+ */
+function replaceCredentials(connectionString, username, password) {
+  const match = /^([a-z+]+:\/\/)(?:[^@/]*@)?(.*)$/i.exec(connectionString || "");
+  if (!match) {
+    throw new exceptions.IllegalArgumentException("Invalid connection string: the scheme is missing");
+  }
+  return match[1] + _formatCredentials(username, password) + match[2];
+}
+
+/**
+ * @description Returns the connection string without the password and the secret parameters
+ * @param {string} connectionString The connection string
+ * @return {string} The redacted connection string
+ */
+function redactConnectionString(connectionString) {
+  if (!_.isString(connectionString)) {
+    return connectionString;
+  }
+
+  const secretParameters = new RegExp(util.format("([?&](?:%s)=)[^&]*", SECRET_PARAMETERS.join("|")), "gi");
+  return connectionString
+    .replace(/^([a-z+]+:\/\/[^:@/]*):[^/]*@/i, util.format("$1:%s@", REDACTED))
+    .replace(secretParameters, util.format("$1%s", REDACTED));
+}
+
+/**
+ * @description Replace the connection string in the text by its redacted version
+ * @param {string} text The text (an error message for instance)
+ * @param {string} connectionString The connection string
+ * @return {string} The text
+ */
+function redactText(text, connectionString) {
+  if (!_.isString(text) || !_.isString(connectionString) || connectionString.length === 0) {
+    return text;
+  }
+  return text.split(connectionString).join(redactConnectionString(connectionString));
+}
+
+exports.REDACTED = REDACTED;
+exports.buildConnectionString = buildConnectionString;
+exports.replaceCredentials = replaceCredentials;
+exports.redactConnectionString = redactConnectionString;
+exports.redactText = redactText;
@@ -0,0 +1,170 @@
+/**
+ * Parse and write the MongoDB Extended JSON (canonical and relaxed formats) with the driver types
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  mongodb = require('mongodb'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @description Returns the integer of a $numberLong value
+ * @param {string|number} value The value
+ * @return {Long} The long
+ * @private
+ */
+function _toLong(value) {
+  return mongodb.Long.fromString(String(value));
+}
+
+/**
+ * @description Returns the date of a $date value
+ * @param {string|number|Object} value The value. An ISO-8601 string, the milliseconds or {$numberLong}
+ * @return {Date} The date
+ * @throws {IllegalArgumentException} If the date is invalid
+ * @private
+ */
+function _toDate(value) {
+  const date = _.isObjectLike(value) && _.has(value, '$numberLong') ? new Date(_toLong(value.$numberLong).toNumber()) : new Date(value);
+  if (_.isNaN(date.getTime())) {
+    throw new exceptions.IllegalArgumentException(util.format("Invalid $date '%s'", JSON.stringify(value)));
+  }
+  return date;
+}
+
+/**
+ * @description The converters by type wrapper key. Each wrapper is an object with only this key (except $binary,
+ *  $regex and $timestamp which have their own format)
+ * @type {Object}
+ * @private
+ */
+const _converters = {
+  $oid: value => new mongodb.ObjectID(value),
+  $date: _toDate,
+  $numberInt: value => parseInt(value, 10),
+  $numberLong: _toLong,
+  $numberDouble: value => parseFloat(value),
+  $numberDecimal: value => mongodb.Decimal128.fromString(value),
+  $minKey: () => new mongodb.MinKey(),
+  $maxKey: () => new mongodb.MaxKey(),
+  $binary: value => {
+    // Canonical v2: {$binary: {base64, subType}}. Legacy: {$binary: base64, $type: hex}
+    return _.isObjectLike(value) ? new mongodb.Binary(Buffer.from(value.base64, 'base64'), parseInt(value.subType, 16)) :
+      new mongodb.Binary(Buffer.from(value, 'base64'));
+  },
+  $regularExpression: value => new RegExp(value.pattern, value.options),
+  $timestamp: value => new mongodb.Timestamp(value.i, value.t)
+};
+
+/**
+ * @description Returns the driver value of the EJSON wrapper
+ * @param {Object} value The object
+ * @return {*} The converted value or undefined if not a wrapper
+ * @private
+ */
+function _convertWrapper(value) {
+  const keys = _.keys(value);
+
+  if (keys.length === 1 && _.has(_converters, keys[0])) {
+    return {value: _converters[keys[0]](value[keys[0]])};
+  } else if (keys.length === 2 && _.has(value, '$binary') && _.has(value, '$type')) {
+    return {value: new mongodb.Binary(Buffer.from(value.$binary, 'base64'), parseInt(value.$type, 16))};
+  } else if (keys.length <= 2 && _.has(value, '$regex') && _.isString(value.$regex) && _.every(keys, key => key === '$regex' || key === '$options')) {
+    return {value: new RegExp(value.$regex, value.$options)};
+  }
+
+  return undefined;
+}
+
+/**
+ * @description Convert the EJSON wrappers of the value into the driver types
+ * @param {*} value The value from JSON.parse
+ * @return {*} The converted value
+ * @throws {IllegalArgumentException} If a wrapper is invalid
+ */
+function deserialize(value) {
+  if (_.isArray(value)) {
+    return _.map(value, deserialize);
+  } else if (!_.isPlainObject(value)) {
+    return value;
+  }
+
+  const converted = _convertWrapper(value);
+  if (converted) {
+    return converted.value;
+  }
+
+  return _.mapValues(value, deserialize);
+}
+
+/**
+ * @description Parse the EJSON text
+ * @param {string} text The text
+ * @return {*} The value with the driver types
+ * @throws {SyntaxError} If the JSON is invalid
+ * @throws {IllegalArgumentException} If a wrapper is invalid
+ */
+function parse(text) {
+  return deserialize(JSON.parse(text));
+}
+
+/**
+ * @description The serializers of the driver types by _bsontype
+ * @type {Object}
+ * @private
+ */
+const _serializers = {
+  ObjectID: value => ({$oid: value.toHexString()}),
+  Long: value => ({$numberLong: value.toString()}),
+  Int32: value => ({$numberInt: String(value.valueOf())}),
+  Double: value => ({$numberDouble: String(value.valueOf())}),
+  Decimal128: value => ({$numberDecimal: value.toString()}),
+  Binary: value => ({
+    $binary: {
+      base64: value.read(0, value.length()).toString('base64'),
+      subType: _.padStart(value.sub_type.toString(16), 2, '0')
+    }
+  }),
+  Timestamp: value => ({$timestamp: {t: value.getHighBits(), i: value.getLowBits()}}),
+  MinKey: () => ({$minKey: 1}),
+  MaxKey: () => ({$maxKey: 1}),
+  BSONRegExp: value => ({$regularExpression: {pattern: value.pattern, options: value.options}})
+};
+
+/**
+ * @description Convert the driver types of the value into EJSON wrappers (relaxed format: the numbers are kept)
+ * @param {*} value The value
+ * @return {*} The value to give to JSON.stringify
+ */
+function serialize(value) {
+  if (_.isArray(value)) {
+    return _.map(value, serialize);
+  } else if (_.isDate(value)) {
+    return {$date: _.isNaN(value.getTime()) ? null : value.toISOString()};
+  } else if (_.isRegExp(value)) {
+    return {$regularExpression: {pattern: value.source, options: value.flags}};
+  } else if (Buffer.isBuffer(value)) {
+    return {$binary: {base64: value.toString('base64'), subType: "00"}};
+  } else if (!_.isObjectLike(value)) {
+    return value;
+  } else if (value._bsontype && _.has(_serializers, value._bsontype)) {
+    return _serializers[value._bsontype](value);
+  }
+
+  return _.mapValues(value, serialize);
+}
+
+/**
+ * @description Returns the EJSON text of the value
+ * @param {*} value The value
+ * @param {number|string} [space] Given to JSON.stringify
+ * @return {string} The text
+ */
+function stringify(value, space) {
+  return JSON.stringify(serialize(value), null, space);
+}
+
+exports.deserialize = deserialize;
+exports.parse = parse;
+exports.serialize = serialize;
+exports.stringify = stringify;
@@ -0,0 +1,204 @@
+/**
+ * Helpers to compare the declared indexes with the indexes existing in the database
+ */
+
+const _ = require('lodash');
+
+/**
+ * @description The available reconciliation modes
+ * @type {Object}
+ * @property {string} report Only report the drift
+ * @property {string} createOnly Create the declared indexes. Nothing is dropped
+ * @property {string} sync Drop the stale indexes and rebuild the conflicting ones
+ */
+const Modes = {
+  report: "report",
+  createOnly: "create-only",
+  sync: "sync"
+};
+
+/**
+ * @description The index options compared to detect a conflict
+ * @type {string[]}
+ */
+const COMPARED_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'collation', 'weights', 'default_language'];
+
+/**
+ * @description The index options the server completes with default values
+ * @type {string[]}
+ */
+const SERVER_DEFAULT_OPTIONS = ['collation', 'weights', 'default_language'];
+
+/**
+ * @description The values the server gives to the options not declared. The collation defaults are the ones of most
+ *  locales, declare the full collation for the others
+ * @type {Object}
+ */
+const SERVER_DEFAULT_VALUES = {
+  collation: {
+    caseLevel: false,
+    caseFirst: "off",
+    strength: 3,
+    numericOrdering: false,
+    alternate: "non-ignorable",
+    maxVariable: "punct",
+    normalization: false,
+    backwards: false
+  }
+};
+
+/**
+ * @description The fields the server adds to the options and which cannot be declared
+ * @type {Object}
+ */
+const SERVER_ADDED_FIELDS = {
+  collation: ['version']
+};
+
+/**
+ * @description The name of the index MongoDB creates for the _id
+ * @type {string}
+ */
+const ID_INDEX_NAME = "_id_";
+
+/**
+ * @description Returns the name of the index. Use the same rule as the driver when no name is given
+ * @param {Object} keys The index keys
+ * @param {Object|undefined} [options] The index options
+ * @return {string} The index name
+ */
+function getIndexName(keys, options) {
+  if (options && _.isString(options.name)) {
+    return options.name;
+  }
+
+  return _.map(keys, (value, key) => key + '_' + value).join('_');
+}
+
+/**
+ * @description Tells if the declared index options match the existing index
+ * @param {Object|undefined} declaredOptions The declared options
+ * @param {Object} existingIndex The existing index description
+ * @return {boolean} <code>true</code> if the options are the same
+ * @private
+ */
+function _isSameOptions(declaredOptions, existingIndex) {
+  declaredOptions = declaredOptions || {};
+
+  return _.every(COMPARED_OPTIONS, optionName => {
+    const declaredValue = declaredOptions[optionName],
+      existingValue = existingIndex[optionName];
+
+    if (optionName === 'unique' || optionName === 'sparse') {
+      return (declaredValue === true) === (existingValue === true);
+    } else if (_.includes(SERVER_DEFAULT_OPTIONS, optionName)) {
+      // The server adds default values, only compare the declared ones
+      if (_.isUndefined(declaredValue)) {
+        return true;
+      }
+
+      if (_.isPlainObject(declaredValue) && _.isPlainObject(existingValue)) {
+        return _.isEqual(_.defaults({}, declaredValue, SERVER_DEFAULT_VALUES[optionName]),
+          _.omit(existingValue, SERVER_ADDED_FIELDS[optionName] || []));
+      }
+    }
+
+    return _.isEqual(declaredValue, existingValue);
+  });
+}
+
+/**
+ * @description Tells if the keys are the same. The order of the keys matters
+ * @param {Object} declaredKeys The declared keys
+ * @param {Object} existingKeys The keys of the existing index
+ * @return {boolean} <code>true</code> if the keys are the same
+ * @private
+ */
+function _isSameKeys(declaredKeys, existingKeys) {
+  return _.isEqual(_.toPairs(declaredKeys), _.toPairs(existingKeys));
+}
+
+/**
+ * @typedef {Object} IndexReconciliation~DeclaredIndex
+ * @property {Object} keys The index keys
+ * @property {Object|undefined} options The index options
+ */
+/**
+ * @typedef {Object} IndexReconciliation~Drift
+ * @description The difference between the declared and existing indexes
+ * @property {IndexReconciliation~DeclaredIndex[]} missing The declared indexes not found
+ * @property {Object[]} conflicting Contains <code>declared</code> and <code>existing</code> for each index with
+ *  the same name or keys but different definition
+ * @property {Object[]} stale The existing indexes not declared
+ * @property {IndexReconciliation~DeclaredIndex[]} unchanged The declared indexes already up to date
+ */
+/**
+ * @description Compute the drift by name and key spec
+ * @param {IndexReconciliation~DeclaredIndex[]} declaredIndexes The declared indexes
+ * @param {Object[]} existingIndexes The indexes returned by listIndexes
+ * @return {IndexReconciliation~Drift} The drift
+ */
+function computeIndexDrift(declaredIndexes, existingIndexes) {
+  const drift = {
+    missing: [],
+    conflicting: [],
+    stale: [],
+    unchanged: []
+  };
+
+  const matchedExistingIndexes = [];
+  _.each(declaredIndexes, declaredIndex => {
+    const name = getIndexName(declaredIndex.keys, declaredIndex.options);
+
+    const existingIndex = _.find(existingIndexes, index => index.name === name) ||
+      _.find(existingIndexes, index => _isSameKeys(declaredIndex.keys, index.key));
+    if (!existingIndex) {
+      drift.missing.push(declaredIndex);
+      return;
+    }
+
+    matchedExistingIndexes.push(existingIndex);
+    if (existingIndex.name === name && _isSameKeys(declaredIndex.keys, existingIndex.key) && _isSameOptions(declaredIndex.options, existingIndex)) {
+      drift.unchanged.push(declaredIndex);
+    } else {
+      drift.conflicting.push({
+        declared: declaredIndex,
+        existing: existingIndex
+      });
+    }
+  });
+
+  drift.stale = _.filter(existingIndexes, index => index.name !== ID_INDEX_NAME && !_.includes(matchedExistingIndexes, index));
+  return drift;
+}
+
+/**
+ * @description Tells if the drift contains differences
+ * @param {IndexReconciliation~Drift} drift The drift
+ * @return {boolean} <code>true</code> if there is a difference
+ */
+function hasDrift(drift) {
+  return drift.missing.length > 0 || drift.conflicting.length > 0 || drift.stale.length > 0;
+}
+
+/**
+ * @description Returns a readable version of the drift
+ * @param {IndexReconciliation~Drift} drift The drift
+ * @return {string} The report
+ */
+function formatDrift(drift) {
+  const _formatDeclared = index => getIndexName(index.keys, index.options);
+
+  return JSON.stringify({
+    missing: _.map(drift.missing, _formatDeclared),
+    conflicting: _.map(drift.conflicting, conflict => conflict.existing.name),
+    stale: _.map(drift.stale, 'name'),
+    unchanged: _.map(drift.unchanged, _formatDeclared)
+  });
+}
+
+exports.Modes = Modes;
+exports.getIndexName = getIndexName;
+exports.computeIndexDrift = computeIndexDrift;
+exports.hasDrift = hasDrift;
+exports.formatDrift = formatDrift;
@@ -0,0 +1,348 @@
+/**
+ * Helpers to measure the operations of a collection
+ */
+
+const _ = require('lodash');
+
+/**
+ * @description The measured operations
+ * @type {string[]}
+ */
+const INSTRUMENTED_OPERATIONS = [
+  'find',
+  'findOne',
+  'aggregate',
+  'count',
+  'countDocuments',
+  'estimatedDocumentCount',
+  'distinct',
+  'insertOne',
+  'insertMany',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'bulkWrite'
+];
+
+/**
+ * @description Returns the elapsed time in milliseconds
+ * @param {number[]} startTime The start time given by process.hrtime
+ * @return {number} The elapsed time in milliseconds
+ * @private
+ */
+function _elapsedMs(startTime) {
+  const elapsed = process.hrtime(startTime);
+  return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+/**
+ * @description The read methods of the cursors. isEnd tells if the result ends the operation. readsDocument tells if
+ *  the result is a document counted for the limit. callbackIndex is the position of the callback when it is not the
+ *  only function argument
+ * @type {Object[]}
+ * @private
+ */
+const _cursorReadMethods = [
+  {name: 'toArray', isEnd: () => true},
+  {name: 'count', isEnd: () => true},
+  {name: 'next', isEnd: document => _.isNil(document), readsDocument: true},
+  {name: 'hasNext', isEnd: hasNext => !hasNext},
+  {name: 'each', isEnd: document => _.isNil(document), readsDocument: true},
+  {name: 'forEach', isEnd: () => true, callbackIndex: 1}
+];
+
+/**
+ * @description The stream methods of the cursor. The events given to the listener methods and the read methods start
+ *  the read. The other methods are only called on the cursor
+ * @type {Object}
+ * @private
+ */
+const _cursorStreamMethods = {
+  listeners: ['on', 'once', 'addListener', 'prependListener', 'prependOnceListener'],
+  readEvents: ['data', 'readable'],
+  reads: ['pipe', 'resume', 'read'],
+  others: ['removeListener', 'off', 'removeAllListeners', 'emit', 'listeners', 'listenerCount', 'pause', 'unpipe',
+    'isPaused', 'setEncoding', 'unshift', 'destroy']
+};
+
+/**
+ * @typedef {Object} InstrumentedCollection~CursorTracker
+ * @property {Function} start Called when the cursor is read the first time. The driver sends the query at this time
+ * @property {Function} handleResult Receives the read method and its result
+ * @property {Function} done Receives the error when the operation ends. Must ignore the next calls
+ * @private
+ */
+/**
+ * @description Call the read method of the cursor and end the operation with its error or with the result ending it
+ * @param {Object} cursor The cursor
+ * @param {Object} readMethod The read method
+ * @param {Array} args The arguments
+ * @param {InstrumentedCollection~CursorTracker} tracker The tracker of the cursor
+ * @return {*} The result of the method
+ * @private
+ */
+function _callCursorReadMethod(cursor, readMethod, args, tracker) {
+  const callbackIndex = _.isUndefined(readMethod.callbackIndex) ? args.length - 1 : readMethod.callbackIndex,
+    callback = callbackIndex >= 0 && callbackIndex === args.length - 1 && _.isFunction(args[callbackIndex]) ? args.pop() : undefined;
+
+  tracker.start();
+  if (callback) {
+    args.push(function (error, result) {
+      if (error) {
+        tracker.done(error);
+      } else {
+        tracker.handleResult(readMethod, result);
+      }
+      return callback.apply(this, arguments);
+    });
+  }
+
+  let result;
+  try {
+    result = cursor[readMethod.name].apply(cursor, args);
+  } catch (error) {
+    tracker.done(error);
+    throw error;
+  }
+
+  if (callback || !result || !_.isFunction(result.then)) {
+    return result;
+  }
+
+  return result.then(value => {
+    tracker.handleResult(readMethod, value);
+    return value;
+  }, error => {
+    tracker.done(error);
+    throw error;
+  });
+}
+
+/**
+ * @description Returns the cursor measuring the operation from its first read until it is exhausted, reaches its
+ *  limit, fails or is closed, whatever the read method used. A cursor never read is not measured
+ * @param {Object} cursor The cursor
+ * @param {number|undefined} limit The limit given to the operation
+ * @param {Function} start Called when the cursor is read the first time
+ * @param {Function} done The function receiving the error when the operation ends. Must ignore the next calls
+ * @return {Object} The instrumented cursor
+ * @private
+ */
+function _instrumentCursor(cursor, limit, start, done) {
+  const instrumentedCursor = Object.create(cursor);
+  let started = false,
+    readDocumentCount = 0;
+
+  const tracker = {
+    start: () => {
+      if (started) {
+        return;
+      }
+
+      started = true;
+      start();
+      if (_.isFunction(cursor.once)) {
+        // The driver cursor is a stream emitting end after an error and close when closed
+        cursor.once('end', () => done());
+        cursor.once('close', () => done());
+      }
+    },
+    handleResult: (readMethod, result) => {
+      if (readMethod.readsDocument && !_.isNil(result)) {
+        ++readDocumentCount;
+      }
+
+      if (readMethod.isEnd(result) || (limit > 0 && readDocumentCount >= limit)) {
+        done();
+      }
+    },
+    done: error => done(error)
+  };
+
+  // Called on the cursor because the methods of the driver can use each other
+  _.each(_cursorReadMethods, readMethod => {
+    if (_.isFunction(cursor[readMethod.name])) {
+      instrumentedCursor[readMethod.name] = function () {
+        return _callCursorReadMethod(cursor, readMethod, Array.prototype.slice.call(arguments), tracker);
+      };
+    }
+  });
+
+  if (_.isFunction(cursor.stream)) {
+    instrumentedCursor.stream = function () {
+      tracker.start();
+      const stream = cursor.stream.apply(cursor, arguments);
+      stream.once('end', () => done());
+      stream.once('close', () => done());
+      if (stream !== cursor) {
+        stream.once('error', error => done(error));
+      }
+      return stream;
+    };
+  }
+
+  // The driver cursor is also a readable stream
+  _.each(_cursorStreamMethods.listeners, methodName => {
+    if (_.isFunction(cursor[methodName])) {
+      instrumentedCursor[methodName] = function (eventName, listener) {
+        if (_.includes(_cursorStreamMethods.readEvents, eventName)) {
+          tracker.start();
+        } else if (eventName === 'error') {
+          cursor.once('error', error => done(error));
+        }
+        cursor[methodName](eventName, listener);
+        return instrumentedCursor;
+      };
+    }
+  });
+  _.each(_cursorStreamMethods.reads.concat(_cursorStreamMethods.others), methodName => {
+    if (_.isFunction(cursor[methodName])) {
+      const isRead = _.includes(_cursorStreamMethods.reads, methodName);
+      instrumentedCursor[methodName] = function () {
+        if (isRead) {
+          tracker.start();
+        }
+        const result = cursor[methodName].apply(cursor, arguments);
+        return result === cursor ? instrumentedCursor : result;
+      };
+    }
+  });
+
+  if (_.isFunction(cursor.close)) {
+    instrumentedCursor.close = function () {
+      if (started) {
+        done();
+      }
+      return cursor.close.apply(cursor, arguments);
+    };
+  }
+
+  if (_.isFunction(cursor.limit)) {
+    instrumentedCursor.limit = function (value) {
+      limit = Math.abs(value);
+      cursor.limit.apply(cursor, arguments);
+      return instrumentedCursor;
+    };
+  }
+
+  // Keep the chaining on the instrumented cursor
+  _.each(['sort', 'skip', 'project', 'batchSize', 'maxTimeMS', 'hint', 'comment'], methodName => {
+    if (_.isFunction(cursor[methodName])) {
+      instrumentedCursor[methodName] = function () {
+        cursor[methodName].apply(cursor, arguments);
+        return instrumentedCursor;
+      };
+    }
+  });
+
+  return instrumentedCursor;
+}
+
+/**
+ * @typedef {Object} InstrumentedCollection~Operation
+ * @property {string} collectionName The collection name or namespace
+ * @property {string} operation The operation name
+ * @property {number} durationMs The duration in milliseconds
+ * @property {Error|undefined} error The error if the operation failed
+ */
+/**
+ * @description Returns a collection measuring the operations. The other properties are inherited. The cursors are
+ *  measured from their first read until they are exhausted, reach their limit, fail or are closed
+ * @param {Object} collection The collection
+ * @param {string} collectionName The name used to report the operations
+ * @param {Function} onOperation Receives {@link InstrumentedCollection~Operation} for each operation
+ * @param {Function} [onOperationStarted] Receives the collection name and the operation name when an operation starts
+ * @return {Object} The instrumented collection
+ */
+function createInstrumentedCollection(collection, collectionName, onOperation, onOperationStarted) {
+  const instrumentedCollection = Object.create(collection);
+
+  _.each(INSTRUMENTED_OPERATIONS, operationName => {
+    if (!_.isFunction(collection[operationName])) {
+      return;
+    }
+
+    instrumentedCollection[operationName] = function () {
+      const args = Array.prototype.slice.call(arguments);
+      let startTime = process.hrtime(),
+        started = false,
+        reported = false;
+
+      const _start = () => {
+        if (started) {
+          return;
+        }
+        started = true;
+        if (onOperationStarted) {
+          onOperationStarted(collectionName, operationName);
+        }
+      };
+
+      const _done = error => {
+        if (reported) {
+          return;
+        }
+        _start();
+        reported = true;
+        onOperation({
+          collectionName: collectionName,
+          operation: operationName,
+          durationMs: _elapsedMs(startTime),
+          error: error || undefined
+        });
+      };
+
+      const callback = _.isFunction(_.last(args)) ? args.pop() : undefined;
+      if (callback) {
+        _start();
+        args.push(function (error) {
+          _done(error);
+          return callback.apply(this, arguments);
+        });
+      }
+
+      let result;
+      try {
+        result = collection[operationName].apply(collection, args);
+      } catch (error) {
+        _done(error);
+        throw error;
+      }
+
+      if (callback) {
+        return result;
+      } else if (result && _.isFunction(result.toArray)) {
+        const options = operationName === 'find' ? args[1] : undefined;
+        return _instrumentCursor(result, _.isObjectLike(options) && options.limit ? Math.abs(options.limit) : undefined, () => {
+          // The driver sends the query on the first read
+          startTime = process.hrtime();
+          _start();
+        }, _done);
+      }
+
+      _start();
+      if (result && _.isFunction(result.then)) {
+        return result.then(value => {
+          _done();
+          return value;
+        }, error => {
+          _done(error);
+          throw error;
+        });
+      }
+
+      _done();
+      return result;
+    };
+  });
+
+  return instrumentedCollection;
+}
+
+exports.INSTRUMENTED_OPERATIONS = INSTRUMENTED_OPERATIONS;
+exports.createInstrumentedCollection = createInstrumentedCollection;
@@ -0,0 +1,792 @@
+/**
+ * In-memory collection used by the in-memory driver
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  ObjectID = require('mongodb').ObjectID,
+  query = require('./in-memory-query');
+
+/**
+ * @description The error codes returned by the in-memory driver. Same as the server
+ * @type {Object}
+ */
+const ErrorCodes = {
+  NamespaceNotFound: 26,
+  IndexNotFound: 27,
+  CommandNotFound: 59,
+  InvalidOptions: 72,
+  NoReplicationEnabled: 76,
+  IndexOptionsConflict: 85,
+  IndexKeySpecsConflict: 86,
+  NamespaceExists: 48,
+  DuplicateKey: 11000
+};
+
+/**
+ * @description The index options kept and returned by listIndexes
+ * @type {string[]}
+ */
+const KEPT_INDEX_OPTIONS = ['unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression', 'collation', 'weights', 'default_language'];
+
+/**
+ * @description Create an error like the driver does
+ * @param {string} message The message
+ * @param {number|undefined} [code] The error code
+ * @param {string} [name=MongoError] The error name
+ * @return {Error} The error
+ */
+function createMongoError(message, code, name) {
+  const error = new Error(message);
+  error.name = name || "MongoError";
+  if (!_.isNil(code)) {
+    error.code = code;
+  }
+  return error;
+}
+
+/**
+ * @description Cursor over in-memory documents
+ * @param {Function} fetchDocuments The function returning a promise resolved with the matching documents
+ * @constructor
+ */
+function InMemoryCursor(fetchDocuments) {
+  if (!(this instanceof InMemoryCursor)) {
+    return new InMemoryCursor(fetchDocuments);
+  }
+
+  this.properties = {
+    fetchDocuments: fetchDocuments,
+    sort: undefined,
+    skip: 0,
+    limit: 0,
+    projection: undefined,
+    bufferedDocuments: undefined
+  };
+}
+
+/**
+ * @description Set the sort
+ * @param {Object|Array} sort The sort specification
+ * @return {InMemoryCursor} The cursor
+ */
+InMemoryCursor.prototype.sort = function (sort) {
+  this.properties.sort = sort;
+  return this;
+};
+
+/**
+ * @description Set the number of documents to skip
+ * @param {number} skip The number of documents to skip
+ * @return {InMemoryCursor} The cursor
+ */
+InMemoryCursor.prototype.skip = function (skip) {
+  this.properties.skip = skip || 0;
+  return this;
+};
+
+/**
+ * @description Set the maximum number of documents. 0 for no limit
+ * @param {number} limit The limit
+ * @return {InMemoryCursor} The cursor
+ */
+InMemoryCursor.prototype.limit = function (limit) {
+  this.properties.limit = limit || 0;
+  return this;
+};
+
+/**
+ * @description Set the projection
+ * @param {Object} projection The projection
+ * @return {InMemoryCursor} The cursor
+ */
+InMemoryCursor.prototype.project = function (projection) {
+  this.properties.projection = projection;
+  return this;
+};
+
+/**
+ * @description Returns all the documents
+ * @return {Promise} Resolved with the documents
+ */
+InMemoryCursor.prototype.toArray = function () {
+  return this.properties.fetchDocuments()
+    .then(documents => {
+      let result = query.sortDocuments(documents, this.properties.sort).slice(this.properties.skip);
+      if (this.properties.limit > 0) {
+        result = result.slice(0, this.properties.limit);
+      }
+
+      return _.map(result, document => _.cloneDeep(query.projectDocument(document, this.properties.projection)));
+    });
+};
+
+/**
+ * @description Returns the next document
+ * @return {Promise} Resolved with the document or null when no more document
+ */
+InMemoryCursor.prototype.next = function () {
+  const promise = this.properties.bufferedDocuments ? Promise.resolve(this.properties.bufferedDocuments) : this.toArray();
+
+  return promise.then(documents => {
+    this.properties.bufferedDocuments = documents;
+    return documents.length > 0 ? documents.shift() : null;
+  });
+};
+
+/**
+ * @description Returns the number of matching documents
+ * @param {boolean} [applySkipLimit=false] <code>true</code> to apply the skip and the limit
+ * @return {Promise} Resolved with the number of documents
+ */
+InMemoryCursor.prototype.count = function (applySkipLimit) {
+  if (applySkipLimit === true) {
+    return this.toArray().then(documents => documents.length);
+  }
+
+  return this.properties.fetchDocuments().then(documents => documents.length);
+};
+
+/**
+ * @description Close the cursor
+ * @return {Promise} The promise object
+ */
+InMemoryCursor.prototype.close = function () {
+  this.properties.bufferedDocuments = [];
+  return Promise.resolve();
+};
+
+/**
+ * @description In-memory collection. The data are stored in the {@link InMemoryServer}
+ * @param {InMemoryDb} db The database
+ * @param {string} collectionName The collection name
+ * @constructor
+ */
+function InMemoryCollection(db, collectionName) {
+  if (!(this instanceof InMemoryCollection)) {
+    return new InMemoryCollection(db, collectionName);
+  }
+
+  this.properties = {
+    db: db
+  };
+  this.collectionName = collectionName;
+  this.dbName = db.databaseName;
+  this.namespace = util.format("%s.%s", db.databaseName, collectionName);
+}
+
+/**
+ * @description Returns the storage of the collection
+ * @param {boolean} [create=false] <code>true</code> to create the collection if it does not exist
+ * @return {Object|undefined} The storage
+ * @private
+ */
+InMemoryCollection.prototype._getStorage = function (create) {
+  return this.properties.db._getServer().getCollectionStorage(this.dbName, this.collectionName, create === true);
+};
+
+/**
+ * @description Run the operation if the database is available
+ * @param {Function} operation The operation returning the result
+ * @return {Promise} Resolved with the operation result
+ * @private
+ */
+InMemoryCollection.prototype._execute = function (operation) {
+  return this.properties.db._execute(operation);
+};
+
+/**
+ * @description Returns the documents matching the query
+ * @param {Object|undefined} filter The query
+ * @return {Object[]} The stored documents
+ * @private
+ */
+InMemoryCollection.prototype._findStoredDocuments = function (filter) {
+  const storage = this._getStorage();
+  return storage ? _.filter(storage.documents, document => query.matchQuery(document, filter)) : [];
+};
+
+/**
+ * @description Returns the key of the document for the index
+ * @param {Object} index The index
+ * @param {Object} document The document
+ * @return {Array|undefined} The key or undefined if the document is not indexed
+ * @private
+ */
+InMemoryCollection.prototype._getIndexKey = function (index, document) {
+  const paths = _.keys(index.key),
+    values = _.map(paths, path => _.get(document, path));
+
+  if (index.sparse === true && _.every(values, _.isUndefined)) {
+    return undefined;
+  } else if (index.partialFilterExpression && !query.matchQuery(document, index.partialFilterExpression)) {
+    return undefined;
+  }
+  return _.map(values, value => _.isUndefined(value) ? null : value);
+};
+
+/**
+ * @description Check the unique indexes
+ * @param {Object[]} documents All the documents of the collection after the write
+ * @param {Object[]} [indexes] The indexes to check. All the unique indexes by default
+ * @throws {Error} The duplicate key error
+ * @private
+ */
+InMemoryCollection.prototype._checkUniqueIndexes = function (documents, indexes) {
+  const storage = this._getStorage(),
+    uniqueIndexes = _.filter(indexes || (storage ? storage.indexes : []), index => index.unique === true || index.name === '_id_');
+
+  _.each(uniqueIndexes, index => {
+    const keys = [];
+    _.each(documents, document => {
+      const key = this._getIndexKey(index, document);
+      if (!key) {
+        return;
+      } else if (_.some(keys, existingKey => query.isEqualValue(existingKey, key))) {
+        throw createMongoError(util.format("E11000 duplicate key error collection: %s index: %s dup key: %j", this.namespace, index.name, key),
+          ErrorCodes.DuplicateKey);
+      }
+      keys.push(key);
+    });
+  });
+};
+
+/**
+ * @description Replace the documents of the collection if the unique indexes are respected
+ * @param {Object[]} documents The new documents
+ * @throws {Error} The duplicate key error
+ * @private
+ */
+InMemoryCollection.prototype._commitDocuments = function (documents) {
+  const storage = this._getStorage(true);
+
+  this._checkUniqueIndexes(documents);
+  storage.documents = documents;
+};
+
+/**
+ * @description Returns the document to insert
+ * @param {Object} document The document given by the user
+ * @return {Object} The document to store
+ * @private
+ */
+InMemoryCollection.prototype._prepareInsert = function (document) {
+  const preparedDocument = _.cloneDeep(document);
+  if (_.isUndefined(preparedDocument._id)) {
+    preparedDocument._id = new ObjectID();
+    // Like the driver, the user document receives the id
+    document._id = preparedDocument._id;
+  }
+  return preparedDocument;
+};
+
+/**
+ * @description Insert a document
+ * @param {Object} document The document
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.insertOne = function (document) {
+  return this._execute(() => {
+    const preparedDocument = this._prepareInsert(document);
+    this._commitDocuments(this._getStorage(true).documents.concat([preparedDocument]));
+
+    return {
+      insertedCount: 1,
+      insertedId: preparedDocument._id,
+      ops: [document],
+      result: {ok: 1, n: 1}
+    };
+  });
+};
+
+/**
+ * @description Insert the documents
+ * @param {Object[]} documents The documents
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.insertMany = function (documents) {
+  return this._execute(() => {
+    const preparedDocuments = _.map(documents, document => this._prepareInsert(document));
+    this._commitDocuments(this._getStorage(true).documents.concat(preparedDocuments));
+
+    return {
+      insertedCount: preparedDocuments.length,
+      insertedIds: _.map(preparedDocuments, '_id'),
+      ops: documents,
+      result: {ok: 1, n: preparedDocuments.length}
+    };
+  });
+};
+
+/**
+ * @description Returns a cursor on the matching documents
+ * @param {Object|undefined} [filter] The query
+ * @param {Object|undefined} [options] The options (sort, skip, limit, projection or fields)
+ * @return {InMemoryCursor} The cursor
+ */
+InMemoryCollection.prototype.find = function (filter, options) {
+  options = options || {};
+
+  const cursor = new InMemoryCursor(() => this._execute(() => this._findStoredDocuments(filter)));
+  return cursor
+    .sort(options.sort)
+    .skip(options.skip)
+    .limit(options.limit)
+    .project(options.projection || options.fields);
+};
+
+/**
+ * @description Returns the first matching document
+ * @param {Object|undefined} [filter] The query
+ * @param {Object|undefined} [options] The options (sort, skip, projection or fields)
+ * @return {Promise} Resolved with the document or null
+ */
+InMemoryCollection.prototype.findOne = function (filter, options) {
+  return this.find(filter, _.assign({}, options, {limit: 1})).next();
+};
+
+/**
+ * @description Returns the number of matching documents
+ * @param {Object|undefined} [filter] The query
+ * @param {Object|undefined} [options] The options (skip, limit)
+ * @return {Promise} Resolved with the number of documents
+ */
+InMemoryCollection.prototype.countDocuments = function (filter, options) {
+  return this.find(filter, _.pick(options, ['skip', 'limit'])).count(true);
+};
+
+/**
+ * @description Same as {@link InMemoryCollection#countDocuments}
+ * @param {Object|undefined} [filter] The query
+ * @param {Object|undefined} [options] The options (skip, limit)
+ * @return {Promise} Resolved with the number of documents
+ */
+InMemoryCollection.prototype.count = function (filter, options) {
+  return this.countDocuments(filter, options);
+};
+
+/**
+ * @description Returns the distinct values of the field
+ * @param {string} key The field
+ * @param {Object|undefined} [filter] The query
+ * @return {Promise} Resolved with the values
+ */
+InMemoryCollection.prototype.distinct = function (key, filter) {
+  return this._execute(() => {
+    const values = [];
+    _.each(this._findStoredDocuments(filter), document => {
+      const value = _.get(document, key);
+      _.each(_.isArray(value) ? value : [value], element => {
+        if (!_.isUndefined(element) && !_.some(values, existingValue => query.isEqualValue(existingValue, element))) {
+          values.push(_.cloneDeep(element));
+        }
+      });
+    });
+    return values;
+  });
+};
+
+/**
+ * @description Update or replace the matching documents
+ * @param {Object|undefined} filter The query
+ * @param {Object} update The update or the replacement document
+ * @param {Object|undefined} options The options (upsert, sort)
+ * @param {boolean} multi <code>true</code> to update all the matching documents
+ * @return {Object} The result containing the original and updated documents
+ * @private
+ */
+InMemoryCollection.prototype._update = function (filter, update, options, multi) {
+  options = options || {};
+
+  const storage = this._getStorage(true),
+    isOperatorUpdate = query.isOperatorUpdate(update);
+
+  let matchedDocuments = query.sortDocuments(this._findStoredDocuments(filter), options.sort);
+  if (!multi) {
+    matchedDocuments = _.take(matchedDocuments, 1);
+  }
+
+  const _computeDocument = (originalDocument, isInsert) => {
+    let document;
+    if (isOperatorUpdate) {
+      document = query.applyUpdate(_.cloneDeep(originalDocument), update, isInsert);
+    } else {
+      document = _.cloneDeep(update);
+    }
+
+    if (!_.isUndefined(originalDocument._id)) {
+      if (!_.isUndefined(document._id) && !query.isEqualValue(document._id, originalDocument._id)) {
+        throw createMongoError("The _id field cannot be changed", 66);
+      }
+      document._id = originalDocument._id;
+    }
+    return document;
+  };
+
+  const result = {
+    matchedCount: matchedDocuments.length,
+    modifiedCount: 0,
+    upsertedId: null,
+    originalDocuments: matchedDocuments,
+    updatedDocuments: []
+  };
+
+  let documents;
+  if (matchedDocuments.length === 0 && options.upsert === true) {
+    const insertedDocument = this._prepareInsert(_computeDocument(query.getEqualityFields(filter), true));
+    result.upsertedId = insertedDocument._id;
+    result.updatedDocuments.push(insertedDocument);
+    documents = storage.documents.concat([insertedDocument]);
+  } else {
+    documents = _.map(storage.documents, document => {
+      if (!_.includes(matchedDocuments, document)) {
+        return document;
+      }
+
+      const updatedDocument = _computeDocument(document, false);
+      if (!query.isEqualValue(updatedDocument, document)) {
+        ++result.modifiedCount;
+      }
+      result.updatedDocuments.push(updatedDocument);
+      return updatedDocument;
+    });
+  }
+
+  this._commitDocuments(documents);
+  return result;
+};
+
+/**
+ * @description Returns the write result for the update
+ * @param {Object} updateResult The result of {@link InMemoryCollection#_update}
+ * @return {Object} The write result
+ * @private
+ */
+function _toUpdateWriteResult(updateResult) {
+  const upserted = !_.isNil(updateResult.upsertedId);
+
+  return {
+    matchedCount: updateResult.matchedCount,
+    modifiedCount: updateResult.modifiedCount,
+    upsertedCount: upserted ? 1 : 0,
+    upsertedId: upserted ? {_id: updateResult.upsertedId} : null,
+    result: {
+      ok: 1,
+      n: upserted ? 1 : updateResult.matchedCount,
+      nModified: updateResult.modifiedCount
+    }
+  };
+}
+
+/**
+ * @description Update the first matching document
+ * @param {Object|undefined} filter The query
+ * @param {Object} update The update
+ * @param {Object|undefined} [options] The options (upsert)
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.updateOne = function (filter, update, options) {
+  return this._execute(() => _toUpdateWriteResult(this._update(filter, update, options, false)));
+};
+
+/**
+ * @description Update all the matching documents
+ * @param {Object|undefined} filter The query
+ * @param {Object} update The update
+ * @param {Object|undefined} [options] The options (upsert)
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.updateMany = function (filter, update, options) {
+  return this._execute(() => _toUpdateWriteResult(this._update(filter, update, options, true)));
+};
+
+/**
+ * @description Replace the first matching document
+ * @param {Object|undefined} filter The query
+ * @param {Object} document The replacement document
+ * @param {Object|undefined} [options] The options (upsert)
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.replaceOne = function (filter, document, options) {
+  return this._execute(() => {
+    if (query.isOperatorUpdate(document)) {
+      throw createMongoError("The replacement document must not contain operators", ErrorCodes.InvalidOptions);
+    }
+
+    return _toUpdateWriteResult(this._update(filter, document, options, false));
+  });
+};
+
+/**
+ * @description Delete the matching documents
+ * @param {Object|undefined} filter The query
+ * @param {Object|undefined} options The options (sort)
+ * @param {boolean} multi <code>true</code> to delete all the matching documents
+ * @return {Object[]} The deleted documents
+ * @private
+ */
+InMemoryCollection.prototype._delete = function (filter, options, multi) {
+  const storage = this._getStorage();
+  if (!storage) {
+    return [];
+  }
+
+  let deletedDocuments = query.sortDocuments(this._findStoredDocuments(filter), (options || {}).sort);
+  if (!multi) {
+    deletedDocuments = _.take(deletedDocuments, 1);
+  }
+
+  storage.documents = _.difference(storage.documents, deletedDocuments);
+  return deletedDocuments;
+};
+
+/**
+ * @description Delete the first matching document
+ * @param {Object|undefined} filter The query
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.deleteOne = function (filter) {
+  return this._execute(() => {
+    const deletedCount = this._delete(filter, undefined, false).length;
+    return {
+      deletedCount: deletedCount,
+      result: {ok: 1, n: deletedCount}
+    };
+  });
+};
+
+/**
+ * @description Delete all the matching documents
+ * @param {Object|undefined} filter The query
+ * @return {Promise} Resolved with the write result
+ */
+InMemoryCollection.prototype.deleteMany = function (filter) {
+  return this._execute(() => {
+    const deletedCount = this._delete(filter, undefined, true).length;
+    return {
+      deletedCount: deletedCount,
+      result: {ok: 1, n: deletedCount}
+    };
+  });
+};
+
+/**
+ * @description Run the write operations in order. Stops at the first error like an ordered bulk
+ * @param {Object[]} operations The operations (insertOne, updateOne, updateMany, replaceOne, deleteOne, deleteMany)
+ * @return {Promise} Resolved with the counts of the operations
+ */
+InMemoryCollection.prototype.bulkWrite = function (operations) {
+  const bulkResult = {
+    insertedCount: 0,
+    matchedCount: 0,
+    modifiedCount: 0,
+    upsertedCount: 0,
+    deletedCount: 0
+  };
+
+  const _runOperation = operation => {
+    const operationName = _.first(_.keys(operation)),
+      args = operation[operationName];
+
+    switch (operationName) {
+      case 'insertOne':
+        return this.insertOne(args.document);
+      case 'updateOne':
+      case 'updateMany':
+        return this[operationName](args.filter, args.update, {upsert: args.upsert === true});
+      case 'replaceOne':
+        return this.replaceOne(args.filter, args.replacement, {upsert: args.upsert === true});
+      case 'deleteOne':
+      case 'deleteMany':
+        return this[operationName](args.filter);
+      default:
+        return Promise.reject(createMongoError(util.format("Unknown bulk operation '%s'", operationName), ErrorCodes.InvalidOptions));
+    }
+  };
+
+  return _.reduce(operations, (promise, operation) => {
+    return promise
+      .then(() => _runOperation(operation))
+      .then(writeResult => {
+        _.each(_.keys(bulkResult), key => {
+          bulkResult[key] += writeResult[key] || 0;
+        });
+      });
+  }, Promise.resolve())
+    .then(() => _.assign(bulkResult, {result: {ok: 1}}));
+};
+
+/**
+ * @description Tells if the options ask the document after the modification
+ * @param {Object|undefined} options The options
+ * @return {boolean} <code>true</code> to return the modified document
+ * @private
+ */
+function _isReturnNewDocument(options) {
+  options = options || {};
+  return options.returnOriginal === false || options.returnDocument === 'after';
+}
+
+/**
+ * @description Update the first matching document and returns it
+ * @param {Object|undefined} filter The query
+ * @param {Object} update The update
+ * @param {Object|undefined} [options] The options (upsert, sort, projection, returnOriginal or returnDocument)
+ * @return {Promise} Resolved with <code>{value, ok, lastErrorObject}</code>
+ */
+InMemoryCollection.prototype.findOneAndUpdate = function (filter, update, options) {
+  return this._execute(() => {
+    const updateResult = this._update(filter, update, options, false),
+      projection = (options || {}).projection;
+
+    let value = _isReturnNewDocument(options) ? updateResult.updatedDocuments[0] : updateResult.originalDocuments[0];
+    value = value ? _.cloneDeep(query.projectDocument(value, projection)) : null;
+
+    return {
+      value: value,
+      ok: 1,
+      lastErrorObject: {
+        n: updateResult.updatedDocuments.length,
+        updatedExisting: updateResult.matchedCount > 0
+      }
+    };
+  });
+};
+
+/**
+ * @description Replace the first matching document and returns it
+ * @param {Object|undefined} filter The query
+ * @param {Object} document The replacement document
+ * @param {Object|undefined} [options] The options (upsert, sort, projection, returnOriginal or returnDocument)
+ * @return {Promise} Resolved with <code>{value, ok, lastErrorObject}</code>
+ */
+InMemoryCollection.prototype.findOneAndReplace = function (filter, document, options) {
+  if (query.isOperatorUpdate(document)) {
+    return Promise.reject(createMongoError("The replacement document must not contain operators", ErrorCodes.InvalidOptions));
+  }
+
+  return this.findOneAndUpdate(filter, document, options);
+};
+
+/**
+ * @description Delete the first matching document and returns it
+ * @param {Object|undefined} filter The query
+ * @param {Object|undefined} [options] The options (sort, projection)
+ * @return {Promise} Resolved with <code>{value, ok, lastErrorObject}</code>
+ */
+InMemoryCollection.prototype.findOneAndDelete = function (filter, options) {
+  return this._execute(() => {
+    const deletedDocuments = this._delete(filter, options, false);
+
+    return {
+      value: deletedDocuments.length > 0 ? _.cloneDeep(query.projectDocument(deletedDocuments[0], (options || {}).projection)) : null,
+      ok: 1,
+      lastErrorObject: {
+        n: deletedDocuments.length
+      }
+    };
+  });
+};
+
+/**
+ * @description Create the index
+ * @param {Object|string} keys The index keys
+ * @param {Object|undefined} [options] The index options
+ * @return {Promise} Resolved with the index name
+ */
+InMemoryCollection.prototype.createIndex = function (keys, options) {
+  return this._execute(() => {
+    keys = _.isString(keys) ? _.fromPairs([[keys, 1]]) : keys;
+    options = options || {};
+
+    const name = _.isString(options.name) ? options.name : _.map(keys, (value, key) => key + '_' + value).join('_'),
+      index = _.assign({v: 2, key: _.cloneDeep(keys), name: name, ns: this.namespace}, _.cloneDeep(_.pick(options, KEPT_INDEX_OPTIONS))),
+      storage = this._getStorage(true);
+
+    const _isSameIndex = existingIndex => {
+      return _.isEqual(_.omit(existingIndex, ['v', 'ns']), _.omit(index, ['v', 'ns']));
+    };
+
+    const existingIndexByName = _.find(storage.indexes, {name: name});
+    if (existingIndexByName) {
+      if (_isSameIndex(existingIndexByName)) {
+        return name;
+      } else if (!_.isEqual(existingIndexByName.key, index.key)) {
+        throw createMongoError(util.format("Index with name: %s already exists with different keys", name), ErrorCodes.IndexKeySpecsConflict);
+      }
+      throw createMongoError(util.format("Index with name: %s already exists with different options", name), ErrorCodes.IndexOptionsConflict);
+    }
+
+    const existingIndexByKeys = _.find(storage.indexes, existingIndex => _.isEqual(existingIndex.key, index.key));
+    if (existingIndexByKeys) {
+      throw createMongoError(util.format("Index with keys already exists with a different name: %s", existingIndexByKeys.name), ErrorCodes.IndexOptionsConflict);
+    }
+
+    this._checkUniqueIndexes(storage.documents, [index]);
+    storage.indexes.push(index);
+    return name;
+  });
+};
+
+/**
+ * @description Drop the index
+ * @param {string} indexName The index name
+ * @return {Promise} Resolved with the command result
+ */
+InMemoryCollection.prototype.dropIndex = function (indexName) {
+  return this._execute(() => {
+    const storage = this._getStorage();
+
+    if (!storage) {
+      throw createMongoError(util.format("ns not found %s", this.namespace), ErrorCodes.NamespaceNotFound);
+    } else if (indexName === '_id_') {
+      throw createMongoError("cannot drop _id index", ErrorCodes.InvalidOptions);
+    } else if (!_.find(storage.indexes, {name: indexName})) {
+      throw createMongoError(util.format("index not found with name [%s]", indexName), ErrorCodes.IndexNotFound);
+    }
+
+    storage.indexes = _.reject(storage.indexes, {name: indexName});
+    return {ok: 1, nIndexesWas: storage.indexes.length + 1};
+  });
+};
+
+/**
+ * @description Returns a cursor on the indexes
+ * @return {InMemoryCursor} The cursor
+ */
+InMemoryCollection.prototype.listIndexes = function () {
+  return new InMemoryCursor(() => this._execute(() => {
+    const storage = this._getStorage();
+    if (!storage) {
+      throw createMongoError(util.format("ns does not exist: %s", this.namespace), ErrorCodes.NamespaceNotFound);
+    }
+    return storage.indexes;
+  }));
+};
+
+/**
+ * @description Returns the indexes
+ * @return {Promise} Resolved with the indexes
+ */
+InMemoryCollection.prototype.indexes = function () {
+  return this.listIndexes().toArray();
+};
+
+/**
+ * @description Drop the collection
+ * @return {Promise} Resolved with true
+ */
+InMemoryCollection.prototype.drop = function () {
+  return this._execute(() => {
+    if (!this.properties.db._getServer().dropCollectionStorage(this.dbName, this.collectionName)) {
+      throw createMongoError("ns not found", ErrorCodes.NamespaceNotFound);
+    }
+    return true;
+  });
+};
+
+InMemoryCollection.ErrorCodes = ErrorCodes;
+InMemoryCollection.InMemoryCursor = InMemoryCursor;
+InMemoryCollection.createMongoError = createMongoError;
+
+exports = module.exports = InMemoryCollection;
@@ -0,0 +1,499 @@
+/**
+ * In-memory stand-in of the MongoClient driver. Can be given to the MongoDbManager with the option driver
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  EventEmitter = require('events').EventEmitter,
+  InMemoryCollection = require('./InMemoryCollection'),
+  query = require('./in-memory-query');
+
+const ErrorCodes = InMemoryCollection.ErrorCodes,
+  createMongoError = InMemoryCollection.createMongoError;
+
+/**
+ * @description The database used when the connection string does not contain one
+ * @type {string}
+ */
+const DEFAULT_DATABASE_NAME = "test";
+
+/**
+ * @description The version returned by serverStatus and buildInfo
+ * @type {string}
+ */
+const SERVER_VERSION = "3.4.0-in-memory";
+
+/**
+ * @description Contains the data shared by the clients. Also used to simulate the network issues
+ * @constructor
+ */
+function InMemoryServer() {
+  if (!(this instanceof InMemoryServer)) {
+    return new InMemoryServer();
+  }
+
+  this.properties = {
+    databases: {},
+    available: true,
+    connectionError: undefined,
+    connectedClients: []
+  };
+}
+
+/**
+ * @description Returns the storage of the collection
+ * @param {string} databaseName The database name
+ * @param {string} collectionName The collection name
+ * @param {boolean} [create=false] <code>true</code> to create the collection if it does not exist
+ * @param {Object|undefined} [options] The options used when the collection is created
+ * @return {Object|undefined} The storage containing <code>documents</code>, <code>indexes</code> and <code>options</code>
+ */
+InMemoryServer.prototype.getCollectionStorage = function (databaseName, collectionName, create, options) {
+  let storage = _.get(this.properties.databases, [databaseName, collectionName]);
+  if (!storage && create === true) {
+    storage = {
+      documents: [],
+      indexes: [{
+        v: 2,
+        key: {_id: 1},
+        name: "_id_",
+        ns: util.format("%s.%s", databaseName, collectionName)
+      }],
+      options: _.cloneDeep(options || {})
+    };
+    _.set(this.properties.databases, [databaseName, collectionName], storage);
+  }
+  return storage;
+};
+
+/**
+ * @description Drop the storage of the collection
+ * @param {string} databaseName The database name
+ * @param {string} collectionName The collection name
+ * @return {boolean} <code>true</code> if the collection existed
+ */
+InMemoryServer.prototype.dropCollectionStorage = function (databaseName, collectionName) {
+  const database = this.properties.databases[databaseName];
+  if (!database || !database[collectionName]) {
+    return false;
+  }
+
+  delete database[collectionName];
+  return true;
+};
+
+/**
+ * @description Returns the names of the collections of the database
+ * @param {string} databaseName The database name
+ * @return {string[]} The collection names
+ */
+InMemoryServer.prototype.getCollectionNames = function (databaseName) {
+  return _.keys(this.properties.databases[databaseName]);
+};
+
+/**
+ * @description Drop the database
+ * @param {string} databaseName The database name
+ */
+InMemoryServer.prototype.dropDatabase = function (databaseName) {
+  delete this.properties.databases[databaseName];
+};
+
+/**
+ * @description Remove all the data
+ */
+InMemoryServer.prototype.reset = function () {
+  this.properties.databases = {};
+  this.properties.available = true;
+  this.properties.connectionError = undefined;
+};
+
+/**
+ * @description Tells if the server accepts the operations
+ * @return {boolean} <code>true</code> if available
+ */
+InMemoryServer.prototype.isAvailable = function () {
+  return this.properties.available;
+};
+
+/**
+ * @description Make the next connections fail with the error. Give undefined to accept the connections again
+ * @param {Error|undefined} error The error
+ */
+InMemoryServer.prototype.setConnectionError = function (error) {
+  this.properties.connectionError = error;
+};
+
+/**
+ * @description Simulate a connection lost. The operations fail and the connected clients emit the event error
+ * @param {Error|undefined} [error] The error to emit
+ */
+InMemoryServer.prototype.simulateConnectionLost = function (error) {
+  this.properties.available = false;
+  error = error || createMongoError("connection closed", undefined, "MongoNetworkError");
+
+  _.each(this.properties.connectedClients.slice(), client => client._emitTopologyEvent('error', error));
+};
+
+/**
+ * @description Simulate the reconnection. The operations succeed again and the connected clients emit the event reconnect
+ */
+InMemoryServer.prototype.simulateReconnection = function () {
+  this.properties.available = true;
+
+  _.each(this.properties.connectedClients.slice(), client => client._emitTopologyEvent('reconnect', client));
+};
+
+/**
+ * @description In-memory database
+ * @param {InMemoryServer} server The server
+ * @param {string} databaseName The database name
+ * @param {InMemoryMongoClient} client The client owning the connection
+ * @constructor
+ */
+function InMemoryDb(server, databaseName, client) {
+  if (!(this instanceof InMemoryDb)) {
+    return new InMemoryDb(server, databaseName, client);
+  }
+
+  EventEmitter.call(this);
+  this.properties = {
+    server: server,
+    client: client
+  };
+  this.databaseName = databaseName;
+}
+util.inherits(InMemoryDb, EventEmitter);
+
+/**
+ * @description Returns the server
+ * @return {InMemoryServer} The server
+ * @private
+ */
+InMemoryDb.prototype._getServer = function () {
+  return this.properties.server;
+};
+
+/**
+ * @description Tells if the connection is closed
+ * @return {boolean} <code>true</code> if closed
+ * @private
+ */
+InMemoryDb.prototype._isClosed = function () {
+  return this.properties.client._isClosed();
+};
+
+/**
+ * @description Run the operation if the database is available
+ * @param {Function} operation The operation returning the result
+ * @return {Promise} Resolved with the operation result
+ * @private
+ */
+InMemoryDb.prototype._execute = function (operation) {
+  return new Promise((resolve, reject) => {
+    if (this._isClosed()) {
+      return reject(createMongoError("Topology was destroyed"));
+    } else if (!this.properties.server.isAvailable()) {
+      return reject(createMongoError("connection closed", undefined, "MongoNetworkError"));
+    }
+
+    try {
+      resolve(operation());
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * @description Returns the collection. The collection is created on the first write
+ * @param {string} collectionName The collection name
+ * @param {Object|undefined} [options] The options. With strict, returns an error if the collection does not exist
+ * @param {Function|undefined} [callback] The callback receiving the error and the collection
+ * @return {InMemoryCollection|undefined} The collection when no error
+ */
+InMemoryDb.prototype.collection = function (collectionName, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options;
+    options = undefined;
+  }
+
+  let error;
+  if (_.get(options, 'strict') === true && !this.properties.server.getCollectionStorage(this.databaseName, collectionName)) {
+    error = createMongoError(util.format("Collection %s does not exist. Currently in strict mode.", collectionName));
+  }
+
+  const collection = error ? undefined : new InMemoryCollection(this, collectionName);
+  if (_.isFunction(callback)) {
+    callback(error, collection);
+  } else if (error) {
+    throw error;
+  }
+  return collection;
+};
+
+/**
+ * @description Create the collection
+ * @param {string} collectionName The collection name
+ * @param {Object|undefined} [options] The collection options
+ * @return {Promise} Resolved with the collection
+ */
+InMemoryDb.prototype.createCollection = function (collectionName, options) {
+  return this._execute(() => {
+    if (this.properties.server.getCollectionStorage(this.databaseName, collectionName)) {
+      throw createMongoError(util.format("collection %s.%s already exists", this.databaseName, collectionName), ErrorCodes.NamespaceExists);
+    }
+
+    this.properties.server.getCollectionStorage(this.databaseName, collectionName, true, options);
+    return new InMemoryCollection(this, collectionName);
+  });
+};
+
+/**
+ * @description Returns a cursor on the collections
+ * @param {Object|undefined} [filter] The query on the collection information
+ * @param {Object|undefined} [options] The options (nameOnly)
+ * @return {InMemoryCollection.InMemoryCursor} The cursor
+ */
+InMemoryDb.prototype.listCollections = function (filter, options) {
+  return new InMemoryCollection.InMemoryCursor(() => this._execute(() => {
+    const collectionInfos = _.map(this.properties.server.getCollectionNames(this.databaseName), collectionName => {
+      if (_.get(options, 'nameOnly') === true) {
+        return {name: collectionName, type: "collection"};
+      }
+
+      return {
+        name: collectionName,
+        type: "collection",
+        options: this.properties.server.getCollectionStorage(this.databaseName, collectionName).options,
+        info: {readOnly: false}
+      };
+    });
+
+    return _.filter(collectionInfos, collectionInfo => query.matchQuery(collectionInfo, filter));
+  }));
+};
+
+/**
+ * @description Drop the database
+ * @return {Promise} Resolved with true
+ */
+InMemoryDb.prototype.dropDatabase = function () {
+  return this._execute(() => {
+    this.properties.server.dropDatabase(this.databaseName);
+    return true;
+  });
+};
+
+/**
+ * @description Run the command. Supports ping, buildInfo, serverStatus, create, drop, collMod and dropDatabase
+ * @param {Object} command The command
+ * @return {Promise} Resolved with the command result
+ */
+InMemoryDb.prototype.command = function (command) {
+  const commandName = _.keys(command)[0],
+    server = this.properties.server;
+
+  return this._execute(() => {
+    switch (commandName) {
+      case 'ping':
+        return {ok: 1};
+      case 'buildInfo':
+      case 'buildinfo':
+        return {ok: 1, version: SERVER_VERSION};
+      case 'serverStatus':
+        return {ok: 1, version: SERVER_VERSION, process: "mongod", host: "in-memory", uptime: 0};
+      case 'create':
+        if (server.getCollectionStorage(this.databaseName, command.create)) {
+          throw createMongoError(util.format("collection %s.%s already exists", this.databaseName, command.create), ErrorCodes.NamespaceExists);
+        }
+        server.getCollectionStorage(this.databaseName, command.create, true, _.omit(command, 'create'));
+        return {ok: 1};
+      case 'drop':
+        if (!server.dropCollectionStorage(this.databaseName, command.drop)) {
+          throw createMongoError("ns not found", ErrorCodes.NamespaceNotFound);
+        }
+        return {ok: 1};
+      case 'collMod': {
+        const storage = server.getCollectionStorage(this.databaseName, command.collMod);
+        if (!storage) {
+          throw createMongoError("ns does not exist", ErrorCodes.NamespaceNotFound);
+        }
+        _.assign(storage.options, _.cloneDeep(_.omit(command, 'collMod')));
+        return {ok: 1};
+      }
+      case 'dropDatabase':
+        server.dropDatabase(this.databaseName);
+        return {ok: 1};
+    }
+
+    throw createMongoError(util.format("no such command: '%s'", commandName), ErrorCodes.CommandNotFound);
+  });
+};
+
+/**
+ * @description Returns the admin database. The replica set commands fail like a standalone server
+ * @return {Object} The admin database
+ */
+InMemoryDb.prototype.admin = function () {
+  const adminDb = this.properties.client.db("admin");
+
+  return {
+    command: command => {
+      if (_.has(command, 'replSetGetStatus')) {
+        return adminDb._execute(() => {
+          throw createMongoError("not running with --replSet", ErrorCodes.NoReplicationEnabled);
+        });
+      }
+      return adminDb.command(command);
+    },
+    ping: () => adminDb.command({ping: 1}),
+    serverStatus: () => adminDb.command({serverStatus: 1}),
+    buildInfo: () => adminDb.command({buildInfo: 1})
+  };
+};
+
+/**
+ * @description In-memory driver with the same interface as the MongoClient used by the manager
+ * @param {string} connectionString The connection string. Only the database name is used
+ * @param {Object|undefined} [options] The client options. Ignored
+ * @constructor
+ */
+function InMemoryMongoClient(connectionString, options) {
+  if (!(this instanceof InMemoryMongoClient)) {
+    return new InMemoryMongoClient(connectionString, options);
+  }
+
+  EventEmitter.call(this);
+  this.properties = {
+    server: InMemoryMongoClient.defaultServer,
+    connectionString: connectionString,
+    options: options || {},
+    connected: false,
+    closed: false,
+    databases: {}
+  };
+}
+util.inherits(InMemoryMongoClient, EventEmitter);
+
+/**
+ * @description The server used when none is given
+ * @type {InMemoryServer}
+ */
+InMemoryMongoClient.defaultServer = new InMemoryServer();
+
+/**
+ * @description Returns the database name from the connection string
+ * @param {string} connectionString The connection string
+ * @return {string} The database name
+ */
+InMemoryMongoClient.parseDatabaseName = function (connectionString) {
+  const match = /^mongodb(?:\+srv)?:\/\/[^/]*\/([^?]+)/.exec(connectionString || '');
+  return match ? decodeURIComponent(match[1]) : DEFAULT_DATABASE_NAME;
+};
+
+/**
+ * @description Returns a driver using its own server. Useful to isolate the tests
+ * @param {InMemoryServer|undefined} [server] The server. A new one by default
+ * @return {Function} The driver constructor. The server is available with the property server
+ */
+InMemoryMongoClient.createDriver = function (server) {
+  server = server || new InMemoryServer();
+
+  function BoundInMemoryMongoClient(connectionString, options) {
+    if (!(this instanceof BoundInMemoryMongoClient)) {
+      return new BoundInMemoryMongoClient(connectionString, options);
+    }
+
+    InMemoryMongoClient.call(this, connectionString, options);
+    this.properties.server = server;
+  }
+  util.inherits(BoundInMemoryMongoClient, InMemoryMongoClient);
+  BoundInMemoryMongoClient.server = server;
+
+  return BoundInMemoryMongoClient;
+};
+
+/**
+ * @description Connect to the in-memory server
+ * @return {Promise} Resolved with the client
+ */
+InMemoryMongoClient.prototype.connect = function () {
+  const server = this.properties.server;
+
+  return new Promise((resolve, reject) => {
+    setImmediate(() => {
+      if (server.properties.connectionError) {
+        return reject(server.properties.connectionError);
+      } else if (!server.isAvailable()) {
+        return reject(createMongoError("failed to connect to server", undefined, "MongoNetworkError"));
+      }
+
+      this.properties.connected = true;
+      this.properties.closed = false;
+      server.properties.connectedClients.push(this);
+      resolve(this);
+    });
+  });
+};
+
+/**
+ * @description Emit the event on the client and on its databases listening it, like the driver does
+ * @param {string} eventName The event name
+ * @param {*} payload The payload
+ * @private
+ */
+InMemoryMongoClient.prototype._emitTopologyEvent = function (eventName, payload) {
+  _.each([this].concat(_.values(this.properties.databases)), emitter => {
+    if (emitter.listenerCount(eventName) > 0) {
+      emitter.emit(eventName, payload);
+    }
+  });
+};
+
+/**
+ * @description Tells if the connection is closed
+ * @return {boolean} <code>true</code> if closed or never connected
+ * @private
+ */
+InMemoryMongoClient.prototype._isClosed = function () {
+  return !this.properties.connected || this.properties.closed;
+};
+
+/**
+ * @description Returns the database. The databases are cached
+ * @param {string|undefined} [databaseName] The database name. Default is the one of the connection string
+ * @return {InMemoryDb} The database
+ * @throws {Error} If the client is not connected
+ */
+InMemoryMongoClient.prototype.db = function (databaseName) {
+  if (!this.properties.connected) {
+    throw createMongoError("MongoClient must be connected before calling MongoClient.prototype.db");
+  }
+
+  databaseName = databaseName || InMemoryMongoClient.parseDatabaseName(this.properties.connectionString);
+  if (!this.properties.databases[databaseName]) {
+    this.properties.databases[databaseName] = new InMemoryDb(this.properties.server, databaseName, this);
+  }
+  return this.properties.databases[databaseName];
+};
+
+/**
+ * @description Close the connection
+ * @param {boolean} [force=false] Ignored
+ * @return {Promise} The promise object
+ */
+InMemoryMongoClient.prototype.close = function () {
+  if (!this.properties.closed) {
+    this.properties.closed = true;
+    _.pull(this.properties.server.properties.connectedClients, this);
+    this._emitTopologyEvent('close', this);
+  }
+  return Promise.resolve();
+};
+
+InMemoryMongoClient.InMemoryServer = InMemoryServer;
+InMemoryMongoClient.InMemoryDb = InMemoryDb;
+InMemoryMongoClient.InMemoryCollection = InMemoryCollection;
+
+exports = module.exports = InMemoryMongoClient;
@@ -0,0 +1,351 @@
+/**
+ * Helpers to evaluate the queries and the updates on the in-memory documents
+ */
+
+const _ = require('lodash'),
+  util = require('util');
+
+/**
+ * @description Returns the value of the path. The path can use the dot notation
+ * @param {Object} document The document
+ * @param {string} path The path
+ * @return {*} The value
+ * @private
+ */
+function _getValue(document, path) {
+  return _.get(document, path);
+}
+
+/**
+ * @description Tells if both values are equals. Handle the values having a function equals like the ObjectID
+ * @param {*} left The left value
+ * @param {*} right The right value
+ * @return {boolean} <code>true</code> if equals
+ */
+function isEqualValue(left, right) {
+  return _.isEqualWith(left, right, (leftValue, rightValue) => {
+    if (leftValue && rightValue && _.isFunction(leftValue.equals) && _.isFunction(rightValue.toHexString)) {
+      return leftValue.equals(rightValue);
+    } else if (_.isDate(leftValue) && _.isDate(rightValue)) {
+      return leftValue.getTime() === rightValue.getTime();
+    }
+  });
+}
+
+/**
+ * @description Compare two values in the order used to sort
+ * @param {*} left The left value
+ * @param {*} right The right value
+ * @return {number} Negative if left is lower, positive if greater, otherwise 0
+ */
+function compareValues(left, right) {
+  if (_.isNil(left) && _.isNil(right)) {
+    return 0;
+  } else if (_.isNil(left)) {
+    return -1;
+  } else if (_.isNil(right)) {
+    return 1;
+  }
+
+  const leftValue = _.isDate(left) ? left.getTime() : (_.isFunction(left.toHexString) ? left.toHexString() : left),
+    rightValue = _.isDate(right) ? right.getTime() : (_.isFunction(right.toHexString) ? right.toHexString() : right);
+
+  if (leftValue < rightValue) {
+    return -1;
+  } else if (leftValue > rightValue) {
+    return 1;
+  }
+  return 0;
+}
+
+/**
+ * @description Tells if the value is an operator expression like <code>{$gt: 1}</code>
+ * @param {*} value The value
+ * @return {boolean} <code>true</code> if operator expression
+ * @private
+ */
+function _isOperatorExpression(value) {
+  return _.isPlainObject(value) && _.keys(value).length > 0 && _.every(_.keys(value), key => _.startsWith(key, '$'));
+}
+
+/**
+ * @description Tells if the value matches the expected value. The arrays match if one of the elements matches
+ * @param {*} value The document value
+ * @param {Function} predicate The predicate
+ * @return {boolean} <code>true</code> if match
+ * @private
+ */
+function _matchValueOrElement(value, predicate) {
+  if (predicate(value)) {
+    return true;
+  }
+
+  return _.isArray(value) && _.some(value, predicate);
+}
+
+/**
+ * @description The supported query operators
+ * @type {Object}
+ */
+const QUERY_OPERATORS = {
+  $eq: (value, expected) => {
+    if (expected === null) {
+      // Like MongoDB, null also matches the missing fields
+      return _.isNil(value) || (_.isArray(value) && _.some(value, _.isNil));
+    }
+    return _matchValueOrElement(value, element => isEqualValue(element, expected));
+  },
+  $ne: (value, expected) => !QUERY_OPERATORS.$eq(value, expected),
+  $gt: (value, expected) => _matchValueOrElement(value, element => !_.isNil(element) && compareValues(element, expected) > 0),
+  $gte: (value, expected) => _matchValueOrElement(value, element => !_.isNil(element) && compareValues(element, expected) >= 0),
+  $lt: (value, expected) => _matchValueOrElement(value, element => !_.isNil(element) && compareValues(element, expected) < 0),
+  $lte: (value, expected) => _matchValueOrElement(value, element => !_.isNil(element) && compareValues(element, expected) <= 0),
+  $in: (value, expected) => _.some(expected, expectedValue => QUERY_OPERATORS.$eq(value, expectedValue)),
+  $nin: (value, expected) => !QUERY_OPERATORS.$in(value, expected),
+  $exists: (value, expected) => !_.isUndefined(value) === !!expected,
+  $regex: (value, expected, expression) => {
+    const regExp = _.isRegExp(expected) ? expected : new RegExp(expected, expression.$options || '');
+    return _matchValueOrElement(value, element => _.isString(element) && regExp.test(element));
+  },
+  $options: () => true,
+  $size: (value, expected) => _.isArray(value) && value.length === expected,
+  $all: (value, expected) => _.isArray(value) && _.every(expected, expectedValue => QUERY_OPERATORS.$eq(value, expectedValue)),
+  $elemMatch: (value, expected) => _.isArray(value) && _.some(value, element => {
+    return _isOperatorExpression(expected) ? _matchExpression(element, expected) : matchQuery(element, expected);
+  }),
+  $not: (value, expected) => _.isRegExp(expected) ? !QUERY_OPERATORS.$regex(value, expected, {}) : !_matchExpression(value, expected)
+};
+
+/**
+ * @description Tells if the value matches the operator expression
+ * @param {*} value The document value
+ * @param {Object} expression The expression
+ * @return {boolean} <code>true</code> if match
+ * @throws {Error} If the operator is not supported
+ * @private
+ */
+function _matchExpression(value, expression) {
+  return _.every(expression, (expected, operator) => {
+    const operatorFunction = QUERY_OPERATORS[operator];
+    if (!operatorFunction) {
+      throw new Error(util.format("The query operator '%s' is not supported", operator));
+    }
+
+    return operatorFunction(value, expected, expression);
+  });
+}
+
+/**
+ * @description Tells if the document matches the query
+ * @param {Object} document The document
+ * @param {Object|undefined} query The query
+ * @return {boolean} <code>true</code> if match
+ * @throws {Error} If an operator is not supported
+ */
+function matchQuery(document, query) {
+  return _.every(query || {}, (expected, key) => {
+    switch (key) {
+      case '$and':
+        return _.every(expected, subQuery => matchQuery(document, subQuery));
+      case '$or':
+        return _.some(expected, subQuery => matchQuery(document, subQuery));
+      case '$nor':
+        return !_.some(expected, subQuery => matchQuery(document, subQuery));
+    }
+
+    const value = _getValue(document, key);
+    if (_.isRegExp(expected)) {
+      return QUERY_OPERATORS.$regex(value, expected, {});
+    } else if (_isOperatorExpression(expected)) {
+      return _matchExpression(value, expected);
+    }
+
+    return QUERY_OPERATORS.$eq(value, expected);
+  });
+}
+
+/**
+ * @description The supported update operators
+ * @type {Object}
+ */
+const UPDATE_OPERATORS = {
+  $set: (document, path, value) => _.set(document, path, _.cloneDeep(value)),
+  $unset: (document, path) => _.unset(document, path),
+  $inc: (document, path, value) => _.set(document, path, (_getValue(document, path) || 0) + value),
+  $mul: (document, path, value) => _.set(document, path, (_getValue(document, path) || 0) * value),
+  $min: (document, path, value) => {
+    const currentValue = _getValue(document, path);
+    if (_.isUndefined(currentValue) || compareValues(value, currentValue) < 0) {
+      _.set(document, path, _.cloneDeep(value));
+    }
+  },
+  $max: (document, path, value) => {
+    const currentValue = _getValue(document, path);
+    if (_.isUndefined(currentValue) || compareValues(value, currentValue) > 0) {
+      _.set(document, path, _.cloneDeep(value));
+    }
+  },
+  $push: (document, path, value) => {
+    const values = _.isPlainObject(value) && _.has(value, '$each') ? value.$each : [value],
+      array = _getValue(document, path) || [];
+
+    _.set(document, path, array.concat(_.cloneDeep(values)));
+  },
+  $addToSet: (document, path, value) => {
+    const values = _.isPlainObject(value) && _.has(value, '$each') ? value.$each : [value],
+      array = _getValue(document, path) || [];
+
+    _.each(values, element => {
+      if (!_.some(array, arrayElement => isEqualValue(arrayElement, element))) {
+        array.push(_.cloneDeep(element));
+      }
+    });
+    _.set(document, path, array);
+  },
+  $pull: (document, path, value) => {
+    const array = _getValue(document, path);
+    if (!_.isArray(array)) {
+      return;
+    }
+
+    _.set(document, path, _.reject(array, element => {
+      if (_isOperatorExpression(value)) {
+        return _matchExpression(element, value);
+      } else if (_.isPlainObject(value) && _.isPlainObject(element)) {
+        return matchQuery(element, value);
+      }
+      return isEqualValue(element, value);
+    }));
+  },
+  $rename: (document, path, value) => {
+    if (_.has(document, path)) {
+      _.set(document, value, _getValue(document, path));
+      _.unset(document, path);
+    }
+  },
+  $currentDate: (document, path) => _.set(document, path, new Date()),
+  $setOnInsert: () => {
+    // Handled by applyUpdate
+  }
+};
+
+/**
+ * @description Tells if the update contains operators. Otherwise it is a replacement document
+ * @param {Object} update The update
+ * @return {boolean} <code>true</code> if the update uses operators
+ */
+function isOperatorUpdate(update) {
+  return _.some(_.keys(update), key => _.startsWith(key, '$'));
+}
+
+/**
+ * @description Apply the update on the document
+ * @param {Object} document The document to update. Modified
+ * @param {Object} update The update using operators
+ * @param {boolean} [isInsert=false] <code>true</code> if the document is inserted by an upsert
+ * @return {Object} The document
+ * @throws {Error} If an operator is not supported
+ */
+function applyUpdate(document, update, isInsert) {
+  _.each(update, (fields, operator) => {
+    const operatorFunction = operator === '$setOnInsert' && isInsert === true ? UPDATE_OPERATORS.$set : UPDATE_OPERATORS[operator];
+    if (!operatorFunction) {
+      throw new Error(util.format("The update operator '%s' is not supported", operator));
+    }
+
+    _.each(fields, (value, path) => operatorFunction(document, path, value));
+  });
+
+  return document;
+}
+
+/**
+ * @description Returns the fields of the query with equality to use when inserting with an upsert
+ * @param {Object|undefined} query The query
+ * @return {Object} The fields
+ */
+function getEqualityFields(query) {
+  const document = {};
+
+  _.each(query || {}, (expected, key) => {
+    if (key === '$and') {
+      _.each(expected, subQuery => _.merge(document, getEqualityFields(subQuery)));
+    } else if (_.startsWith(key, '$') || _.isRegExp(expected)) {
+      return;
+    } else if (_isOperatorExpression(expected)) {
+      if (_.has(expected, '$eq')) {
+        _.set(document, key, _.cloneDeep(expected.$eq));
+      }
+    } else {
+      _.set(document, key, _.cloneDeep(expected));
+    }
+  });
+
+  return document;
+}
+
+/**
+ * @description Sort the documents
+ * @param {Object[]} documents The documents
+ * @param {Object|Array|undefined} sort The sort specification
+ * @return {Object[]} The sorted documents
+ */
+function sortDocuments(documents, sort) {
+  const sortFields = _.isArray(sort) ? _.map(sort, element => _.isArray(element) ? element : [element, 1]) : _.toPairs(sort);
+  if (sortFields.length === 0) {
+    return documents;
+  }
+
+  return documents.slice().sort((left, right) => {
+    for (let index = 0; index < sortFields.length; ++index) {
+      const path = sortFields[index][0],
+        direction = sortFields[index][1] === -1 || sortFields[index][1] === 'desc' ? -1 : 1,
+        result = compareValues(_getValue(left, path), _getValue(right, path));
+
+      if (result !== 0) {
+        return result * direction;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * @description Apply the projection on the document
+ * @param {Object} document The document
+ * @param {Object|undefined} projection The projection
+ * @return {Object} The projected document
+ */
+function projectDocument(document, projection) {
+  if (_.isEmpty(projection)) {
+    return document;
+  }
+
+  const includedPaths = _.filter(_.keys(projection), path => path !== '_id' && !!projection[path]);
+  let projectedDocument;
+  if (includedPaths.length > 0) {
+    projectedDocument = {};
+    _.each(includedPaths, path => {
+      if (_.has(document, path)) {
+        _.set(projectedDocument, path, _getValue(document, path));
+      }
+    });
+    if (projection._id !== 0 && projection._id !== false && _.has(document, '_id')) {
+      projectedDocument._id = document._id;
+    }
+  } else {
+    projectedDocument = _.cloneDeep(document);
+    _.each(projection, (value, path) => _.unset(projectedDocument, path));
+  }
+
+  return projectedDocument;
+}
+
+exports.isEqualValue = isEqualValue;
+exports.compareValues = compareValues;
+exports.matchQuery = matchQuery;
+exports.isOperatorUpdate = isOperatorUpdate;
+exports.applyUpdate = applyUpdate;
+exports.getEqualityFields = getEqualityFields;
+exports.sortDocuments = sortDocuments;
+exports.projectDocument = projectDocument;
@@ -0,0 +1,8 @@
+/**
+ * The mocks to use the manager without MongoDB
+ */
+
+const InMemoryMongoClient = require('./InMemoryMongoClient');
+
+exports.InMemoryMongoClient = InMemoryMongoClient;
+exports.InMemoryServer = InMemoryMongoClient.InMemoryServer;
@@ -0,0 +1,213 @@
+/**
+ * Read the manager options from the environment variables and the configuration files
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  fs = require('fs'),
+  path = require('path'),
+  yaml = require('js-yaml'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @description The default prefix of the environment variables
+ * @type {string}
+ */
+const DEFAULT_ENV_PREFIX = "MONGO";
+
+/**
+ * @description The suffix of the variables containing the path of the file holding the value (Docker secrets)
+ * @type {string}
+ */
+const FILE_SUFFIX = "_FILE";
+
+/**
+ * @description Read the file
+ * @param {string} filePath The path
+ * @return {Promise} Resolved with the content
+ * @private
+ */
+function _readFile(filePath) {
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (error, content) => error ? reject(error) : resolve(content));
+  });
+}
+
+/**
+ * @description Parse the JSON value of a variable
+ * @param {string} name The variable name
+ * @param {string} value The value
+ * @return {*} The parsed value
+ * @throws {IllegalArgumentException} If the JSON is invalid
+ * @private
+ */
+function _parseJson(name, value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new exceptions.IllegalArgumentException(util.format("Invalid JSON in '%s': %s", name, error.message));
+  }
+}
+
+/**
+ * @description Parse the boolean value of a variable
+ * @param {string} name The variable name
+ * @param {string} value The value
+ * @return {boolean} The boolean
+ * @throws {IllegalArgumentException} If not a boolean
+ * @private
+ */
+function _parseBoolean(name, value) {
+  const normalized = value.trim().toLowerCase();
+  if (_.includes(['true', '1', 'yes'], normalized)) {
+    return true;
+  } else if (_.includes(['false', '0', 'no'], normalized)) {
+    return false;
+  }
+  throw new exceptions.IllegalArgumentException(util.format("Invalid boolean in '%s': '%s'", name, value));
+}
+
+/**
+ * @description Parse the integer value of a variable
+ * @param {string} name The variable name
+ * @param {string} value The value
+ * @return {number} The integer
+ * @throws {IllegalArgumentException} If not an integer
+ * @private
+ */
+function _parseInteger(name, value) {
+  if (!/^\s*-?\d+\s*$/.test(value)) {
+    throw new exceptions.IllegalArgumentException(util.format("Invalid integer in '%s': '%s'", name, value));
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * @description The variables read by optionsFromEnv. The name is appended to the prefix with an underscore
+ * @type {Object[]}
+ * @private
+ */
+const _envVariables = [
+  {name: 'CONNECTION_STRING', path: 'connectionString', parse: (name, value) => value.trim()},
+  {name: 'CONNECTION_TIMEOUT_MS', path: 'connectionTimeoutMs', parse: _parseInteger},
+  {name: 'CLIENT_OPTIONS', path: 'clientOptions', parse: _parseJson},
+  {name: 'COLLECTIONS', path: 'collections', parse: _parseJson},
+  {name: 'HOSTS', path: 'connection.hosts', parse: (name, value) => _.compact(_.map(value.split(","), _.trim))},
+  {name: 'DATABASE', path: 'connection.database', parse: (name, value) => value.trim()},
+  {name: 'USERNAME', path: 'connection.username', parse: (name, value) => value.trim()},
+  {name: 'PASSWORD', path: 'connection.password', parse: (name, value) => value.replace(/\r?\n$/, '')},
+  {name: 'AUTH_SOURCE', path: 'connection.authSource', parse: (name, value) => value.trim()},
+  {name: 'REPLICA_SET', path: 'connection.replicaSet', parse: (name, value) => value.trim()},
+  {name: 'TLS', path: 'connection.tls', parse: _parseBoolean}
+];
+
+/**
+ * @description Returns the value of the variable or of the file given by the variable with the suffix _FILE
+ * @param {Object} env The environment variables
+ * @param {string} name The variable name
+ * @return {Promise} Resolved with the value or undefined
+ * @private
+ */
+function _readVariable(env, name) {
+  const filePath = env[name + FILE_SUFFIX];
+  if (!_.isNil(env[name]) && env[name] !== "") {
+    return Promise.resolve(env[name]);
+  } else if (_.isNil(filePath) || filePath === "") {
+    return Promise.resolve(undefined);
+  }
+
+  return _readFile(filePath)
+    .catch(error => {
+      throw new exceptions.IllegalArgumentException(util.format("Cannot read the file of '%s%s': %s", name, FILE_SUFFIX, error.message));
+    });
+}
+
+/**
+ * @description Merge the options. The later sources have the priority. The arrays are replaced, not merged
+ * @param {...Object} sources The options
+ * @return {Object} The merged options
+ */
+function mergeOptions() {
+  const sources = _.compact(Array.prototype.slice.call(arguments));
+  return _.mergeWith.apply(_, [{}].concat(sources, (objectValue, sourceValue) => {
+    if (_.isArray(sourceValue) || _.isFunction(sourceValue)) {
+      return sourceValue;
+    }
+    return undefined;
+  }));
+}
+
+/**
+ * @description Read the options from a JSON or YAML file. The format is given by the extension (.json, .yaml, .yml)
+ * @param {string} filePath The file path
+ * @return {Promise} Resolved with the options. Rejected if the file cannot be read or parsed
+ */
+function optionsFromFile(filePath) {
+  const extension = path.extname(filePath || "").toLowerCase();
+  if (!_.includes(['.json', '.yaml', '.yml'], extension)) {
+    return Promise.reject(new exceptions.IllegalArgumentException(util.format("Unsupported configuration file '%s'. Use .json, .yaml or .yml", filePath)));
+  }
+
+  return _readFile(filePath)
+    .then(content => {
+      let options;
+      try {
+        options = extension === '.json' ? JSON.parse(content) : yaml.safeLoad(content, {filename: filePath});
+      } catch (error) {
+        throw new exceptions.IllegalArgumentException(util.format("Invalid configuration file '%s': %s", filePath, error.message));
+      }
+
+      if (!_.isPlainObject(options)) {
+        throw new exceptions.IllegalArgumentException(util.format("The configuration file '%s' must contain an object", filePath));
+      }
+      return options;
+    });
+}
+
+/**
+ * @description Read the options from the environment variables. With the prefix MONGO:
+ *  MONGO_CONNECTION_STRING, MONGO_CONNECTION_TIMEOUT_MS, MONGO_CLIENT_OPTIONS (JSON), MONGO_COLLECTIONS (JSON),
+ *  MONGO_HOSTS (comma separated), MONGO_DATABASE, MONGO_USERNAME, MONGO_PASSWORD, MONGO_AUTH_SOURCE,
+ *  MONGO_REPLICA_SET, MONGO_TLS and MONGO_CONFIG_FILE (JSON or YAML file merged first). Each variable can be replaced
+ *  by the same name with the suffix _FILE containing the path of the file holding the value. MONGO_CONNECTION_STRING
+ *  cannot be combined with the variables of the connection parts (MONGO_HOSTS, MONGO_DATABASE, ...)
+ * @param {string} [prefix=MONGO] The prefix of the variables
+ * @param {Object} [env=process.env] The environment variables
+ * @return {Promise} Resolved with the options. Rejected if a value is invalid or if the connection string is combined
+ *  with the connection parts
+ */
+function optionsFromEnv(prefix, env) {
+  prefix = prefix || DEFAULT_ENV_PREFIX;
+  env = env || process.env;
+
+  const _name = name => prefix + "_" + name;
+  const options = {},
+    readVariables = [];
+
+  return _.reduce(_envVariables, (promise, variable) => {
+    return promise
+      .then(() => _readVariable(env, _name(variable.name)))
+      .then(value => {
+        if (!_.isUndefined(value)) {
+          _.set(options, variable.path, variable.parse(_name(variable.name), value));
+          readVariables.push(variable);
+        }
+      });
+  }, Promise.resolve())
+    .then(() => {
+      // The connection string and the connection parts are exclusive
+      const connectionVariables = _.filter(readVariables, variable => _.startsWith(variable.path, 'connection.'));
+      if (!_.isUndefined(options.connectionString) && connectionVariables.length > 0) {
+        throw new exceptions.IllegalArgumentException(util.format("'%s' cannot be combined with %s",
+          _name('CONNECTION_STRING'), _.map(connectionVariables, variable => util.format("'%s'", _name(variable.name))).join(", ")));
+      }
+    })
+    .then(() => _readVariable(env, _name('CONFIG_FILE')))
+    .then(configFile => configFile ? optionsFromFile(configFile.trim()) : {})
+    .then(fileOptions => mergeOptions(fileOptions, options));
+}
+
+exports.DEFAULT_ENV_PREFIX = DEFAULT_ENV_PREFIX;
+exports.mergeOptions = mergeOptions;
+exports.optionsFromFile = optionsFromFile;
+exports.optionsFromEnv = optionsFromEnv;
@@ -0,0 +1,116 @@
+/**
+ * The stores keeping the resume tokens of the change streams
+ */
+
+const _ = require('lodash'),
+  exceptions = require("js-zrim-core").exceptions;
+
+/**
+ * @typedef {Object} ResumeTokenStore
+ * @description The interface of a resume token store
+ * @property {Function} load Receives the subscription name. Returns a promise resolved with the token or undefined
+ * @property {Function} save Receives the subscription name and the token. Returns a promise
+ */
+
+/**
+ * @description Keep the resume tokens in memory. The tokens are lost when the process ends
+ * @implements {ResumeTokenStore}
+ * @constructor
+ */
+function MemoryResumeTokenStore() {
+  if (!(this instanceof MemoryResumeTokenStore)) {
+    return new MemoryResumeTokenStore();
+  }
+
+  this.properties = {
+    tokens: {}
+  };
+}
+
+/**
+ * @description Returns the last saved token
+ * @param {string} subscriptionName The subscription name
+ * @return {Promise} Resolved with the token or undefined
+ */
+MemoryResumeTokenStore.prototype.load = function (subscriptionName) {
+  return Promise.resolve(_.cloneDeep(this.properties.tokens[subscriptionName]));
+};
+
+/**
+ * @description Save the token
+ * @param {string} subscriptionName The subscription name
+ * @param {Object} token The resume token
+ * @return {Promise} The promise object
+ */
+MemoryResumeTokenStore.prototype.save = function (subscriptionName, token) {
+  this.properties.tokens[subscriptionName] = _.cloneDeep(token);
+  return Promise.resolve();
+};
+
+/**
+ * @description Keep the resume tokens in a MongoDB collection. One document per subscription
+ * @implements {ResumeTokenStore}
+ * @param {Object|Function} collection The collection storing the tokens, or a function returning it on each use.
+ *  Give a function to follow the reconnections of the manager
+ * @constructor
+ */
+function MongoResumeTokenStore(collection) {
+  if (!(this instanceof MongoResumeTokenStore)) {
+    return new MongoResumeTokenStore(collection);
+  }
+
+  this.properties = {
+    collection: collection
+  };
+}
+
+/**
+ * @description The default name of the collection storing the tokens
+ * @type {string}
+ */
+MongoResumeTokenStore.DEFAULT_COLLECTION_NAME = "resumeTokens";
+
+/**
+ * @description Returns the collection storing the tokens
+ * @return {Promise} Resolved with the collection. Rejected with IllegalStateException if not available
+ * @private
+ */
+MongoResumeTokenStore.prototype._getCollection = function () {
+  return new Promise((resolve, reject) => {
+    const collection = _.isFunction(this.properties.collection) ? this.properties.collection() : this.properties.collection;
+    if (!collection) {
+      return reject(new exceptions.IllegalStateException("The collection storing the resume tokens is not available"));
+    }
+    resolve(collection);
+  });
+};
+
+/**
+ * @description Returns the last saved token
+ * @param {string} subscriptionName The subscription name
+ * @return {Promise} Resolved with the token or undefined
+ */
+MongoResumeTokenStore.prototype.load = function (subscriptionName) {
+  return this._getCollection()
+    .then(collection => collection.findOne({_id: subscriptionName}))
+    .then(document => document ? document.token : undefined);
+};
+
+/**
+ * @description Save the token
+ * @param {string} subscriptionName The subscription name
+ * @param {Object} token The resume token
+ * @return {Promise} The promise object
+ */
+MongoResumeTokenStore.prototype.save = function (subscriptionName, token) {
+  return this._getCollection()
+    .then(collection => collection.updateOne({_id: subscriptionName}, {
+      $set: {
+        token: token,
+        updatedAt: new Date()
+      }
+    }, {upsert: true}));
+};
+
+exports.MemoryResumeTokenStore = MemoryResumeTokenStore;
+exports.MongoResumeTokenStore = MongoResumeTokenStore;
@@ -0,0 +1,118 @@
+/**
+ * Load the seed documents and apply them idempotently to a collection
+ */
+
+const _ = require('lodash'),
+  util = require('util'),
+  fs = require('fs'),
+  path = require('path'),
+  exceptions = require("js-zrim-core").exceptions,
+  ejson = require('./ejson');
+
+/**
+ * @typedef {Object} Seed~Option
+ * @description The seed of a collection
+ * @property {Object[]|undefined} documents The inline documents. May contain EJSON wrappers like {$oid}
+ * @property {string|undefined} file The path of a JSON or EJSON file containing the documents array. Relative to
+ *  the working directory
+ * @property {string|string[]} [key=_id] The fields identifying a document
+ */
+/**
+ * @typedef {Object} Seed~Report
+ * @property {number} inserted The number of documents inserted
+ * @property {number} updated The number of documents updated
+ * @property {number} unchanged The number of documents already up to date
+ */
+
+/**
+ * @description Compare the values with the function equals of the driver types
+ * @param {*} left The left value
+ * @param {*} right The right value
+ * @return {boolean|undefined} The result or undefined to let lodash compare
+ * @private
+ */
+function _compareDriverValues(left, right) {
+  if (left && right && _.isFunction(left.equals) && !_.isDate(left)) {
+    return left.equals(right);
+  }
+  return undefined;
+}
+
+/**
+ * @description Returns the seed documents
+ * @param {Seed~Option} seed The seed
+ * @return {Promise} Resolved with the documents. Rejected if the file cannot be read or is invalid
+ */
+function loadSeedDocuments(seed) {
+  if (seed.documents) {
+    return new Promise(resolve => resolve(ejson.deserialize(seed.documents)));
+  }
+
+  const filePath = path.resolve(seed.file);
+  return new Promise((resolve, reject) => {
+    fs.readFile(filePath, 'utf8', (error, text) => {
+      if (error) {
+        return reject(error);
+      }
+
+      let documents;
+      try {
+        documents = ejson.parse(text);
+      } catch (parseError) {
+        return reject(new exceptions.IllegalArgumentException(util.format("Invalid seed file '%s': %s", filePath, parseError.message)));
+      }
+
+      if (!_.isArray(documents)) {
+        return reject(new exceptions.IllegalArgumentException(util.format("The seed file '%s' must contain an array", filePath)));
+      }
+      resolve(documents);
+    });
+  });
+}
+
+/**
+ * @description Insert the missing documents and update the different ones. The documents are identified by the key
+ * @param {Object} collection The collection
+ * @param {Object[]} documents The documents
+ * @param {string|string[]} [key=_id] The fields identifying a document
+ * @return {Promise} Resolved with the {@link Seed~Report}. Rejected if a document has no key or an operation failed
+ */
+function seedCollection(collection, documents, key) {
+  const keyFields = _.castArray(key || '_id'),
+    report = {
+      inserted: 0,
+      updated: 0,
+      unchanged: 0
+    };
+
+  return _.reduce(documents, (promise, document, index) => {
+    return promise.then(() => {
+      const missingField = _.find(keyFields, field => _.isUndefined(_.get(document, field)));
+      if (missingField) {
+        throw new exceptions.IllegalArgumentException(util.format("The seed document %d of '%s' has no key field '%s'",
+          index, collection.collectionName, missingField));
+      }
+
+      const filter = _.zipObject(keyFields, _.map(keyFields, field => _.get(document, field)));
+      return collection.findOne(filter)
+        .then(existingDocument => {
+          if (!existingDocument) {
+            return collection.insertOne(_.clone(document))
+              .then(() => ++report.inserted);
+          }
+
+          const fields = _.omit(document, '_id');
+          if (_.isEqualWith(_.pick(existingDocument, _.keys(fields)), fields, _compareDriverValues)) {
+            return ++report.unchanged;
+          }
+
+          return collection.updateOne({_id: existingDocument._id}, {$set: fields})
+            .then(() => ++report.updated);
+        });
+    });
+  }, Promise.resolve())
+    .then(() => report);
+}
+
+exports.loadSeedDocuments = loadSeedDocuments;
+exports.seedCollection = seedCollection;
@@ -0,0 +1,61 @@
+/**
+ * Helpers to bind a collection to a client session
+ */
+
+const _ = require('lodash');
+
+/**
+ * @description The position of the options argument for each method receiving the session
+ * @type {Object}
+ */
+const OPTIONS_ARGUMENT_INDEXES = {
+  find: 1,
+  findOne: 1,
+  aggregate: 1,
+  count: 1,
+  countDocuments: 1,
+  distinct: 2,
+  insertOne: 1,
+  insertMany: 1,
+  updateOne: 2,
+  updateMany: 2,
+  replaceOne: 2,
+  deleteOne: 1,
+  deleteMany: 1,
+  findOneAndUpdate: 2,
+  findOneAndReplace: 2,
+  findOneAndDelete: 1,
+  bulkWrite: 1
+};
+
+/**
+ * @description Returns a collection giving the session to each operation. The other properties are inherited
+ * @param {Object} collection The collection
+ * @param {Object} session The client session
+ * @return {Object} The session bound collection
+ */
+function createSessionBoundCollection(collection, session) {
+  const boundCollection = Object.create(collection);
+
+  _.each(OPTIONS_ARGUMENT_INDEXES, (optionsIndex, methodName) => {
+    if (!_.isFunction(collection[methodName])) {
+      return;
+    }
+
+    boundCollection[methodName] = function () {
+      const args = Array.prototype.slice.call(arguments);
+
+      if (_.isFunction(args[optionsIndex])) {
+        // The callback is given instead of the options
+        args.splice(optionsIndex, 0, {});
+      }
+      args[optionsIndex] = _.assign({}, args[optionsIndex], {session: session});
+      return collection[methodName].apply(collection, args);
+    };
+  });
+
+  return boundCollection;
+}
+
+exports.OPTIONS_ARGUMENT_INDEXES = OPTIONS_ARGUMENT_INDEXES;
+exports.createSessionBoundCollection = createSessionBoundCollection;
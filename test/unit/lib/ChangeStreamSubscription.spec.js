@@ -0,0 +1,215 @@
+describe("Unit Test - ChangeStreamSubscription", function () {
+  const ChangeStreamSubscription = require('./../../../lib/ChangeStreamSubscription'),
+    MemoryResumeTokenStore = require('./../../../lib/resume-token-stores').MemoryResumeTokenStore,
+    LoggerMock = require('js-zrim-core').mocks.LoggerMock,
+    exceptions = require('js-zrim-core').exceptions,
+    EventEmitter = require('events').EventEmitter;
+
+  /**
+   * Returns a change stream mock
+   * @return {EventEmitter} The change stream
+   */
+  function createChangeStream() {
+    const changeStream = new EventEmitter();
+    changeStream.close = jasmine.createSpy('close').and.returnValue(Promise.resolve());
+    return changeStream;
+  }
+
+  /**
+   * Returns a new instance for test
+   * @param {Object} collection The collection returned by the manager
+   * @param {ResumeTokenStore} [resumeTokenStore] The store
+   * @return {ChangeStreamSubscription} The instance to test
+   */
+  function createInstance(collection, resumeTokenStore) {
+    return new ChangeStreamSubscription({
+      manager: {
+        getCollectionByName: jasmine.createSpy('getCollectionByName').and.returnValue(collection)
+      },
+      collectionName: "users",
+      name: "users",
+      pipeline: [{$match: {operationType: "insert"}}],
+      watchOptions: {fullDocument: "updateLookup"},
+      resumeTokenStore: resumeTokenStore || new MemoryResumeTokenStore(),
+      logger: new LoggerMock()
+    });
+  }
+
+  describe("#start", function () {
+    it("Given saved token Then must resume after it", function (testDone) {
+      const changeStream = createChangeStream(),
+        collection = {
+          watch: jasmine.createSpy('watch').and.returnValue(changeStream)
+        },
+        resumeTokenStore = new MemoryResumeTokenStore(),
+        instance = createInstance(collection, resumeTokenStore);
+
+      resumeTokenStore.save("users", {_data: "1"})
+        .then(() => instance.start())
+        .then(() => {
+          expect(collection.watch).toHaveBeenCalledWith([{$match: {operationType: "insert"}}], {
+            fullDocument: "updateLookup",
+            resumeAfter: {_data: "1"}
+          });
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given driver without watch Then must return error", function (testDone) {
+      createInstance({}).start()
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalStateException));
+          testDone();
+        });
+    });
+
+    it("Given started twice Then must close the previous stream", function (testDone) {
+      const changeStreams = [createChangeStream(), createChangeStream()],
+        collection = {
+          watch: jasmine.createSpy('watch').and.returnValues(changeStreams[0], changeStreams[1])
+        },
+        instance = createInstance(collection);
+
+      instance.start()
+        .then(() => instance.start())
+        .then(() => {
+          expect(changeStreams[0].close).toHaveBeenCalled();
+          expect(changeStreams[0].listenerCount('change')).toEqual(0);
+          expect(changeStreams[1].listenerCount('change')).toEqual(1);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #start
+
+  describe("#_handleChange", function () {
+    it("Given change Then must emit it and save the token", function (testDone) {
+      const changeStream = createChangeStream(),
+        resumeTokenStore = new MemoryResumeTokenStore(),
+        instance = createInstance({watch: () => changeStream}, resumeTokenStore),
+        onChange = jasmine.createSpy('onChange'),
+        change = {_id: {_data: "2"}, operationType: "insert"};
+
+      instance.on('change', onChange);
+      instance.start()
+        .then(() => {
+          changeStream.emit('change', change);
+          expect(onChange).toHaveBeenCalledWith(change);
+          return instance.close();
+        })
+        .then(() => resumeTokenStore.load("users"))
+        .then(token => {
+          expect(token).toEqual({_data: "2"});
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #_handleChange
+
+  describe("#_handleStreamError", function () {
+    it("Given stream error Then must close the stream and emit the error", function (testDone) {
+      const changeStream = createChangeStream(),
+        instance = createInstance({watch: () => changeStream}),
+        onError = jasmine.createSpy('onError'),
+        expectedError = new Error("Unit Test - Fake error");
+
+      instance.on('error', onError);
+      instance.start()
+        .then(() => {
+          changeStream.emit('error', expectedError);
+          expect(onError).toHaveBeenCalledWith(expectedError);
+          expect(changeStream.close).toHaveBeenCalled();
+          expect(instance.closed).toBeFalsy();
+          expect(instance.interrupted).toBeTruthy();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given stream error and no error listener Then must log it and emit interrupted until the next start", function (testDone) {
+      const changeStreams = [createChangeStream(), createChangeStream()],
+        instance = createInstance({
+          watch: jasmine.createSpy('watch').and.returnValues(changeStreams[0], changeStreams[1])
+        }),
+        onInterrupted = jasmine.createSpy('onInterrupted'),
+        expectedError = new Error("Unit Test - Fake error");
+
+      spyOn(instance.properties.logger, 'error').and.callThrough();
+      instance.on('interrupted', onInterrupted);
+      instance.start()
+        .then(() => {
+          expect(instance.interrupted).toBeFalsy();
+          changeStreams[0].emit('error', expectedError);
+          expect(onInterrupted).toHaveBeenCalledWith(expectedError);
+          expect(instance.properties.logger.error).toHaveBeenCalled();
+          expect(instance.interrupted).toBeTruthy();
+          expect(instance.interruption).toBe(expectedError);
+          return instance.start();
+        })
+        .then(() => {
+          expect(instance.interrupted).toBeFalsy();
+          expect(instance.interruption).toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #_handleStreamError
+
+  describe("#iterate", function () {
+    it("Given changes then close Then must give the changes and end", function (testDone) {
+      const changeStream = createChangeStream(),
+        instance = createInstance({watch: () => changeStream}),
+        iterator = instance.iterate(),
+        onClose = jasmine.createSpy('onClose');
+
+      instance.on('close', onClose);
+      instance.start()
+        .then(() => {
+          changeStream.emit('change', {_id: 1});
+          return iterator.next();
+        })
+        .then(result => {
+          expect(result).toEqual({value: {_id: 1}, done: false});
+          const nextPromise = iterator.next();
+          changeStream.emit('change', {_id: 2});
+          return nextPromise;
+        })
+        .then(result => {
+          expect(result).toEqual({value: {_id: 2}, done: false});
+          const nextPromise = iterator.next();
+          instance.close();
+          return nextPromise;
+        })
+        .then(result => {
+          expect(result.done).toBeTruthy();
+          expect(onClose).toHaveBeenCalledTimes(1);
+          expect(changeStream.close).toHaveBeenCalled();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #iterate
+});
@@ -0,0 +1,315 @@
+describe("Unit Test - MigrationRunner", function () {
+  const MigrationRunner = require('./../../../lib/MigrationRunner'),
+    LoggerMock = require('js-zrim-core').mocks.LoggerMock,
+    exceptions = require('js-zrim-core').exceptions,
+    _ = require('lodash');
+
+  /**
+   * Returns a fake collection keeping the documents in memory
+   * @return {Object} The collection
+   */
+  function createFakeCollection() {
+    const collection = {
+      documents: []
+    };
+
+    collection.find = () => ({
+      toArray: () => Promise.resolve(_.clone(collection.documents))
+    });
+    collection.insertOne = jasmine.createSpy("insertOne").and.callFake(document => {
+      if (_.find(collection.documents, {_id: document._id})) {
+        const error = new Error("Unit Test - Duplicate key");
+        error.code = 11000;
+        return Promise.reject(error);
+      }
+
+      collection.documents.push(document);
+      return Promise.resolve();
+    });
+    collection.updateOne = jasmine.createSpy("updateOne").and.callFake((filter, update) => {
+      const matchedDocuments = _.filter(collection.documents, filter);
+      _.each(matchedDocuments, document => _.assign(document, update.$set));
+      return Promise.resolve({matchedCount: matchedDocuments.length});
+    });
+    collection.deleteOne = jasmine.createSpy("deleteOne").and.callFake(filter => {
+      _.remove(collection.documents, document => {
+        if (document._id !== filter._id) {
+          return false;
+        } else if (filter.owner && document.owner !== filter.owner) {
+          return false;
+        } else if (filter.expiresAt && !(document.expiresAt < filter.expiresAt.$lt)) {
+          return false;
+        }
+        return true;
+      });
+      return Promise.resolve();
+    });
+    return collection;
+  }
+
+  /**
+   * Returns a runner with a fake database
+   * @param {Object[]} modules The migrations
+   * @param {Object} [options] The options to merge
+   * @return {MigrationRunner} The runner
+   */
+  function createInstance(modules, options) {
+    const collections = {};
+
+    return new MigrationRunner(_.assign({
+      manager: {},
+      collections: {
+        users: {}
+      },
+      db: {
+        collection: name => {
+          collections[name] = collections[name] || createFakeCollection();
+          return collections[name];
+        }
+      },
+      modules: modules,
+      logger: new LoggerMock()
+    }, options));
+  }
+
+  /**
+   * Returns a migration
+   * @param {string} version The version
+   * @return {Object} The migration
+   */
+  function createMigration(version) {
+    return {
+      version: version,
+      name: "Migration " + version,
+      up: jasmine.createSpy("up" + version).and.callFake(() => Promise.resolve()),
+      down: jasmine.createSpy("down" + version).and.callFake(() => Promise.resolve())
+    };
+  }
+
+  describe("#construct", function () {
+    it("Then must apply the default values", function () {
+      const instance = createInstance([]);
+
+      expect(instance.properties.collectionName).toEqual("migrations");
+      expect(instance.properties.lockTimeoutMs).toEqual(60000);
+      expect(instance.properties.lockTtlMs).toEqual(600000);
+      expect(instance.properties.owner).toEqual(jasmine.any(String));
+    });
+  }); // #construct
+
+  describe("#migrate", function () {
+    it("Given pending migrations Then must apply them in order", function (testDone) {
+      const migrations = [createMigration("1"), createMigration("2")];
+      const instance = createInstance(migrations);
+
+      const calls = [];
+      migrations[0].up.and.callFake(() => {
+        calls.push("1");
+        return Promise.resolve();
+      });
+      migrations[1].up.and.callFake(context => {
+        calls.push("2");
+        expect(context.collections).toBe(instance.properties.collections);
+        expect(context.manager).toBe(instance.properties.manager);
+        return Promise.resolve();
+      });
+
+      instance.migrate()
+        .then(appliedVersions => {
+          expect(appliedVersions).toEqual(["1", "2"]);
+          expect(calls).toEqual(["1", "2"]);
+
+          const records = instance.properties.db.collection("migrations").documents;
+          expect(_.map(records, '_id')).toEqual(["1", "2"]);
+          expect(records[0].checksum).toEqual(MigrationRunner.computeChecksum(migrations[0]));
+          expect(instance.properties.db.collection("migrations_lock").documents).toEqual([]);
+          return instance.migrate();
+        })
+        .then(appliedVersions => {
+          expect(appliedVersions).toEqual([]);
+          expect(migrations[0].up).toHaveBeenCalledTimes(1);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given migration changed after applied Then must return error", function (testDone) {
+      const migrations = [createMigration("1")];
+      const instance = createInstance(migrations);
+
+      instance.properties.db.collection("migrations").documents.push({
+        _id: "1",
+        checksum: "other"
+      });
+      instance.migrate()
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalStateException));
+          expect(migrations[0].up).not.toHaveBeenCalled();
+          expect(instance.properties.db.collection("migrations_lock").documents).toEqual([]);
+          testDone();
+        });
+    });
+
+    it("Given migration fails Then must stop and release the lock", function (testDone) {
+      const migrations = [createMigration("1"), createMigration("2")];
+      const instance = createInstance(migrations);
+
+      const expectedError = new Error("Unit Test - Fake error");
+      migrations[0].up.and.callFake(() => Promise.reject(expectedError));
+      instance.migrate()
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBe(expectedError);
+          expect(migrations[1].up).not.toHaveBeenCalled();
+          expect(instance.properties.db.collection("migrations").documents).toEqual([]);
+          expect(instance.properties.db.collection("migrations_lock").documents).toEqual([]);
+          testDone();
+        });
+    });
+
+    it("Given lock owned by another instance Then must time out", function (testDone) {
+      const instance = createInstance([createMigration("1")], {
+        lockTimeoutMs: 10
+      });
+
+      instance.properties.db.collection("migrations_lock").documents.push({
+        _id: "migration",
+        owner: "other",
+        expiresAt: new Date(Date.now() + 60000)
+      });
+      instance.migrate()
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.TimedOutException));
+          expect(instance.properties.db.collection("migrations_lock").documents.length).toEqual(1);
+          testDone();
+        });
+    });
+
+    it("Given abandoned lock Then must take it", function (testDone) {
+      const instance = createInstance([createMigration("1")]);
+
+      instance.properties.db.collection("migrations_lock").documents.push({
+        _id: "migration",
+        owner: "other",
+        expiresAt: new Date(Date.now() - 1000)
+      });
+      instance.migrate()
+        .then(appliedVersions => {
+          expect(appliedVersions).toEqual(["1"]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given migration running longer than half the lock TTL Then must refresh the lock", function (testDone) {
+      const migrations = [createMigration("1")];
+      const instance = createInstance(migrations, {
+        lockTtlMs: 40
+      });
+
+      let expiresAtBefore;
+      migrations[0].up.and.callFake(() => {
+        expiresAtBefore = instance.properties.db.collection("migrations_lock").documents[0].expiresAt;
+        return new Promise(resolve => setTimeout(resolve, 60))
+          .then(() => {
+            expect(instance.properties.db.collection("migrations_lock").documents[0].expiresAt.getTime()).toBeGreaterThan(expiresAtBefore.getTime());
+          });
+      });
+      instance.migrate()
+        .then(appliedVersions => {
+          expect(appliedVersions).toEqual(["1"]);
+          expect(instance.properties.db.collection("migrations_lock").updateOne).toHaveBeenCalled();
+          expect(instance.properties.db.collection("migrations_lock").documents).toEqual([]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given lock taken by another instance during the migration Then must not record the version", function (testDone) {
+      const migrations = [createMigration("1"), createMigration("2")];
+      const instance = createInstance(migrations);
+
+      migrations[0].up.and.callFake(() => {
+        instance.properties.db.collection("migrations_lock").documents = [{
+          _id: "migration",
+          owner: "other",
+          expiresAt: new Date(Date.now() + 60000)
+        }];
+        return Promise.resolve();
+      });
+      instance.migrate()
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalStateException));
+          expect(migrations[1].up).not.toHaveBeenCalled();
+          expect(instance.properties.db.collection("migrations").documents).toEqual([]);
+          expect(instance.properties.db.collection("migrations_lock").documents.length).toEqual(1);
+          testDone();
+        });
+    });
+  }); // #migrate
+
+  describe("#rollback", function () {
+    it("Given applied migrations Then must revert the last one", function (testDone) {
+      const migrations = [createMigration("1"), createMigration("2")];
+      const instance = createInstance(migrations);
+
+      instance.migrate()
+        .then(() => instance.rollback())
+        .then(revertedVersions => {
+          expect(revertedVersions).toEqual(["2"]);
+          expect(migrations[1].down).toHaveBeenCalled();
+          expect(migrations[0].down).not.toHaveBeenCalled();
+          return instance.status();
+        })
+        .then(statuses => {
+          expect(_.map(statuses, 'applied')).toEqual([true, false]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given migration without down Then must return error", function (testDone) {
+      const migrations = [createMigration("1")];
+      const instance = createInstance(migrations);
+
+      delete migrations[0].down;
+      instance.migrate()
+        .then(() => instance.rollback(1))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalStateException));
+          testDone();
+        });
+    });
+  }); // #rollback
+});
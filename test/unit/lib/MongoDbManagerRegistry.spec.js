@@ -0,0 +1,183 @@
+describe("Unit Test - MongoDbManagerRegistry", function () {
+  const MongoDbManagerRegistry = require('./../../../lib/MongoDbManagerRegistry'),
+    MongoDbManager = require('./../../../index'),
+    LoggerMock = require('js-zrim-core').mocks.LoggerMock,
+    _ = require('lodash');
+
+  /**
+   * Returns a new instance for test
+   * @return {MongoDbManagerRegistry} The instance to test
+   */
+  function createInstance() {
+    return new MongoDbManagerRegistry({
+      loggerTarget: new LoggerMock()
+    });
+  }
+
+  /**
+   * Returns the initialization options of a manager using its own in-memory server
+   * @param {string} databaseName The database name
+   * @param {Function} [driver] The driver
+   * @return {Object} The options
+   */
+  function createManagerOptions(databaseName, driver) {
+    return {
+      connectionString: "mongodb://localhost/" + databaseName,
+      driver: driver || MongoDbManager.mocks.InMemoryMongoClient.createDriver(),
+      collections: [{name: "users", index: []}]
+    };
+  }
+
+  describe("#initialize", function () {
+    it("Given configuration Then must create the named managers", function (testDone) {
+      const instance = createInstance();
+
+      instance.initialize({
+        main: createManagerOptions("main"),
+        analytics: createManagerOptions("analytics")
+      })
+        .then(() => {
+          expect(instance.getNames()).toEqual(["main", "analytics"]);
+          expect(instance.get("main")).toEqual(jasmine.any(MongoDbManager));
+          expect(instance.get("analytics")).not.toBe(instance.get("main"));
+          expect(instance.get("unknown")).toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given invalid manager options Then must return the aggregated errors", function (testDone) {
+      const instance = createInstance();
+
+      instance.initialize({
+        main: createManagerOptions("main"),
+        broken: {collections: []}
+      })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error.errors.length).toEqual(1);
+          expect(error.errors[0].name).toEqual("broken");
+          expect(error.errors[0].error).toEqual(jasmine.any(TypeError));
+          expect(instance.getNames()).toEqual(["main"]);
+          testDone();
+        });
+    });
+
+    it("Given empty configuration or existing name Then must return error", function (testDone) {
+      const instance = createInstance();
+
+      instance.initialize({})
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          return instance.initialize({main: createManagerOptions("main")});
+        })
+        .then(() => instance.initialize({main: createManagerOptions("main")}))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        }, error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          testDone();
+        });
+    });
+  }); // #initialize
+
+  describe("lifecycle", function () {
+    it("Given managers Then must connect, check and disconnect all of them", function (testDone) {
+      const instance = createInstance();
+
+      instance.initialize({
+        main: createManagerOptions("main"),
+        analytics: createManagerOptions("analytics")
+      })
+        .then(() => instance.connect())
+        .then(() => {
+          expect(instance.get("main").isReady()).toBeTruthy();
+          expect(instance.get("analytics").isReady()).toBeTruthy();
+          return instance.healthCheck();
+        })
+        .then(result => {
+          expect(result.healthy).toBeTruthy();
+          expect(result.managers.main.healthy).toBeTruthy();
+          expect(result.managers.analytics.healthy).toBeTruthy();
+          expect(result.checkedAt).toEqual(jasmine.any(Date));
+          return instance.disconnect();
+        })
+        .then(() => {
+          expect(instance.get("main").isReady()).toBeFalsy();
+          expect(instance.get("analytics").isReady()).toBeFalsy();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given a manager failing to connect Then must connect the others and return the aggregated errors", function (testDone) {
+      const instance = createInstance(),
+        unavailableDriver = MongoDbManager.mocks.InMemoryMongoClient.createDriver();
+
+      unavailableDriver.server.simulateConnectionLost();
+      instance.initialize({
+        main: createManagerOptions("main"),
+        analytics: createManagerOptions("analytics", unavailableDriver)
+      })
+        .then(() => instance.connect())
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error.message).toContain("analytics");
+          expect(_.map(error.errors, 'name')).toEqual(["analytics"]);
+          expect(instance.get("main").isReady()).toBeTruthy();
+          return instance.healthCheck();
+        })
+        .then(result => {
+          expect(result.healthy).toBeFalsy();
+          expect(result.managers.main.healthy).toBeTruthy();
+          expect(result.managers.analytics.healthy).toBeFalsy();
+          return instance.disconnect();
+        })
+        .then(() => {
+          expect(instance.get("main").isReady()).toBeFalsy();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given a manager reconnecting Then must disconnect it too", function (testDone) {
+      const instance = createInstance(),
+        driver = MongoDbManager.mocks.InMemoryMongoClient.createDriver(),
+        options = createManagerOptions("main", driver);
+
+      options.reconnection = {enabled: true, maxAttempts: 5, initialDelayMs: 20, backoffFactor: 1, jitter: 0, maxDelayMs: 20};
+      instance.initialize({main: options})
+        .then(() => instance.connect())
+        .then(() => {
+          driver.server.simulateConnectionLost();
+          return new Promise(resolve => instance.get("main").once(MongoDbManager.Signals.reconnecting, () => resolve()));
+        })
+        .then(() => instance.disconnect())
+        .then(() => {
+          expect(instance.get("main").properties.reconnection).toBeUndefined();
+          expect(instance.get("main").canDisconnect()).toBeFalsy();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // lifecycle
+});
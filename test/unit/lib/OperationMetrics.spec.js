@@ -0,0 +1,42 @@
+describe("Unit Test - OperationMetrics", function () {
+  const OperationMetrics = require('./../../../lib/OperationMetrics');
+
+  describe("#getSnapshot", function () {
+    it("Given operations Then must aggregate them", function () {
+      const instance = new OperationMetrics({bucketsMs: [10, 100]});
+
+      instance.record("db.users", "find", 5);
+      instance.record("db.users", "find", 50, new Error("Unit Test - Fake error"));
+      instance.record("db.users", "insertOne", 500);
+
+      const snapshot = instance.getSnapshot();
+      expect(snapshot.startedAt).toEqual(jasmine.any(Date));
+      expect(snapshot.collections).toEqual({
+        "db.users": {
+          find: {count: 2, errors: 1, totalMs: 55, minMs: 5, maxMs: 50, avgMs: 27.5, buckets: {"10": 1, "100": 2}},
+          insertOne: {count: 1, errors: 0, totalMs: 500, minMs: 500, maxMs: 500, avgMs: 500, buckets: {"10": 0, "100": 0}}
+        }
+      });
+
+      instance.reset();
+      expect(instance.getSnapshot().collections).toEqual({});
+    });
+  }); // #getSnapshot
+
+  describe("#toPrometheus", function () {
+    it("Given operations Then must return the text format", function () {
+      const instance = new OperationMetrics({bucketsMs: [10]});
+
+      instance.record('db."users"', "find", 5);
+
+      const lines = instance.toPrometheus().split('\n');
+      expect(lines).toContain('# TYPE mongodb_manager_operations_total counter');
+      expect(lines).toContain('mongodb_manager_operations_total{collection="db.\\"users\\"",operation="find"} 1');
+      expect(lines).toContain('mongodb_manager_operation_errors_total{collection="db.\\"users\\"",operation="find"} 0');
+      expect(lines).toContain('mongodb_manager_operation_duration_ms_bucket{collection="db.\\"users\\"",operation="find",le="10"} 1');
+      expect(lines).toContain('mongodb_manager_operation_duration_ms_bucket{collection="db.\\"users\\"",operation="find",le="+Inf"} 1');
+      expect(lines).toContain('mongodb_manager_operation_duration_ms_sum{collection="db.\\"users\\"",operation="find"} 5');
+      expect(lines).toContain('mongodb_manager_operation_duration_ms_count{collection="db.\\"users\\"",operation="find"} 1');
+    });
+  }); // #toPrometheus
+});
@@ -0,0 +1,296 @@
+describe("Unit Test - Repository", function () {
+  const Repository = require('./../../../lib/Repository'),
+    InMemoryMongoClient = require('./../../../lib/mocks/InMemoryMongoClient'),
+    exceptions = require('js-zrim-core').exceptions,
+    Joi = require('joi');
+
+  /**
+   * Returns a new instance using an in-memory collection
+   * @param {Repository~Model} model The model
+   * @return {Promise} Resolved with the instance
+   */
+  function createInstance(model) {
+    const Driver = InMemoryMongoClient.createDriver();
+
+    return new Driver("mongodb://localhost/unitTest").connect()
+      .then(client => client.db())
+      .then(db => {
+        const collection = db.collection("users");
+        return new Repository({
+          name: "users",
+          model: model,
+          getCollection: () => collection
+        });
+      });
+  }
+
+  const model = {
+    schema: Joi.object().keys({
+      email: Joi.string().email().required(),
+      role: Joi.string().valid('user', 'admin').required(),
+      tags: Joi.array().items(Joi.string())
+    }),
+    defaults: {
+      role: "user",
+      tags: () => []
+    },
+    timestamps: true,
+    softDelete: true
+  };
+
+  describe("#insert", function () {
+    it("Given valid document Then must apply the defaults and the timestamps", function (testDone) {
+      let instance;
+
+      createInstance(model)
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, email: "a@b.com"});
+        })
+        .then(document => {
+          expect(document).toEqual({
+            _id: 1,
+            email: "a@b.com",
+            role: "user",
+            tags: [],
+            createdAt: jasmine.any(Date),
+            updatedAt: jasmine.any(Date)
+          });
+          return instance.findById(1);
+        })
+        .then(document => {
+          expect(document.role).toEqual("user");
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given invalid document Then must return error", function (testDone) {
+      createInstance(model)
+        .then(instance => instance.insert({email: "invalid"}))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalArgumentException));
+          testDone();
+        });
+    });
+
+    it("Given not connected Then must return error", function (testDone) {
+      new Repository({name: "users", getCollection: () => undefined}).insert({})
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalStateException));
+          testDone();
+        });
+    });
+  }); // #insert
+
+  describe("#update", function () {
+    it("Given valid changes Then must update the document", function (testDone) {
+      let instance;
+
+      createInstance(model)
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, email: "a@b.com"});
+        })
+        .then(() => instance.update(1, {role: "admin", createdAt: "ignored"}))
+        .then(document => {
+          expect(document.role).toEqual("admin");
+          expect(document.createdAt).toEqual(jasmine.any(Date));
+          return instance.update(1, {role: "unknown"});
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error).toEqual(jasmine.any(exceptions.IllegalArgumentException));
+          return instance.update(2, {role: "admin"});
+        })
+        .then(document => {
+          expect(document).toBeNull();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given concurrent updates of different fields Then must keep both changes", function (testDone) {
+      let instance;
+
+      createInstance(model)
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, email: "a@b.com"});
+        })
+        .then(() => instance._getCollection())
+        .then(collection => {
+          spyOn(collection, 'updateOne').and.callThrough();
+          return Promise.all([instance.update(1, {role: "admin"}), instance.update(1, {tags: ["vip"]})])
+            .then(() => {
+              expect(collection.updateOne.calls.argsFor(0)[1]).toEqual({
+                $set: {role: "admin", updatedAt: jasmine.any(Date)}
+              });
+              expect(collection.updateOne.calls.argsFor(1)[1]).toEqual({
+                $set: {tags: ["vip"], updatedAt: jasmine.any(Date)}
+              });
+              expect(collection.updateOne.calls.count()).toEqual(3);
+              return instance.findById(1);
+            });
+        })
+        .then(document => {
+          expect(document.role).toEqual("admin");
+          expect(document.tags).toEqual(["vip"]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given document always modified concurrently Then must return error", function (testDone) {
+      let instance;
+
+      createInstance(model)
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, email: "a@b.com"});
+        })
+        .then(() => instance._getCollection())
+        .then(collection => {
+          spyOn(collection, 'updateOne').and.returnValue(Promise.resolve({matchedCount: 0}));
+          return instance.update(1, {role: "admin"})
+            .then(() => {
+              expect("Must not be called").toBeUndefined();
+            }, error => {
+              expect(error).toEqual(jasmine.any(exceptions.IllegalStateException));
+              expect(collection.updateOne).toHaveBeenCalledTimes(Repository.UPDATE_MAX_ATTEMPTS);
+            });
+        })
+        .then(() => testDone())
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #update
+
+  describe("#find", function () {
+    it("Given projection Then must return only the projected fields", function (testDone) {
+      let instance;
+
+      createInstance({})
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, email: "a@b.com", name: "A"});
+        })
+        .then(() => instance.find({}, {projection: {email: 1}}))
+        .then(documents => {
+          expect(documents).toEqual([{_id: 1, email: "a@b.com"}]);
+          return instance.findById(1, {projection: {name: 0}});
+        })
+        .then(document => {
+          expect(document).toEqual({_id: 1, email: "a@b.com"});
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given options Then must give the projection to the driver without includeDeleted", function (testDone) {
+      const cursor = {
+          toArray: () => Promise.resolve([])
+        },
+        collection = {
+          find: jasmine.createSpy('find').and.returnValue(cursor),
+          findOne: jasmine.createSpy('findOne').and.returnValue(Promise.resolve(null))
+        },
+        instance = new Repository({
+          name: "users",
+          model: {},
+          getCollection: () => collection
+        });
+
+      instance.find({a: 1}, {projection: {a: 1}, includeDeleted: true})
+        .then(() => instance.findById(1, {projection: {a: 1}}))
+        .then(() => {
+          expect(collection.find).toHaveBeenCalledWith({a: 1}, {projection: {a: 1}});
+          expect(collection.findOne).toHaveBeenCalledWith({_id: 1}, {projection: {a: 1}});
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #find
+
+  describe("#remove", function () {
+    it("Given soft-delete Then must hide the document", function (testDone) {
+      let instance;
+
+      createInstance(model)
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, email: "a@b.com"});
+        })
+        .then(() => instance.remove(1))
+        .then(removed => {
+          expect(removed).toBeTruthy();
+          return instance.find({});
+        })
+        .then(documents => {
+          expect(documents).toEqual([]);
+          return instance.findById(1, {includeDeleted: true});
+        })
+        .then(document => {
+          expect(document.deletedAt).toEqual(jasmine.any(Date));
+          return instance.remove(1);
+        })
+        .then(removed => {
+          expect(removed).toBeFalsy();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given no soft-delete Then must delete the document", function (testDone) {
+      let instance;
+
+      createInstance({})
+        .then(result => {
+          instance = result;
+          return instance.insert({_id: 1, a: 1});
+        })
+        .then(() => instance.remove(1))
+        .then(removed => {
+          expect(removed).toBeTruthy();
+          return instance.findById(1, {includeDeleted: true});
+        })
+        .then(document => {
+          expect(document).toBeNull();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #remove
+});
@@ -0,0 +1,220 @@
+describe("Unit Test - collection-transfer", function () {
+  const collectionTransfer = require('./../../../lib/collection-transfer'),
+    InMemoryMongoClient = require('./../../../lib/mocks/InMemoryMongoClient'),
+    mongodb = require('mongodb'),
+    stream = require('stream');
+
+  /**
+   * Returns a collection of a new in-memory server
+   * @return {Promise} Resolved with the collection
+   */
+  function createCollection() {
+    const Driver = InMemoryMongoClient.createDriver();
+    return new Driver("mongodb://localhost/unitTest").connect()
+      .then(client => client.db())
+      .then(db => db.collection("items"));
+  }
+
+  /**
+   * Returns a writable stream keeping the written text
+   * @return {stream.Writable} The stream with the property text
+   */
+  function createWritable() {
+    const writable = new stream.Writable({
+      highWaterMark: 1,
+      write: (chunk, encoding, callback) => {
+        writable.text += chunk.toString();
+        setImmediate(callback);
+      }
+    });
+    writable.text = "";
+    return writable;
+  }
+
+  describe("#exportDocuments", function () {
+    it("Given ndjson Then must write one EJSON document per line", function (testDone) {
+      const writable = createWritable(),
+        id = new mongodb.ObjectID("5a1b2c3d4e5f6a7b8c9d0e1f");
+
+      createCollection()
+        .then(collection => collection.insertMany([
+          {_id: id, at: new Date(0), price: mongodb.Decimal128.fromString("1.10")},
+          {_id: 2, kind: "b"},
+          {_id: 3, kind: "c"}
+        ])
+          .then(() => collectionTransfer.exportDocuments(collection, writable, {query: {_id: {$ne: 3}}})))
+        .then(result => {
+          expect(result).toEqual({count: 2});
+          expect(writable.text).toEqual('{"_id":{"$oid":"5a1b2c3d4e5f6a7b8c9d0e1f"},"at":{"$date":"1970-01-01T00:00:00.000Z"},' +
+            '"price":{"$numberDecimal":"1.10"}}\n{"_id":2,"kind":"b"}\n');
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given ejson and empty collection Then must write an empty array", function (testDone) {
+      const writable = createWritable();
+
+      createCollection()
+        .then(collection => collectionTransfer.exportDocuments(collection, writable, {format: "ejson"}))
+        .then(result => {
+          expect(result).toEqual({count: 0});
+          expect(JSON.parse(writable.text)).toEqual([]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given the stream fails while waiting for the drain Then must return the error and close the cursor", function (testDone) {
+      const expectedError = new Error("Unit Test - Fake error"),
+        writable = new stream.Writable({
+          highWaterMark: 1,
+          write: () => undefined
+        });
+      let cursor;
+
+      createCollection()
+        .then(collection => collection.insertMany([{_id: 1}, {_id: 2}])
+          .then(() => {
+            const find = collection.find;
+            spyOn(collection, 'find').and.callFake(function () {
+              cursor = find.apply(this, arguments);
+              spyOn(cursor, 'close').and.callThrough();
+              return cursor;
+            });
+            setTimeout(() => writable.destroy(expectedError), 10);
+            return collectionTransfer.exportDocuments(collection, writable);
+          }))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        }, error => {
+          expect(error).toBe(expectedError);
+          setTimeout(() => {
+            expect(cursor.close).toHaveBeenCalled();
+            testDone();
+          }, 10);
+        });
+    });
+
+    it("Given success Then must close the cursor", function (testDone) {
+      let cursor;
+
+      createCollection()
+        .then(collection => {
+          const find = collection.find;
+          spyOn(collection, 'find').and.callFake(function () {
+            cursor = find.apply(this, arguments);
+            spyOn(cursor, 'close').and.callThrough();
+            return cursor;
+          });
+          return collectionTransfer.exportDocuments(collection, createWritable());
+        })
+        .then(() => {
+          expect(cursor.close).toHaveBeenCalledTimes(1);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #exportDocuments
+
+  describe("#importDocuments", function () {
+    it("Given ndjson split in chunks Then must insert the documents by batch", function (testDone) {
+      const readable = new stream.PassThrough();
+      let collection;
+
+      createCollection()
+        .then(result => {
+          collection = result;
+          spyOn(collection, 'insertMany').and.callThrough();
+          const importing = collectionTransfer.importDocuments(collection, readable, {batchSize: 2});
+          readable.write('{"_id":{"$oid":"5a1b2c3d4e5f6a7b8c9d0e1f"},"at":{"$da');
+          readable.write('te":"1970-01-01T00:00:00.000Z"}}\n{"_id":2}\n\n{"_id":3}');
+          readable.end();
+          return importing;
+        })
+        .then(result => {
+          expect(result).toEqual({count: 3});
+          expect(collection.insertMany).toHaveBeenCalledTimes(2);
+          return collection.findOne({_id: new mongodb.ObjectID("5a1b2c3d4e5f6a7b8c9d0e1f")});
+        })
+        .then(document => {
+          expect(document.at).toEqual(new Date(0));
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given upsert and replace Then must update the existing documents", function (testDone) {
+      let collection;
+
+      createCollection()
+        .then(result => {
+          collection = result;
+          return collection.insertMany([{_id: 1, a: 1, b: 1}, {_id: 2, a: 2, b: 2}]);
+        })
+        .then(() => {
+          spyOn(collection, 'bulkWrite').and.callThrough();
+          const readable = new stream.PassThrough();
+          const importing = collectionTransfer.importDocuments(collection, readable, {mode: "upsert", format: "ejson", batchSize: 1});
+          readable.end('[{"_id": 1, "a": 10}, {"_id": 3, "a": 3}]');
+          return importing;
+        })
+        .then(result => {
+          expect(result).toEqual({count: 2});
+          expect(collection.bulkWrite).toHaveBeenCalledTimes(2);
+          expect(collection.bulkWrite.calls.argsFor(0)).toEqual([
+            [{updateOne: {filter: {_id: 1}, update: {$set: {a: 10}}, upsert: true}}],
+            {ordered: true}
+          ]);
+        })
+        .then(() => {
+          const readable = new stream.PassThrough();
+          const importing = collectionTransfer.importDocuments(collection, readable, {mode: "replace"});
+          readable.end('{"_id": 2, "a": 20}\n');
+          return importing;
+        })
+        .then(() => collection.find({}).sort({_id: 1}).toArray())
+        .then(documents => {
+          expect(documents).toEqual([{_id: 1, a: 10, b: 1}, {_id: 2, a: 20}, {_id: 3, a: 3}]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given invalid line Then must return error with the line number", function (testDone) {
+      const readable = new stream.PassThrough();
+
+      createCollection()
+        .then(collection => {
+          const importing = collectionTransfer.importDocuments(collection, readable);
+          readable.end('{"_id": 1}\n{nope}\n');
+          return importing;
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          expect(error.message).toMatch(/line 2/);
+          testDone();
+        });
+    });
+  }); // #importDocuments
+});
@@ -0,0 +1,63 @@
+describe("Unit Test - ejson", function () {
+  const ejson = require('./../../../lib/ejson'),
+    mongodb = require('mongodb');
+
+  describe("#parse", function () {
+    it("Given canonical wrappers Then must return the driver types", function () {
+      const value = ejson.parse(JSON.stringify({
+        _id: {$oid: "5a1b2c3d4e5f6a7b8c9d0e1f"},
+        createdAt: {$date: {$numberLong: "1500000000000"}},
+        updatedAt: {$date: "2017-07-14T02:40:00.000Z"},
+        count: {$numberInt: "3"},
+        big: {$numberLong: "9007199254740993"},
+        ratio: {$numberDouble: "0.5"},
+        price: {$numberDecimal: "1.10"},
+        pattern: {$regularExpression: {pattern: "^a", options: "i"}},
+        tags: [{$oid: "5a1b2c3d4e5f6a7b8c9d0e1f"}, "plain"],
+        nested: {$notAWrapper: 1}
+      }));
+
+      expect(value._id).toEqual(jasmine.any(mongodb.ObjectID));
+      expect(value._id.toHexString()).toEqual("5a1b2c3d4e5f6a7b8c9d0e1f");
+      expect(value.createdAt).toEqual(new Date(1500000000000));
+      expect(value.updatedAt).toEqual(new Date("2017-07-14T02:40:00.000Z"));
+      expect(value.count).toEqual(3);
+      expect(value.big).toEqual(jasmine.any(mongodb.Long));
+      expect(value.big.toString()).toEqual("9007199254740993");
+      expect(value.ratio).toEqual(0.5);
+      expect(value.price.toString()).toEqual("1.10");
+      expect(value.pattern).toEqual(/^a/i);
+      expect(value.tags[0]).toEqual(jasmine.any(mongodb.ObjectID));
+      expect(value.tags[1]).toEqual("plain");
+      expect(value.nested).toEqual({$notAWrapper: 1});
+    });
+
+    it("Given invalid date Then must throw", function () {
+      expect(() => ejson.parse('{"a": {"$date": "nope"}}')).toThrowError(TypeError);
+    });
+  }); // #parse
+
+  describe("#stringify", function () {
+    it("Given driver types Then must write wrappers parsed back to the same types", function () {
+      const value = {
+        _id: new mongodb.ObjectID("5a1b2c3d4e5f6a7b8c9d0e1f"),
+        at: new Date(0),
+        big: mongodb.Long.fromString("9007199254740993"),
+        price: mongodb.Decimal128.fromString("1.10"),
+        data: new mongodb.Binary(Buffer.from("hi"), 4),
+        list: [1, "a", null]
+      };
+
+      const text = ejson.stringify(value);
+      expect(JSON.parse(text)).toEqual({
+        _id: {$oid: "5a1b2c3d4e5f6a7b8c9d0e1f"},
+        at: {$date: "1970-01-01T00:00:00.000Z"},
+        big: {$numberLong: "9007199254740993"},
+        price: {$numberDecimal: "1.10"},
+        data: {$binary: {base64: "aGk=", subType: "04"}},
+        list: [1, "a", null]
+      });
+      expect(ejson.stringify(ejson.parse(text))).toEqual(text);
+    });
+  }); // #stringify
+});
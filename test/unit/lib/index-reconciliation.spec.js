@@ -0,0 +1,124 @@
+describe("Unit Test - index-reconciliation", function () {
+  const indexReconciliation = require('./../../../lib/index-reconciliation'),
+    _ = require('lodash');
+
+  describe("#getIndexName", function () {
+    it("Given name in options Then must return it", function () {
+      expect(indexReconciliation.getIndexName({a: 1}, {name: "myIndex"})).toEqual("myIndex");
+    });
+
+    it("Given no name Then must return the driver name", function () {
+      expect(indexReconciliation.getIndexName({a: 1, b: -1})).toEqual("a_1_b_-1");
+      expect(indexReconciliation.getIndexName({a: 1}, {unique: true})).toEqual("a_1");
+    });
+  }); // #getIndexName
+
+  describe("#computeIndexDrift", function () {
+    it("Given same indexes Then must return no drift", function () {
+      const declaredIndexes = [{
+        keys: {a: 1},
+        options: {unique: true}
+      }];
+      const drift = indexReconciliation.computeIndexDrift(declaredIndexes, [
+        {name: "_id_", key: {_id: 1}},
+        {name: "a_1", key: {a: 1}, unique: true}
+      ]);
+
+      expect(drift).toEqual({
+        missing: [],
+        conflicting: [],
+        stale: [],
+        unchanged: declaredIndexes
+      });
+      expect(indexReconciliation.hasDrift(drift)).toBeFalsy();
+    });
+
+    it("Given different indexes Then must return the drift", function () {
+      const declaredIndexes = [
+        {keys: {a: 1}, options: {unique: true}},
+        {keys: {b: 1}},
+        {keys: {c: 1}, options: {name: "cIndex"}}
+      ];
+      const existingIndexes = [
+        {name: "_id_", key: {_id: 1}},
+        {name: "a_1", key: {a: 1}},
+        {name: "c_1", key: {c: 1}},
+        {name: "d_1", key: {d: 1}}
+      ];
+      const drift = indexReconciliation.computeIndexDrift(declaredIndexes, existingIndexes);
+
+      expect(drift.missing).toEqual([declaredIndexes[1]]);
+      expect(drift.conflicting).toEqual([
+        {declared: declaredIndexes[0], existing: existingIndexes[1]},
+        {declared: declaredIndexes[2], existing: existingIndexes[2]}
+      ]);
+      expect(drift.stale).toEqual([existingIndexes[3]]);
+      expect(drift.unchanged).toEqual([]);
+      expect(indexReconciliation.hasDrift(drift)).toBeTruthy();
+      expect(JSON.parse(indexReconciliation.formatDrift(drift))).toEqual({
+        missing: ["b_1"],
+        conflicting: ["a_1", "c_1"],
+        stale: ["d_1"],
+        unchanged: []
+      });
+    });
+
+    it("Given options completed by the server Then must ignore them", function () {
+      const drift = indexReconciliation.computeIndexDrift([{
+        keys: {a: 1},
+        options: {collation: {locale: "fr"}}
+      }], [
+        {
+          name: "a_1",
+          key: {a: 1},
+          collation: {
+            locale: "fr",
+            caseLevel: false,
+            caseFirst: "off",
+            strength: 3,
+            numericOrdering: false,
+            alternate: "non-ignorable",
+            maxVariable: "punct",
+            normalization: false,
+            backwards: false,
+            version: "57.1"
+          }
+        }
+      ]);
+
+      expect(indexReconciliation.hasDrift(drift)).toBeFalsy();
+    });
+
+    it("Given existing options with more fields Then must return a conflict", function () {
+      const drift = indexReconciliation.computeIndexDrift([{
+        keys: {a: 1},
+        options: {collation: {locale: "fr"}}
+      }, {
+        keys: {b: 1},
+        options: {partialFilterExpression: {b: {$exists: true}}}
+      }], [
+        {name: "a_1", key: {a: 1}, collation: {locale: "fr", strength: 2}},
+        {name: "b_1", key: {b: 1}, partialFilterExpression: {b: {$exists: true}, c: {$gt: 1}}}
+      ]);
+
+      expect(_.map(drift.conflicting, 'existing.name')).toEqual(["a_1", "b_1"]);
+      expect(drift.unchanged).toEqual([]);
+    });
+
+    it("Given compound keys in another order Then must return the index as missing", function () {
+      const drift = indexReconciliation.computeIndexDrift([{
+        keys: {b: 1, a: 1}
+      }], [
+        {name: "_id_", key: {_id: 1}},
+        {name: "a_1_b_1", key: {a: 1, b: 1}}
+      ]);
+
+      expect(drift).toEqual({
+        missing: [{keys: {b: 1, a: 1}}],
+        conflicting: [],
+        stale: [{name: "a_1_b_1", key: {a: 1, b: 1}}],
+        unchanged: []
+      });
+    });
+  }); // #computeIndexDrift
+});
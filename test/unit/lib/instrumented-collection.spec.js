@@ -0,0 +1,301 @@
+describe("Unit Test - instrumented-collection", function () {
+  const instrumentedCollection = require('./../../../lib/instrumented-collection');
+
+  describe("#createInstrumentedCollection", function () {
+    it("Given promise operation Then must report it", function (testDone) {
+      const onOperation = jasmine.createSpy('onOperation'),
+        collection = {
+          collectionName: "users",
+          insertOne: jasmine.createSpy('insertOne').and.returnValue(Promise.resolve("result"))
+        };
+
+      const instance = instrumentedCollection.createInstrumentedCollection(collection, "db.users", onOperation);
+      expect(instance.collectionName).toEqual("users");
+      instance.insertOne({a: 1})
+        .then(result => {
+          expect(result).toEqual("result");
+          expect(collection.insertOne).toHaveBeenCalledWith({a: 1});
+          expect(onOperation).toHaveBeenCalledWith({
+            collectionName: "db.users",
+            operation: "insertOne",
+            durationMs: jasmine.any(Number),
+            error: undefined
+          });
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given failed operation Then must report the error", function (testDone) {
+      const onOperation = jasmine.createSpy('onOperation'),
+        expectedError = new Error("Unit Test - Fake error"),
+        collection = {
+          deleteOne: () => Promise.reject(expectedError)
+        };
+
+      instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation).deleteOne({})
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBe(expectedError);
+          expect(onOperation.calls.argsFor(0)[0].error).toBe(expectedError);
+          testDone();
+        });
+    });
+
+    it("Given cursor Then must report when toArray ends", function (testDone) {
+      const onOperation = jasmine.createSpy('onOperation'),
+        cursor = {
+          sort: jasmine.createSpy('sort'),
+          toArray: () => Promise.resolve([1])
+        },
+        collection = {
+          find: () => cursor
+        };
+
+      const instrumentedCursor = instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation).find({});
+      expect(instrumentedCursor.sort({a: 1})).toBe(instrumentedCursor);
+      expect(cursor.sort).toHaveBeenCalledWith({a: 1});
+      expect(onOperation).not.toHaveBeenCalled();
+
+      instrumentedCursor.toArray()
+        .then(documents => {
+          expect(documents).toEqual([1]);
+          expect(onOperation.calls.argsFor(0)[0].operation).toEqual("find");
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given callback Then must report before calling it", function (testDone) {
+      const onOperation = jasmine.createSpy('onOperation'),
+        collection = {
+          findOne: (query, callback) => setImmediate(callback, null, {a: 1})
+        };
+
+      instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation).findOne({}, (error, document) => {
+        expect(error).toBeNull();
+        expect(document).toEqual({a: 1});
+        expect(onOperation).toHaveBeenCalledTimes(1);
+        testDone();
+      });
+    });
+
+    it("Given onOperationStarted and a closed cursor Then must report the start and the end", function () {
+      const onOperation = jasmine.createSpy('onOperation'),
+        onOperationStarted = jasmine.createSpy('onOperationStarted'),
+        cursor = {
+          close: jasmine.createSpy('close'),
+          toArray: () => Promise.resolve([])
+        },
+        collection = {
+          find: () => cursor
+        };
+
+      const instrumentedCursor = instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation, onOperationStarted).find({});
+      expect(onOperationStarted).not.toHaveBeenCalled();
+      instrumentedCursor.toArray();
+      expect(onOperationStarted).toHaveBeenCalledWith("users", "find");
+      instrumentedCursor.close();
+      instrumentedCursor.close();
+      expect(cursor.close).toHaveBeenCalledTimes(2);
+      expect(onOperation).toHaveBeenCalledTimes(1);
+    });
+
+    it("Given a cursor never read Then must not report it", function () {
+      const onOperation = jasmine.createSpy('onOperation'),
+        onOperationStarted = jasmine.createSpy('onOperationStarted'),
+        cursor = {
+          close: jasmine.createSpy('close'),
+          toArray: () => Promise.resolve([])
+        },
+        collection = {
+          find: () => cursor
+        };
+
+      instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation, onOperationStarted).find({}).close();
+      expect(cursor.close).toHaveBeenCalled();
+      expect(onOperationStarted).not.toHaveBeenCalled();
+      expect(onOperation).not.toHaveBeenCalled();
+    });
+
+    it("Given a limit Then must report when the limit is reached", function (testDone) {
+      const onOperation = jasmine.createSpy('onOperation'),
+        _createCursor = () => ({
+          toArray: () => Promise.resolve([]),
+          next: () => Promise.resolve({a: 1}),
+          limit: jasmine.createSpy('limit')
+        }),
+        collection = {
+          find: () => _createCursor()
+        };
+      const instance = instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation);
+
+      const limitedCursor = instance.find({}).limit(1);
+      expect(limitedCursor.next).toEqual(jasmine.any(Function));
+      limitedCursor.next()
+        .then(document => {
+          expect(document).toEqual({a: 1});
+          expect(onOperation).toHaveBeenCalledTimes(1);
+
+          const cursor = instance.find({}, {limit: -2});
+          return cursor.next().then(() => {
+            expect(onOperation).toHaveBeenCalledTimes(1);
+            return cursor.next();
+          });
+        })
+        .then(() => {
+          expect(onOperation).toHaveBeenCalledTimes(2);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given a cursor read as a stream Then must report on end, close or error", function () {
+      const stream = require('stream'),
+        expectedError = new Error("Unit Test - Fake error"),
+        onOperation = jasmine.createSpy('onOperation'),
+        onOperationStarted = jasmine.createSpy('onOperationStarted'),
+        _createCursor = () => {
+          const cursor = new stream.Readable({objectMode: true, read: () => undefined});
+          cursor.toArray = () => Promise.resolve([]);
+          return cursor;
+        },
+        cursors = [_createCursor(), _createCursor(), _createCursor()],
+        collection = {
+          find: jasmine.createSpy('find').and.returnValues(cursors[0], cursors[1], cursors[2])
+        };
+      const instance = instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation, onOperationStarted),
+        _operationErrors = () => onOperation.calls.allArgs().map(args => args[0].error);
+
+      const onData = jasmine.createSpy('onData'),
+        dataCursor = instance.find({});
+      expect(onOperationStarted).not.toHaveBeenCalled();
+      expect(dataCursor.on('data', onData)).toBe(dataCursor);
+      expect(onOperationStarted).toHaveBeenCalledTimes(1);
+      cursors[0].emit('data', {a: 1});
+      expect(onData).toHaveBeenCalledWith({a: 1});
+      cursors[0].emit('end');
+      expect(_operationErrors()).toEqual([undefined]);
+
+      instance.find({}).pipe(new stream.PassThrough({objectMode: true}));
+      expect(onOperationStarted).toHaveBeenCalledTimes(2);
+      cursors[1].emit('close');
+      expect(_operationErrors()).toEqual([undefined, undefined]);
+
+      const failingCursor = instance.find({});
+      failingCursor.on('error', () => undefined);
+      failingCursor.resume();
+      cursors[2].emit('error', expectedError);
+      expect(onOperationStarted).toHaveBeenCalledTimes(3);
+      expect(_operationErrors()).toEqual([undefined, undefined, expectedError]);
+    });
+
+    it("Given cursor read with next Then must report once when exhausted", function (testDone) {
+      const onOperation = jasmine.createSpy('onOperation'),
+        documents = [{a: 1}],
+        cursor = {
+          next: jasmine.createSpy('next').and.callFake(() => Promise.resolve(documents.length > 0 ? documents.shift() : null)),
+          hasNext: () => Promise.resolve(documents.length > 0),
+          toArray: jasmine.createSpy('toArray'),
+          close: () => Promise.resolve()
+        },
+        collection = {
+          find: () => cursor
+        };
+
+      const instrumentedCursor = instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation).find({});
+      instrumentedCursor.hasNext()
+        .then(hasNext => {
+          expect(hasNext).toBeTruthy();
+          return instrumentedCursor.next();
+        })
+        .then(document => {
+          expect(document).toEqual({a: 1});
+          expect(onOperation).not.toHaveBeenCalled();
+          return instrumentedCursor.next();
+        })
+        .then(document => {
+          expect(document).toBeNull();
+          expect(onOperation).toHaveBeenCalledTimes(1);
+          return instrumentedCursor.close();
+        })
+        .then(() => {
+          expect(onOperation).toHaveBeenCalledTimes(1);
+          expect(cursor.toArray).not.toHaveBeenCalled();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given forEach, each, count and stream Then must report the end or the error", function (testDone) {
+      const EventEmitter = require('events').EventEmitter,
+        expectedError = new Error("Unit Test - Fake error"),
+        stream = new EventEmitter(),
+        onOperation = jasmine.createSpy('onOperation'),
+        cursors = [{
+          toArray: () => Promise.resolve([]),
+          forEach: () => Promise.reject(expectedError)
+        }, {
+          toArray: () => Promise.resolve([]),
+          each: callback => {
+            callback(null, {a: 1});
+            callback(null, null);
+          }
+        }, {
+          toArray: () => Promise.resolve([]),
+          count: () => Promise.resolve(2)
+        }, {
+          toArray: () => Promise.resolve([]),
+          stream: () => stream
+        }],
+        collection = {
+          find: () => cursors.shift()
+        };
+      const instance = instrumentedCollection.createInstrumentedCollection(collection, "users", onOperation),
+        _operationErrors = () => onOperation.calls.allArgs().map(args => args[0].error);
+
+      instance.find({}).forEach(() => undefined)
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error).toBe(expectedError);
+          expect(_operationErrors()).toEqual([expectedError]);
+
+          const iterator = jasmine.createSpy('iterator');
+          instance.find({}).each(iterator);
+          expect(iterator).toHaveBeenCalledTimes(2);
+          expect(_operationErrors()).toEqual([expectedError, undefined]);
+          return instance.find({}).count();
+        })
+        .then(count => {
+          expect(count).toEqual(2);
+          expect(onOperation).toHaveBeenCalledTimes(3);
+
+          expect(instance.find({}).stream()).toBe(stream);
+          stream.emit('end');
+          stream.emit('close');
+          expect(onOperation).toHaveBeenCalledTimes(4);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #createInstrumentedCollection
+});
@@ -0,0 +1,335 @@
+describe("Unit Test - InMemoryMongoClient", function () {
+  const InMemoryMongoClient = require('./../../../../lib/mocks/InMemoryMongoClient'),
+    ErrorCodes = InMemoryMongoClient.InMemoryCollection.ErrorCodes;
+
+  /**
+   * Returns a connected database using a new server
+   * @return {Promise} Resolved with the database
+   */
+  function connect() {
+    const Driver = InMemoryMongoClient.createDriver();
+    return new Driver("mongodb://localhost:27017/unitTest?w=1").connect()
+      .then(client => client.db());
+  }
+
+  describe("#connect", function () {
+    it("Given connection string Then must use the database name", function (testDone) {
+      connect()
+        .then(db => {
+          expect(db).toEqual(jasmine.any(InMemoryMongoClient.InMemoryDb));
+          expect(db.databaseName).toEqual("unitTest");
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given connection error Then must return it", function (testDone) {
+      const Driver = InMemoryMongoClient.createDriver(),
+        expectedError = new Error("Unit Test - Fake error");
+
+      Driver.server.setConnectionError(expectedError);
+      new Driver("mongodb://localhost/unitTest").connect()
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBe(expectedError);
+          testDone();
+        });
+    });
+
+    it("Given two drivers Then must not share the data", function (testDone) {
+      let firstDb;
+
+      connect()
+        .then(db => {
+          firstDb = db;
+          return db.collection("a").insertOne({_id: 1});
+        })
+        .then(() => connect())
+        .then(db => Promise.all([db.collection("a").countDocuments({}), firstDb.collection("a").countDocuments({})]))
+        .then(counts => {
+          expect(counts).toEqual([0, 1]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // #connect
+
+  describe("InMemoryDb", function () {
+    it("Given createCollection Then must list it and refuse to create it again", function (testDone) {
+      let db;
+
+      connect()
+        .then(connectedDb => {
+          db = connectedDb;
+          return db.createCollection("a", {capped: true, size: 100});
+        })
+        .then(() => db.listCollections({}).toArray())
+        .then(collectionInfos => {
+          expect(collectionInfos.length).toEqual(1);
+          expect(collectionInfos[0].name).toEqual("a");
+          expect(collectionInfos[0].options).toEqual({capped: true, size: 100});
+          return db.createCollection("a");
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error.code).toEqual(ErrorCodes.NamespaceExists);
+          testDone();
+        });
+    });
+
+    it("Given collection with callback Then must give the collection", function (testDone) {
+      connect()
+        .then(db => {
+          db.collection("a", undefined, (error, collection) => {
+            expect(error).toBeUndefined();
+            expect(collection.collectionName).toEqual("a");
+            expect(collection.namespace).toEqual("unitTest.a");
+            testDone();
+          });
+        });
+    });
+
+    it("Given other database Then must share the connection", function (testDone) {
+      const Driver = InMemoryMongoClient.createDriver();
+      let client;
+
+      new Driver("mongodb://localhost/unitTest").connect()
+        .then(connectedClient => {
+          client = connectedClient;
+          expect(client.db()).toBe(client.db("unitTest"));
+          return client.db("other").collection("a").insertOne({_id: 1});
+        })
+        .then(() => client.db("other").collection("a").findOne({_id: 1}))
+        .then(document => {
+          expect(document).toEqual({_id: 1});
+          return client.close();
+        })
+        .then(() => client.db("other").collection("a").findOne({_id: 1}))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error.message).toEqual("Topology was destroyed");
+          testDone();
+        });
+    });
+
+    it("Given commands Then must answer like a standalone server", function (testDone) {
+      let db;
+
+      connect()
+        .then(connectedDb => {
+          db = connectedDb;
+          return db.command({ping: 1});
+        })
+        .then(result => {
+          expect(result).toEqual({ok: 1});
+          return db.admin().command({replSetGetStatus: 1});
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error.code).toEqual(ErrorCodes.NoReplicationEnabled);
+          testDone();
+        });
+    });
+  }); // InMemoryDb
+
+  describe("InMemoryServer", function () {
+    it("Given connection lost Then must emit error and fail the operations until reconnection", function (testDone) {
+      let db;
+      const onError = jasmine.createSpy('onError'),
+        onReconnect = jasmine.createSpy('onReconnect');
+
+      connect()
+        .then(connectedDb => {
+          db = connectedDb;
+          db.on('error', onError);
+          db.on('reconnect', onReconnect);
+          db.properties.server.simulateConnectionLost();
+          expect(onError).toHaveBeenCalledTimes(1);
+          return db.command({ping: 1});
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error.name).toEqual("MongoNetworkError");
+          db.properties.server.simulateReconnection();
+          expect(onReconnect).toHaveBeenCalledTimes(1);
+          return db.command({ping: 1});
+        })
+        .then(result => {
+          expect(result).toEqual({ok: 1});
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // InMemoryServer
+
+  describe("InMemoryCollection", function () {
+    let collection;
+
+    beforeEach(function (testDone) {
+      connect()
+        .then(db => {
+          collection = db.collection("a");
+          return collection.insertMany([
+            {_id: 1, a: 1, b: "x"},
+            {_id: 2, a: 2, b: "y"},
+            {_id: 3, a: 3, b: "x"}
+          ]);
+        })
+        .then(() => testDone());
+    });
+
+    it("Given find with options Then must return the documents", function (testDone) {
+      collection.find({b: "x"}, {projection: {a: 1}}).sort({a: -1}).limit(1).toArray()
+        .then(documents => {
+          expect(documents).toEqual([{_id: 3, a: 3}]);
+          return collection.distinct("b");
+        })
+        .then(values => {
+          expect(values).toEqual(["x", "y"]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given insert without _id Then must generate it", function (testDone) {
+      const document = {a: 4};
+
+      collection.insertOne(document)
+        .then(result => {
+          expect(result.insertedCount).toEqual(1);
+          expect(document._id).toBeDefined();
+          return collection.findOne({_id: result.insertedId});
+        })
+        .then(foundDocument => {
+          expect(foundDocument.a).toEqual(4);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given updates Then must modify the documents", function (testDone) {
+      collection.updateMany({b: "x"}, {$inc: {a: 10}})
+        .then(result => {
+          expect(result.matchedCount).toEqual(2);
+          expect(result.modifiedCount).toEqual(2);
+          return collection.updateOne({_id: 4}, {$set: {b: "z"}}, {upsert: true});
+        })
+        .then(result => {
+          expect(result.upsertedId).toEqual({_id: 4});
+          return collection.findOneAndUpdate({_id: 2}, {$set: {b: "w"}}, {returnOriginal: false});
+        })
+        .then(result => {
+          expect(result.value).toEqual({_id: 2, a: 2, b: "w"});
+          return collection.replaceOne({_id: 1}, {c: 1});
+        })
+        .then(() => collection.find({}).sort({_id: 1}).toArray())
+        .then(documents => {
+          expect(documents).toEqual([
+            {_id: 1, c: 1},
+            {_id: 2, a: 2, b: "w"},
+            {_id: 3, a: 13, b: "x"},
+            {_id: 4, b: "z"}
+          ]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given deletes Then must remove the documents", function (testDone) {
+      collection.deleteOne({b: "x"})
+        .then(result => {
+          expect(result.deletedCount).toEqual(1);
+          return collection.deleteMany({});
+        })
+        .then(result => {
+          expect(result.deletedCount).toEqual(2);
+          return collection.countDocuments();
+        })
+        .then(count => {
+          expect(count).toEqual(0);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given unique index Then must refuse the duplicates", function (testDone) {
+      collection.insertOne({_id: 1})
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error.code).toEqual(ErrorCodes.DuplicateKey);
+          return collection.createIndex({a: 1}, {unique: true});
+        })
+        .then(indexName => {
+          expect(indexName).toEqual("a_1");
+          return collection.updateOne({_id: 1}, {$set: {a: 2}});
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        }, error => {
+          expect(error.code).toEqual(ErrorCodes.DuplicateKey);
+          testDone();
+        });
+    });
+
+    it("Given index changes Then must list, refuse the conflicts and drop", function (testDone) {
+      collection.createIndex({a: 1}, {name: "myIndex"})
+        .then(() => collection.createIndex({a: 1}, {name: "myIndex"}))
+        .then(() => collection.createIndex({a: 1}, {name: "myIndex", sparse: true}))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+        }, error => {
+          expect(error.code).toEqual(ErrorCodes.IndexOptionsConflict);
+          return collection.listIndexes().toArray();
+        })
+        .then(indexes => {
+          expect(indexes.map(index => index.name)).toEqual(["_id_", "myIndex"]);
+          return collection.dropIndex("myIndex");
+        })
+        .then(() => collection.indexes())
+        .then(indexes => {
+          expect(indexes.length).toEqual(1);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // InMemoryCollection
+});
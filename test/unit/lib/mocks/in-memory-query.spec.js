@@ -0,0 +1,86 @@
+describe("Unit Test - in-memory-query", function () {
+  const query = require('./../../../../lib/mocks/in-memory-query');
+
+  describe("#matchQuery", function () {
+    const document = {
+      a: 1,
+      b: "text",
+      c: {d: 2},
+      tags: ["x", "y"],
+      date: new Date(1000)
+    };
+
+    it("Given equality Then must match", function () {
+      expect(query.matchQuery(document, {})).toBeTruthy();
+      expect(query.matchQuery(document, {a: 1, "c.d": 2})).toBeTruthy();
+      expect(query.matchQuery(document, {tags: "x"})).toBeTruthy();
+      expect(query.matchQuery(document, {date: new Date(1000)})).toBeTruthy();
+      expect(query.matchQuery(document, {a: 2})).toBeFalsy();
+    });
+
+    it("Given operators Then must match", function () {
+      expect(query.matchQuery(document, {a: {$gt: 0, $lte: 1}})).toBeTruthy();
+      expect(query.matchQuery(document, {a: {$in: [3, 1]}, b: {$nin: ["other"]}})).toBeTruthy();
+      expect(query.matchQuery(document, {z: {$exists: false}, a: {$exists: true}})).toBeTruthy();
+      expect(query.matchQuery(document, {b: /^te/, tags: {$size: 2, $all: ["y", "x"]}})).toBeTruthy();
+      expect(query.matchQuery(document, {$or: [{a: 2}, {b: {$regex: "TEXT", $options: "i"}}]})).toBeTruthy();
+      expect(query.matchQuery(document, {a: {$ne: 1}})).toBeFalsy();
+      expect(query.matchQuery(document, {$nor: [{a: 1}]})).toBeFalsy();
+      expect(query.matchQuery(document, {a: {$not: {$gt: 0}}})).toBeFalsy();
+    });
+
+    it("Given unknown operator Then must throw", function () {
+      expect(() => query.matchQuery(document, {a: {$where: "true"}})).toThrow();
+    });
+  }); // #matchQuery
+
+  describe("#applyUpdate", function () {
+    it("Given operators Then must update the document", function () {
+      const document = {a: 1, b: 2, tags: ["x"]};
+
+      query.applyUpdate(document, {
+        $set: {"c.d": 3},
+        $unset: {b: ""},
+        $inc: {a: 2},
+        $push: {tags: "y"},
+        $addToSet: {tags: "x"},
+        $setOnInsert: {e: 1}
+      });
+      expect(document).toEqual({a: 3, c: {d: 3}, tags: ["x", "y"]});
+
+      query.applyUpdate(document, {$setOnInsert: {e: 1}, $pull: {tags: "x"}}, true);
+      expect(document).toEqual({a: 3, c: {d: 3}, tags: ["y"], e: 1});
+    });
+  }); // #applyUpdate
+
+  describe("#getEqualityFields", function () {
+    it("Given query Then must return the equality fields", function () {
+      expect(query.getEqualityFields({a: 1, "b.c": 2, d: {$gt: 1}, e: {$eq: 3}, $and: [{f: 4}]})).toEqual({
+        a: 1,
+        b: {c: 2},
+        e: 3,
+        f: 4
+      });
+    });
+  }); // #getEqualityFields
+
+  describe("#sortDocuments", function () {
+    it("Given sort Then must sort the documents", function () {
+      const documents = [{a: 1, b: 1}, {a: 2, b: 0}, {a: 1, b: 2}];
+
+      expect(query.sortDocuments(documents, {a: -1, b: 1})).toEqual([{a: 2, b: 0}, {a: 1, b: 1}, {a: 1, b: 2}]);
+      expect(query.sortDocuments(documents, undefined)).toBe(documents);
+    });
+  }); // #sortDocuments
+
+  describe("#projectDocument", function () {
+    it("Given inclusion Then must keep the fields and the _id", function () {
+      expect(query.projectDocument({_id: 1, a: 1, b: 2}, {a: 1})).toEqual({_id: 1, a: 1});
+      expect(query.projectDocument({_id: 1, a: 1, b: 2}, {a: 1, _id: 0})).toEqual({a: 1});
+    });
+
+    it("Given exclusion Then must remove the fields", function () {
+      expect(query.projectDocument({_id: 1, a: 1, b: 2}, {b: 0})).toEqual({_id: 1, a: 1});
+    });
+  }); // #projectDocument
+});
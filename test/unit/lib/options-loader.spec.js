@@ -0,0 +1,133 @@
+describe("Unit Test - options-loader", function () {
+  const optionsLoader = require('./../../../lib/options-loader'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+  describe("#optionsFromEnv", function () {
+    it("Given variables Then must convert them into options", function (testDone) {
+      optionsLoader.optionsFromEnv("APP_MONGO", {
+        APP_MONGO_CONNECTION_STRING: "mongodb://db/app",
+        APP_MONGO_CONNECTION_TIMEOUT_MS: "5000",
+        APP_MONGO_CLIENT_OPTIONS: '{"poolSize": 5}',
+        APP_MONGO_COLLECTIONS: '[{"name": "users"}]',
+        MONGO_CONNECTION_STRING: "mongodb://other/app"
+      })
+        .then(options => {
+          expect(options).toEqual({
+            connectionString: "mongodb://db/app",
+            connectionTimeoutMs: 5000,
+            clientOptions: {poolSize: 5},
+            collections: [{name: "users"}]
+          });
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given variables with the suffix _FILE Then must read the files", function (testDone) {
+      const filePath = path.join(os.tmpdir(), "options-loader-spec-secret-" + process.pid);
+      fs.writeFileSync(filePath, "s3cret\n");
+
+      optionsLoader.optionsFromEnv(undefined, {
+        MONGO_HOSTS: "db1:27017, db2",
+        MONGO_USERNAME: "user",
+        MONGO_PASSWORD_FILE: filePath,
+        MONGO_TLS: "true"
+      })
+        .then(options => {
+          fs.unlinkSync(filePath);
+          expect(options).toEqual({
+            connection: {hosts: ["db1:27017", "db2"], username: "user", password: "s3cret", tls: true}
+          });
+          testDone();
+        })
+        .catch(error => {
+          fs.unlinkSync(filePath);
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given invalid JSON Then must return error", function (testDone) {
+      optionsLoader.optionsFromEnv("MONGO", {MONGO_COLLECTIONS: "[{"})
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          expect(error.message).toContain("MONGO_COLLECTIONS");
+          testDone();
+        });
+    });
+
+    it("Given the connection string and connection parts Then must return error naming the variables", function (testDone) {
+      optionsLoader.optionsFromEnv("MONGO", {
+        MONGO_CONNECTION_STRING: "mongodb://db/app",
+        MONGO_HOSTS: "db2",
+        MONGO_USERNAME: "user"
+      })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          expect(error.message).toEqual("'MONGO_CONNECTION_STRING' cannot be combined with 'MONGO_HOSTS', 'MONGO_USERNAME'");
+          testDone();
+        });
+    });
+  }); // #optionsFromEnv
+
+  describe("#optionsFromFile", function () {
+    it("Given a YAML file Then must parse it", function (testDone) {
+      const filePath = path.join(os.tmpdir(), "options-loader-spec-" + process.pid + ".yml");
+      fs.writeFileSync(filePath, "connectionString: mongodb://db/app\ncollections:\n  - name: users\n    indexes:\n      - name: byEmail\n        keys:\n          email: 1\n");
+
+      optionsLoader.optionsFromFile(filePath)
+        .then(options => {
+          fs.unlinkSync(filePath);
+          expect(options).toEqual({
+            connectionString: "mongodb://db/app",
+            collections: [{name: "users", indexes: [{name: "byEmail", keys: {email: 1}}]}]
+          });
+          testDone();
+        })
+        .catch(error => {
+          fs.unlinkSync(filePath);
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given an unsupported extension Then must return error", function (testDone) {
+      optionsLoader.optionsFromFile("config.ini")
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          testDone();
+        });
+    });
+  }); // #optionsFromFile
+
+  describe("#mergeOptions", function () {
+    it("Given sources Then the later must have the priority and replace the arrays", function () {
+      expect(optionsLoader.mergeOptions(
+        {connectionString: "a", clientOptions: {poolSize: 5, ssl: true}, collections: [{name: "users"}, {name: "roles"}]},
+        undefined,
+        {clientOptions: {poolSize: 10}, collections: [{name: "groups"}]}
+      )).toEqual({
+        connectionString: "a",
+        clientOptions: {poolSize: 10, ssl: true},
+        collections: [{name: "groups"}]
+      });
+    });
+  }); // #mergeOptions
+});
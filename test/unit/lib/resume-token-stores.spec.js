@@ -0,0 +1,96 @@
+describe("Unit Test - resume-token-stores", function () {
+  const resumeTokenStores = require('./../../../lib/resume-token-stores');
+
+  describe("MemoryResumeTokenStore", function () {
+    it("Given saved token Then must load it", function (testDone) {
+      const store = new resumeTokenStores.MemoryResumeTokenStore();
+
+      store.load("a")
+        .then(token => {
+          expect(token).toBeUndefined();
+          return store.save("a", {_data: "1"});
+        })
+        .then(() => store.load("a"))
+        .then(token => {
+          expect(token).toEqual({_data: "1"});
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+  }); // MemoryResumeTokenStore
+
+  describe("MongoResumeTokenStore", function () {
+    it("Given save Then must upsert the document", function (testDone) {
+      const collection = {
+        updateOne: jasmine.createSpy('updateOne').and.returnValue(Promise.resolve())
+      };
+
+      new resumeTokenStores.MongoResumeTokenStore(collection).save("a", {_data: "1"})
+        .then(() => {
+          expect(collection.updateOne).toHaveBeenCalledWith({_id: "a"}, {
+            $set: {
+              token: {_data: "1"},
+              updatedAt: jasmine.any(Date)
+            }
+          }, {upsert: true});
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given load Then must return the token", function (testDone) {
+      const collection = {
+        findOne: jasmine.createSpy('findOne').and.returnValues(Promise.resolve({_id: "a", token: {_data: "1"}}), Promise.resolve(null))
+      };
+      const store = new resumeTokenStores.MongoResumeTokenStore(collection);
+
+      store.load("a")
+        .then(token => {
+          expect(token).toEqual({_data: "1"});
+          expect(collection.findOne).toHaveBeenCalledWith({_id: "a"});
+          return store.load("b");
+        })
+        .then(token => {
+          expect(token).toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given a collection getter Then must look up the collection on each use", function (testDone) {
+      const collections = [{
+        findOne: jasmine.createSpy('findOne').and.returnValue(Promise.resolve(null))
+      }, {
+        updateOne: jasmine.createSpy('updateOne').and.returnValue(Promise.resolve())
+      }];
+      const getCollection = jasmine.createSpy('getCollection').and.returnValues(collections[0], collections[1], undefined);
+      const store = new resumeTokenStores.MongoResumeTokenStore(getCollection);
+
+      store.load("a")
+        .then(() => store.save("a", {_data: "1"}))
+        .then(() => {
+          expect(collections[0].findOne).toHaveBeenCalledWith({_id: "a"});
+          expect(collections[1].updateOne).toHaveBeenCalled();
+          return store.load("a");
+        })
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(require('js-zrim-core').exceptions.IllegalStateException));
+          expect(getCollection).toHaveBeenCalledTimes(3);
+          testDone();
+        });
+    });
+  }); // MongoResumeTokenStore
+});
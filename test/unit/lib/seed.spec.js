@@ -0,0 +1,95 @@
+describe("Unit Test - seed", function () {
+  const seed = require('./../../../lib/seed'),
+    InMemoryMongoClient = require('./../../../lib/mocks/InMemoryMongoClient'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path');
+
+  /**
+   * Returns a collection of a new in-memory server
+   * @return {Promise} Resolved with the collection
+   */
+  function createCollection() {
+    const Driver = InMemoryMongoClient.createDriver();
+    return new Driver("mongodb://localhost/unitTest").connect()
+      .then(client => client.db())
+      .then(db => db.collection("roles"));
+  }
+
+  describe("#loadSeedDocuments", function () {
+    it("Given a file Then must parse its EJSON content", function (testDone) {
+      const filePath = path.join(os.tmpdir(), "seed-spec-" + process.pid + ".json");
+      fs.writeFileSync(filePath, JSON.stringify([{code: "admin", since: {$date: "2017-01-01T00:00:00.000Z"}}]));
+
+      seed.loadSeedDocuments({file: filePath})
+        .then(documents => {
+          fs.unlinkSync(filePath);
+          expect(documents).toEqual([{code: "admin", since: new Date("2017-01-01T00:00:00.000Z")}]);
+          testDone();
+        })
+        .catch(error => {
+          fs.unlinkSync(filePath);
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given a file without array Then must return error", function (testDone) {
+      const filePath = path.join(os.tmpdir(), "seed-spec-object-" + process.pid + ".json");
+      fs.writeFileSync(filePath, "{}");
+
+      seed.loadSeedDocuments({file: filePath})
+        .then(() => {
+          fs.unlinkSync(filePath);
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          fs.unlinkSync(filePath);
+          expect(error).toEqual(jasmine.any(TypeError));
+          testDone();
+        });
+    });
+  }); // #loadSeedDocuments
+
+  describe("#seedCollection", function () {
+    it("Given documents applied twice Then must insert, update and keep unchanged", function (testDone) {
+      let collection;
+
+      createCollection()
+        .then(result => {
+          collection = result;
+          return seed.seedCollection(collection, [{code: "admin", level: 1}, {code: "user", level: 2}], "code");
+        })
+        .then(report => {
+          expect(report).toEqual({inserted: 2, updated: 0, unchanged: 0});
+          return seed.seedCollection(collection, [{code: "admin", level: 10}, {code: "user", level: 2}], "code");
+        })
+        .then(report => {
+          expect(report).toEqual({inserted: 0, updated: 1, unchanged: 1});
+          return collection.find({}).sort({code: 1}).toArray();
+        })
+        .then(documents => {
+          expect(documents.map(document => document.level)).toEqual([10, 2]);
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toBeUndefined();
+          testDone();
+        });
+    });
+
+    it("Given a document without the key Then must return error", function (testDone) {
+      createCollection()
+        .then(collection => seed.seedCollection(collection, [{level: 1}], ["code"]))
+        .then(() => {
+          expect("Must not be called").toBeUndefined();
+          testDone();
+        })
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          testDone();
+        });
+    });
+  }); // #seedCollection
+});
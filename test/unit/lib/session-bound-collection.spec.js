@@ -0,0 +1,38 @@
+describe("Unit Test - session-bound-collection", function () {
+  const sessionBoundCollection = require('./../../../lib/session-bound-collection');
+
+  describe("#createSessionBoundCollection", function () {
+    it("Given options Then must add the session", function () {
+      const session = {},
+        collection = {
+          collectionName: "a",
+          insertOne: jasmine.createSpy('insertOne').and.returnValue("result"),
+          updateOne: jasmine.createSpy('updateOne')
+        };
+
+      const boundCollection = sessionBoundCollection.createSessionBoundCollection(collection, session);
+      expect(boundCollection.collectionName).toEqual("a");
+      expect(boundCollection.insertOne({a: 1}, {w: 1})).toEqual("result");
+      expect(collection.insertOne).toHaveBeenCalledWith({a: 1}, {w: 1, session: session});
+
+      boundCollection.updateOne({a: 1}, {$set: {b: 1}});
+      expect(collection.updateOne).toHaveBeenCalledWith({a: 1}, {$set: {b: 1}}, {session: session});
+    });
+
+    it("Given callback instead of options Then must insert the options", function () {
+      const session = {},
+        callback = () => {},
+        collection = {
+          findOne: jasmine.createSpy('findOne')
+        };
+
+      sessionBoundCollection.createSessionBoundCollection(collection, session).findOne({a: 1}, callback);
+      expect(collection.findOne).toHaveBeenCalledWith({a: 1}, {session: session}, callback);
+    });
+
+    it("Given method not supported Then must not define it", function () {
+      const boundCollection = sessionBoundCollection.createSessionBoundCollection({}, {});
+      expect(boundCollection.insertOne).toBeUndefined();
+    });
+  }); // #createSessionBoundCollection
+});